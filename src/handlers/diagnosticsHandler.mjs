@@ -0,0 +1,17 @@
+import { getCircuitBreakerStates } from "../services/circuitBreaker.mjs";
+import { getSingleFlightMetrics } from "../utils/singleFlight.mjs";
+import { createJsonResponse } from "../utils/common.mjs";
+
+/*──────────────────────────────────────
+  Diagnostics Handler
+  Reports upstream circuit breaker state and request coalescing
+──────────────────────────────────────*/
+
+export const diagnosticsHandler = {
+  async handle() {
+    return createJsonResponse({
+      circuitBreakers: getCircuitBreakerStates(),
+      coalescing: getSingleFlightMetrics()
+    }, "no-cache");
+  }
+};
@@ -1,8 +1,11 @@
 import { gistService } from "../services/gistService.mjs";
 import {
   createTestBadgeResponse,
-  create400Response,
+  createBadgeRouteErrorResponse,
+  parseBadgeOptions,
+  parseErrorMode,
 } from "../utils/common.mjs";
+import { ValidationError } from "../utils/errors.mjs";
 
 /*──────────────────────────────────────
   Test Badge Handler
@@ -14,23 +17,36 @@ export const testBadgeHandler = {
     console.log(`🧪 Generating test badge for platform: ${platform}`);
 
     // Extract and validate track parameter
-    const track = event.queryStringParameters?.track;
-    const packageName = event.queryStringParameters?.package;
+    const qs = event.queryStringParameters || {};
+    const track = qs.track;
+    const packageName = qs.package;
     let validatedTrack = "v2"; // Default to v2
     let defaultPackageName = "LocalStack.Aspire.Hosting"; // Default package
     let withPackage = false;
+    let badgeOptions;
+
+    try {
+      badgeOptions = parseBadgeOptions(qs);
+      parseErrorMode(qs.errors);
+    } catch (error) {
+      return createBadgeRouteErrorResponse(error, qs, "tests");
+    }
 
     if (track !== undefined && track !== null) {
       if (track !== "v1" && track !== "v2") {
-        return create400Response(
-          "Invalid track parameter. Must be 'v1' or 'v2'"
+        return createBadgeRouteErrorResponse(
+          new ValidationError("Invalid track parameter. Must be 'v1' or 'v2'", { param: "track" }),
+          qs,
+          "tests"
         );
       }
       validatedTrack = track;
     } else if (packageName !== undefined && packageName !== null) {
       if (packageName !== "LocalStack.Aspire.Hosting") {
-        return create400Response(
-          "Invalid package parameter. Must be 'LocalStack.Aspire.Hosting' if track is not specified"
+        return createBadgeRouteErrorResponse(
+          new ValidationError("Invalid package parameter. Must be 'LocalStack.Aspire.Hosting' if track is not specified", { param: "package" }),
+          qs,
+          "tests"
         );
       }
       withPackage = true;
@@ -54,7 +70,7 @@ export const testBadgeHandler = {
         console.log(
           `⚠️ No test data available for ${platform} (track: ${validatedTrack}), returning unavailable badge`
         );
-        return createTestBadgeResponse(null, platform);
+        return createTestBadgeResponse(null, platform, badgeOptions);
       }
 
       console.log(
@@ -68,7 +84,7 @@ export const testBadgeHandler = {
       );
 
       // Generate badge response
-      return createTestBadgeResponse(testData, platform);
+      return createTestBadgeResponse(testData, platform, badgeOptions);
     } catch (error) {
       console.error(
         `🔥 Error generating test badge for ${platform} (track: ${validatedTrack}):`,
@@ -76,7 +92,7 @@ export const testBadgeHandler = {
       );
 
       // Return unavailable badge on error
-      return createTestBadgeResponse(null, platform);
+      return createTestBadgeResponse(null, platform, badgeOptions);
     }
   },
 };
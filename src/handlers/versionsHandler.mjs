@@ -0,0 +1,61 @@
+import { packageService } from "../services/packageService.mjs";
+import { PackageNotFoundError } from "../utils/errors.mjs";
+import { validateAndParseParameters } from "../utils/packageParameters.mjs";
+import { selectVersions, describeVersion, describeCriteria } from "../utils/versionSelection.mjs";
+import {
+  createJsonResponse,
+  createErrorResponseFor,
+  create404Response
+} from "../utils/common.mjs";
+
+/*──────────────────────────────────────
+  Version List API Handler
+  Exposes the badge version-selection logic as JSON
+──────────────────────────────────────*/
+
+export const versionsHandler = {
+  async handle(event, packageFromPath) {
+    let validatedParams;
+    try {
+      validatedParams = validateAndParseParameters(event.queryStringParameters || {}, event.pathParameters, packageFromPath);
+    } catch (error) {
+      return createErrorResponseFor(error);
+    }
+
+    const { pkg, source, sourceOptions, wantLogs, track, semverFilters, includePrerelease, preferClean } = validatedParams;
+
+    const log = (...a) => wantLogs && console.log(...a);
+
+    log("🟢 START Version List", { pkg, source, track, semverFilters, includePrerelease, preferClean });
+
+    try {
+      const { versions, metadata, distTags } = await packageService.lookupVersions(source, pkg, log, sourceOptions);
+
+      if (!versions || versions.length === 0) {
+        return create404Response(`Package not found: ${pkg}`);
+      }
+
+      const { candidates, selectedVersion } = selectVersions(versions, { ...validatedParams, metadata, distTags }, log);
+
+      return createJsonResponse({
+        package: pkg,
+        source,
+        criteria: describeCriteria(validatedParams),
+        selected: selectedVersion ?? null,
+        ...(Object.keys(distTags).length > 0 && { distTags }),
+        count: candidates.length,
+        // Publish dates, links and deprecations ride along where the source provides them (GitHub, npm)
+        versions: candidates.map((version) => ({ ...describeVersion(version, source), ...metadata[version] }))
+      });
+
+    } catch (err) {
+      console.error(`🔥 ${source} version list error:`, err.message);
+
+      if (err instanceof PackageNotFoundError) {
+        return create404Response(`Package not found: ${pkg}`);
+      }
+
+      return createErrorResponseFor(err);
+    }
+  }
+};
@@ -1,13 +1,37 @@
 import { packageHandler } from './handlers/packageHandler.mjs';
 import { testBadgeHandler } from './handlers/testBadgeHandler.mjs';
 import { testRedirectHandler } from './handlers/testRedirectHandler.mjs';
-import { create400Response, create404Response, extractPlatform, isValidPlatform } from './utils/common.mjs';
+import { versionsHandler } from './handlers/versionsHandler.mjs';
+import { diagnosticsHandler } from './handlers/diagnosticsHandler.mjs';
+import {
+  create400Response,
+  create404Response,
+  createErrorResponseFor,
+  createBadgeRouteErrorResponse,
+  createNotModifiedResponse,
+  matchesIfNoneMatch,
+  extractPlatform,
+  isValidPlatform
+} from './utils/common.mjs';
+import { BadgeError, ValidationError } from './utils/errors.mjs';
+import { getProvider } from './services/providers/index.mjs';
 
 /*──────────────────────────────────────
   AWS Lambda Entry Point & Router
 ──────────────────────────────────────*/
 
 export const handler = async (event) => {
+  const response = await route(event);
+
+  // Revalidation: answer a matching If-None-Match with 304 instead of the full body
+  if (response.statusCode === 200 && matchesIfNoneMatch(getHeader(event, 'If-None-Match'), response.headers?.ETag)) {
+    return createNotModifiedResponse(response);
+  }
+
+  return response;
+};
+
+async function route(event) {
   const path = (event.pathParameters?.proxy || '').toLowerCase().trim();
   
   try {
@@ -15,7 +39,8 @@ export const handler = async (event) => {
     if (path.startsWith('badge/tests/')) {
       const platform = extractPlatform(path);
       if (!isValidPlatform(platform)) {
-        return create400Response('Invalid platform. Use: linux, windows, macos');
+        const error = new ValidationError('Invalid platform. Use: linux, windows, macos', { param: 'platform' });
+        return createBadgeRouteErrorResponse(error, event.queryStringParameters, 'tests');
       }
       
       return await testBadgeHandler.handle(event, platform);
@@ -23,13 +48,27 @@ export const handler = async (event) => {
     
     // Package badges (explicit route)
     if (path.startsWith('badge/packages/')) {
-      const packageName = path.split('/')[2];
+      const packageName = readPackageName(path.split('/').slice(2), event.queryStringParameters?.source);
       if (!packageName) {
         return create400Response('Package name required');
       }
       return await packageHandler.handle(event, packageName);
     }
     
+    // Version list API: /api/packages/{package}/versions
+    if (path.startsWith('api/packages/')) {
+      const segments = withoutTrailingEmpty(path.split('/').slice(2));
+      const resource = segments.length > 1 ? segments.pop() : undefined;
+      const packageName = readPackageName(segments, event.queryStringParameters?.source);
+      if (!packageName) {
+        return create400Response('Package name required');
+      }
+      if (resource !== 'versions') {
+        return create404Response(`Route not found: /${path}`);
+      }
+      return await versionsHandler.handle(event, packageName);
+    }
+    
     // Test redirects
     if (path.startsWith('redirect/test-results/')) {
       const platform = extractPlatform(path);
@@ -40,6 +79,11 @@ export const handler = async (event) => {
       return await testRedirectHandler.handle(event, platform);
     }
     
+    // Upstream health: circuit breakers and coalescing metrics
+    if (path === 'diagnostics') {
+      return await diagnosticsHandler.handle(event);
+    }
+    
     // Root path - backward compatibility (query params)
     if (path === '' || path === '/') {
       return await packageHandler.handle(event, null);
@@ -50,6 +94,12 @@ export const handler = async (event) => {
     
   } catch (error) {
     console.error('🔥 Router error:', error);
+
+    // Typed errors are safe to surface; anything else stays opaque
+    if (error instanceof BadgeError) {
+      return createErrorResponseFor(error);
+    }
+
     return {
       statusCode: 500,
       headers: {
@@ -60,4 +110,29 @@ export const handler = async (event) => {
       }),
     };
   }
-}; 
\ No newline at end of file
+}
+
+// API Gateway preserves header casing from the client
+function getHeader(event, name) {
+  const wanted = name.toLowerCase();
+  const entry = Object.entries(event.headers || {}).find(([key]) => key.toLowerCase() === wanted);
+  return entry?.[1];
+}
+
+// Package names span several segments only where the source's name grammar allows a slash:
+// scoped npm names (@scope/pkg) and image repositories (ghcr.io/owner/image). Elsewhere the
+// first segment is the name, so trailing slashes and extra segments keep working
+function readPackageName(segments, source) {
+  const names = withoutTrailingEmpty(segments);
+  if (names.length === 0) return '';
+
+  const decode = (name) => name.replace(/%2f/g, '/').replace(/^%40/, '@');
+  const joined = decode(names.join('/'));
+  return names.length === 1 || getProvider(source)?.packageNamePattern.test(joined) ? joined : decode(names[0]);
+}
+
+function withoutTrailingEmpty(segments) {
+  const kept = [...segments];
+  while (kept.length > 0 && kept.at(-1) === '') kept.pop();
+  return kept;
+}
@@ -0,0 +1,74 @@
+import { promises as fs } from "node:fs";
+import { createHash } from "node:crypto";
+import os from "node:os";
+import path from "node:path";
+
+/*──────────────────────────────────────
+  Local filesystem cache backend
+  Persists entries under /tmp so they outlive a single invocation's memory
+──────────────────────────────────────*/
+
+export const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), "localstack-badge-cache");
+
+export function createFileBackend({ directory = DEFAULT_CACHE_DIR } = {}) {
+  // Keys may contain characters that are not valid in file names, so files are named by hash
+  const fileFor = (key) => path.join(directory, `${createHash("sha256").update(key).digest("hex")}.json`);
+
+  async function read(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT" || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  return {
+    name: "file",
+
+    async get(key) {
+      const file = fileFor(key);
+      const stored = await read(file);
+      if (!stored || stored.key !== key) return null;
+
+      if (Date.now() >= stored.expireAt) {
+        await fs.rm(file, { force: true });
+        return null;
+      }
+      return stored.entry;
+    },
+
+    async set(key, entry, expireAt) {
+      await fs.mkdir(directory, { recursive: true });
+
+      // Write then rename so concurrent readers never see a partial file
+      const file = fileFor(key);
+      const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify({ key, entry, expireAt }));
+      await fs.rename(temporary, file);
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async keys(prefix = "") {
+      let files;
+      try {
+        files = await fs.readdir(directory);
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      const keys = [];
+      for (const file of files.filter((name) => name.endsWith(".json"))) {
+        const stored = await read(path.join(directory, file));
+        if (stored && Date.now() < stored.expireAt && stored.key.startsWith(prefix)) {
+          keys.push(stored.key);
+        }
+      }
+      return keys;
+    }
+  };
+}
@@ -0,0 +1,121 @@
+import { createMemoryBackend } from "./memoryBackend.mjs";
+import { createFileBackend } from "./fileBackend.mjs";
+import { createRedisBackend } from "./redisBackend.mjs";
+
+/*──────────────────────────────────────
+  Cache abstraction shared by all services
+  Namespaced get/set/delete/list with TTL and stale metadata;
+  the backend is selected with CACHE_BACKEND (memory | file | redis)
+──────────────────────────────────────*/
+
+const DEFAULT_STALE_TTL_SECONDS = 24 * 60 * 60; // keep expired entries a day for stale fallback
+
+export const CACHE_BACKENDS = ["memory", "file", "redis"];
+
+let sharedBackend = null;
+
+export function createCacheBackend(config = process.env) {
+  const type = (config.CACHE_BACKEND || "memory").toLowerCase();
+
+  switch (type) {
+    case "memory":
+      return createMemoryBackend({
+        maxEntries: readLimit(config.CACHE_MAX_ENTRIES),
+        maxBytes: readLimit(config.CACHE_MAX_BYTES)
+      });
+    case "file":
+      return createFileBackend({ directory: config.CACHE_DIR || undefined });
+    case "redis":
+      return createRedisBackend({ url: config.REDIS_URL || undefined, keyPrefix: config.REDIS_KEY_PREFIX || undefined });
+    default:
+      throw new Error(`Unsupported cache backend '${config.CACHE_BACKEND}'. Must be one of: ${CACHE_BACKENDS.join(", ")}`);
+  }
+}
+
+export function getCacheBackend() {
+  if (!sharedBackend) {
+    sharedBackend = createCacheBackend();
+  }
+  return sharedBackend;
+}
+
+// Swap the shared backend (tests, warm-container reconfiguration); null re-reads the configuration
+export function setCacheBackend(backend) {
+  sharedBackend = backend;
+}
+
+export function createCache(namespace, { backend = null } = {}) {
+  const prefix = `${namespace}:`;
+  const resolveBackend = () => backend ?? getCacheBackend();
+
+  // A broken cache must never break a badge: failures are logged and treated as misses
+  async function attempt(action, key, operation, fallback) {
+    try {
+      return await operation(resolveBackend());
+    } catch (error) {
+      console.error(`🔥 Cache ${action} failed for ${prefix}${key}:`, error.message);
+      return fallback;
+    }
+  }
+
+  return {
+    namespace,
+
+    async get(key) {
+      const entry = await attempt("read", key, (store) => store.get(prefix + key), null);
+      return entry ? describeEntry(key, entry) : null;
+    },
+
+    async set(key, value, { ttlMs, staleTtlMs = getStaleTtlMs() }) {
+      const storedAt = Date.now();
+      const entry = {
+        value,
+        storedAt,
+        expiresAt: storedAt + ttlMs,
+        staleUntil: storedAt + ttlMs + staleTtlMs
+      };
+
+      await attempt("write", key, (store) => store.set(prefix + key, entry, entry.staleUntil));
+      return describeEntry(key, entry);
+    },
+
+    async delete(key) {
+      await attempt("delete", key, (store) => store.delete(prefix + key));
+    },
+
+    async list() {
+      const keys = await attempt("list", "*", (store) => store.keys(prefix), []);
+      const entries = await Promise.all(keys.map((key) => this.get(key.slice(prefix.length))));
+      return entries.filter(Boolean);
+    }
+  };
+}
+
+/*──────────────────────────────────────
+  Entry metadata
+──────────────────────────────────────*/
+
+function describeEntry(key, entry) {
+  const now = Date.now();
+  return {
+    key,
+    value: entry.value,
+    storedAt: entry.storedAt,
+    expiresAt: entry.expiresAt,
+    staleUntil: entry.staleUntil,
+    ageMs: now - entry.storedAt,
+    fresh: now < entry.expiresAt
+  };
+}
+
+function getStaleTtlMs() {
+  const configured = Number.parseInt(process.env.CACHE_STALE_TTL_SECONDS, 10);
+  const seconds = Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_STALE_TTL_SECONDS;
+  return seconds * 1000;
+}
+
+// Positive integer setting, or undefined to keep the backend's default
+function readLimit(value) {
+  const configured = Number.parseInt(value, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : undefined;
+}
@@ -0,0 +1,71 @@
+/*──────────────────────────────────────
+  In-memory cache backend
+  Survives only within one warm Lambda container; bounded by entry count
+  and approximate size, evicting expired entries first, then the least
+  recently used
+──────────────────────────────────────*/
+
+export const DEFAULT_MEMORY_MAX_ENTRIES = 1000; // override with CACHE_MAX_ENTRIES
+export const DEFAULT_MEMORY_MAX_BYTES = 50 * 1024 * 1024; // 50 MB, override with CACHE_MAX_BYTES
+
+export function createMemoryBackend({ maxEntries = DEFAULT_MEMORY_MAX_ENTRIES, maxBytes = DEFAULT_MEMORY_MAX_BYTES } = {}) {
+  // Map order is recency order: reads and writes move a key to the end
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const stored = entries.get(key);
+    if (!stored) return;
+    entries.delete(key);
+    totalBytes -= stored.bytes;
+  }
+
+  function evict() {
+    const now = Date.now();
+    for (const [key, stored] of entries) {
+      if (now >= stored.expireAt) remove(key);
+    }
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+      remove(key);
+    }
+  }
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const stored = entries.get(key);
+      if (!stored) return null;
+
+      if (Date.now() >= stored.expireAt) {
+        remove(key);
+        return null;
+      }
+
+      entries.delete(key);
+      entries.set(key, stored);
+      return stored.entry;
+    },
+
+    async set(key, entry, expireAt) {
+      remove(key);
+
+      // Approximate: serialized length, as the file and Redis backends would store it
+      const bytes = JSON.stringify(entry).length;
+      if (bytes > maxBytes) return;
+
+      entries.set(key, { entry, expireAt, bytes });
+      totalBytes += bytes;
+      if (entries.size > maxEntries || totalBytes > maxBytes) evict();
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+
+    async keys(prefix = "") {
+      return [...entries.keys()].filter((key) => key.startsWith(prefix));
+    }
+  };
+}
@@ -0,0 +1,217 @@
+import net from "node:net";
+
+/*──────────────────────────────────────
+  Redis cache backend
+  Shared across containers; speaks RESP2 directly over TCP
+──────────────────────────────────────*/
+
+const DEFAULT_REDIS_URL = "redis://127.0.0.1:6379";
+const DEFAULT_TIMEOUT_MS = 2000;
+
+export function createRedisBackend({ url = DEFAULT_REDIS_URL, keyPrefix = "badge-api:", timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const client = createRedisClient(url, timeoutMs);
+
+  return {
+    name: "redis",
+
+    async get(key) {
+      const raw = await client.command("GET", keyPrefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(key, entry, expireAt) {
+      // Redis expires the entry itself once the stale window has passed
+      const ttlMs = Math.max(1, Math.ceil(expireAt - Date.now()));
+      await client.command("SET", keyPrefix + key, JSON.stringify(entry), "PX", String(ttlMs));
+    },
+
+    async delete(key) {
+      await client.command("DEL", keyPrefix + key);
+    },
+
+    async keys(prefix = "") {
+      const pattern = `${escapeGlob(keyPrefix + prefix)}*`;
+      const keys = [];
+      let cursor = "0";
+
+      do {
+        const [next, batch] = await client.command("SCAN", cursor, "MATCH", pattern, "COUNT", "100");
+        keys.push(...batch.map((key) => key.slice(keyPrefix.length)));
+        cursor = next;
+      } while (cursor !== "0");
+
+      return [...new Set(keys)];
+    },
+
+    close() {
+      client.close();
+    }
+  };
+}
+
+/*──────────────────────────────────────
+  Minimal RESP client
+  One lazily opened connection, replies matched to commands in order
+──────────────────────────────────────*/
+
+function createRedisClient(url, timeoutMs) {
+  const { hostname, port, username, password, pathname } = new URL(url);
+  const database = pathname.replace(/^\//, "");
+
+  let socket = null;
+  let connecting = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(error) {
+    while (pending.length > 0) {
+      const request = pending.shift();
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    try {
+      let parsed;
+      while (pending.length > 0 && (parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        const request = pending.shift();
+        clearTimeout(request.timer);
+
+        if (parsed.value instanceof RedisReplyError) {
+          request.reject(new Error(`Redis error: ${parsed.value.message}`));
+        } else {
+          request.resolve(parsed.value);
+        }
+      }
+    } catch (error) {
+      socket?.destroy(error);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket?.destroy(new Error(`Redis command ${args[0]} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    if (connecting) return connecting;
+
+    connecting = new Promise((resolve, reject) => {
+      const connection = net.createConnection({ host: hostname, port: Number(port) || 6379 });
+      connection.setTimeout(timeoutMs, () => connection.destroy(new Error(`Redis connection timed out after ${timeoutMs}ms`)));
+      connection.unref();
+      socket = connection;
+
+      connection.once("connect", () => {
+        connection.setTimeout(0);
+        resolve();
+      });
+      connection.on("data", onData);
+      connection.on("error", (error) => {
+        reject(error);
+        failAll(error);
+      });
+      connection.on("close", () => {
+        if (socket !== connection) return;
+        socket = null;
+        connecting = null;
+        buffer = Buffer.alloc(0);
+        failAll(new Error("Redis connection closed"));
+      });
+    }).then(async () => {
+      if (password) {
+        const credentials = username ? [decodeURIComponent(username), decodeURIComponent(password)] : [decodeURIComponent(password)];
+        await send(["AUTH", ...credentials]);
+      }
+      if (database) {
+        await send(["SELECT", database]);
+      }
+    });
+
+    connecting.catch(() => {
+      connecting = null;
+    });
+
+    return connecting;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+
+    close() {
+      socket?.end();
+    }
+  };
+}
+
+class RedisReplyError {
+  constructor(message) {
+    this.message = message;
+  }
+}
+
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    command += `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`;
+  }
+  return command;
+}
+
+// Returns { value, offset } or null while the reply is still incomplete
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new RedisReplyError(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString("utf8", next, next + length), offset: next + length + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type '${type}'`);
+  }
+}
+
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,141 @@
+import { UpstreamUnavailableError, ResponseTooLargeError } from "../utils/errors.mjs";
+
+/*──────────────────────────────────────
+  Circuit breaker per upstream host
+  closed → open after consecutive failures → half-open probe after a cool-down
+──────────────────────────────────────*/
+
+const DEFAULT_FAILURE_THRESHOLD = 5; // override with CIRCUIT_FAILURE_THRESHOLD
+const DEFAULT_RESET_SECONDS = 30; // override with CIRCUIT_RESET_SECONDS
+
+export const CIRCUIT_OPEN = "CIRCUIT_OPEN";
+
+// One breaker per host, shared by every service calling it
+const breakers = new Map();
+
+// Hosts of private upstreams (NuGet feeds), kept out of public diagnostics
+const internalHosts = new Set();
+
+export function createCircuitBreaker(name, { failureThreshold, resetTimeoutMs } = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+  let lastError = null;
+
+  const threshold = () => failureThreshold ?? readSetting("CIRCUIT_FAILURE_THRESHOLD", DEFAULT_FAILURE_THRESHOLD, 1);
+  const resetMs = () => resetTimeoutMs ?? readSetting("CIRCUIT_RESET_SECONDS", DEFAULT_RESET_SECONDS, 0) * 1000;
+
+  function open(error) {
+    state = "open";
+    openedAt = Date.now();
+    console.error(`🚧 Circuit for ${name} opened after ${failures} consecutive failure(s):`, error.message);
+  }
+
+  function close() {
+    if (state !== "closed") {
+      console.log(`✅ Circuit for ${name} closed`);
+    }
+    state = "closed";
+    failures = 0;
+    openedAt = null;
+  }
+
+  return {
+    name,
+
+    async execute(operation) {
+      if (state === "open" && Date.now() - openedAt >= resetMs()) {
+        state = "half-open";
+        console.log(`🔎 Circuit for ${name} half-open, probing upstream`);
+      }
+
+      // Open, or half-open with a probe already running: fail fast
+      if (state === "open" || (state === "half-open" && probing)) {
+        const retryAfterSeconds = state === "open" ? Math.max(1, Math.ceil((openedAt + resetMs() - Date.now()) / 1000)) : null;
+        const error = new UpstreamUnavailableError(`Circuit open for ${name}; upstream calls are suspended`, { retryAfterSeconds });
+        error.code = CIRCUIT_OPEN;
+        throw error;
+      }
+
+      const probe = state === "half-open";
+      probing = probe;
+
+      try {
+        const result = await operation();
+        close();
+        return result;
+      } catch (error) {
+        if (isUpstreamFailure(error)) {
+          failures++;
+          lastError = error.message;
+          if (probe || failures >= threshold()) {
+            open(error);
+          }
+        } else if (probe) {
+          // The upstream answered (e.g. 404), so it is reachable again
+          close();
+        }
+        throw error;
+      } finally {
+        if (probe) probing = false;
+      }
+    },
+
+    getState() {
+      return {
+        state,
+        failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === "open" ? new Date(openedAt + resetMs()).toISOString() : null,
+        lastError
+      };
+    },
+
+    reset() {
+      state = "closed";
+      failures = 0;
+      openedAt = null;
+      probing = false;
+      lastError = null;
+    }
+  };
+}
+
+export function getCircuitBreaker(host, { internal = false } = {}) {
+  if (internal) internalHosts.add(host);
+  if (!breakers.has(host)) {
+    breakers.set(host, createCircuitBreaker(host));
+  }
+  return breakers.get(host);
+}
+
+export function getCircuitBreakerStates({ includeInternal = false } = {}) {
+  return Object.fromEntries([...breakers]
+    .filter(([host]) => includeInternal || !internalHosts.has(host))
+    .map(([host, breaker]) => [host, breaker.getState()]));
+}
+
+export function resetCircuitBreakers() {
+  breakers.clear();
+  internalHosts.clear();
+}
+
+/*──────────────────────────────────────
+  Helpers
+──────────────────────────────────────*/
+
+// Server errors, rate limiting and network failures count; other 4xx are answers,
+// and so is a body over our size limit (the host responded, one package is just too big)
+function isUpstreamFailure(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status >= 500 || status === 429;
+  }
+  return error.code !== CIRCUIT_OPEN && !(error instanceof ResponseTooLargeError);
+}
+
+function readSetting(name, fallback, minimum) {
+  const configured = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(configured) && configured >= minimum ? configured : fallback;
+}
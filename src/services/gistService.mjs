@@ -1,4 +1,7 @@
-import axios from "axios";
+import { createCache } from "./cache/index.mjs";
+import { httpClient } from "./httpClient.mjs";
+import { createSingleFlight } from "../utils/singleFlight.mjs";
+import { ValidationError } from "../utils/errors.mjs";
 
 /*──────────────────────────────────────
   GitHub Gist Service for Test Results
@@ -10,74 +13,61 @@ const GIST_BASE_URL_V2 = 'https://gist.githubusercontent.com/Blind-Striker/472c5
 const GIST_BASE_URL_WITH_PACKAGE = 'https://gist.githubusercontent.com/Blind-Striker/f2b8df60871ea8cd0fa6b746798690b4/raw/';
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 const REQUEST_TIMEOUT_MS = 10000; // 10 seconds
+const DEFAULT_STALE_GRACE_SECONDS = 60 * 60; // 1 hour, override with GIST_STALE_GRACE_SECONDS
+const DEFAULT_MAX_STALE_SECONDS = 6 * 60 * 60; // 6 hours, override with GIST_MAX_STALE_SECONDS
 
-// Simple in-memory cache
-const cache = new Map();
+// Shared cache (backend selected by CACHE_BACKEND)
+const cache = createCache("gist");
+
+// Concurrent lookups for the same file share one Gist request
+const inFlight = createSingleFlight("gist");
 
 export const gistService = {
   async getTestResults(platform, track = 'v2', packageName) {
     if (!['linux', 'windows', 'macos'].includes(platform)) {
-      throw new Error(`Invalid platform: ${platform}`);
+      throw new ValidationError(`Invalid platform: ${platform}`, { param: "platform" });
     }
 
     const cacheKey = packageName ? `test-results-${platform}-${packageName}` : `test-results-${platform}-${track}`;
-    const cached = cache.get(cacheKey);
+    const cached = await cache.get(cacheKey);
     
     // Return cached data if still valid
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL_MS) {
+    if (cached?.fresh) {
       if (packageName) {
         console.log(`🟢 Cache hit for ${platform} test results with package '${packageName}'`);
       } else {
         console.log(`🟢 Cache hit for ${platform} test results (track: ${track})`);
       }
-      return cached.data;
+      return cached.value;
     }
 
-    try {
-      console.log(`📡 Fetching ${platform} test results from Gist (track: ${track})...`);
-      
-      const fileName = `test-results-${platform}.json`;
-      const baseUrl = packageName ? GIST_BASE_URL_WITH_PACKAGE : (track === 'v1' ? GIST_BASE_URL_V1 : GIST_BASE_URL_V2);
-      const url = `${baseUrl}${fileName}`;
-      
-      const response = await axios.get(url, {
-        timeout: REQUEST_TIMEOUT_MS,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'LocalStack-Badge-API/1.0'
-        }
-      });
-
-      const testData = response.data;
-      
-      // Validate the data structure
-      if (!isValidTestData(testData)) {
-        console.error(`❌ Invalid test data structure for ${platform}:`, testData);
-        return null;
-      }
+    // Concurrent lookups and background refreshes share one Gist request
+    const refresh = () => inFlight.run(cacheKey, () => fetchTestResults(platform, track, packageName, cacheKey));
+    const staleMs = cached ? Date.now() - cached.expiresAt : 0;
 
-      // Cache the result
-      cache.set(cacheKey, {
-        data: testData,
-        timestamp: Date.now()
+    // Within the grace window: answer from cache now and refresh in the background. Lambda may freeze the
+    // refresh after the response; it resumes on the next warm invocation, and single-flight keeps it to one
+    if (cached && staleMs < Math.min(getStaleGraceMs(), getMaxStaleMs())) {
+      console.log(`🟡 Serving stale ${platform} test results (expired ${Math.round(staleMs / 1000)}s ago), refreshing in background`);
+      refresh().catch((error) => {
+        console.error(`🔥 Background refresh of ${platform} test results failed:`, error.message);
       });
+      return cached.value;
+    }
 
-      console.log(`✅ Successfully fetched ${platform} test results:`, {
-        passed: testData.passed,
-        failed: testData.failed,
-        total: testData.total,
-        timestamp: testData.timestamp
-      });
-
-      return testData;
-
+    try {
+      return await refresh();
     } catch (error) {
       console.error(`🔥 Failed to fetch ${platform} test results:`, error.message);
       
       // Check if we have stale cached data we can return as fallback
       if (cached) {
+        if (staleMs >= getMaxStaleMs()) {
+          console.log(`⌛ Cached ${platform} data is past max-stale, returning it as outdated`);
+          return { ...cached.value, outdated: true };
+        }
         console.log(`⚡ Returning stale cached data for ${platform} as fallback`);
-        return cached.data;
+        return cached.value;
       }
       
       return null;
@@ -90,43 +80,100 @@ export const gistService = {
   },
 
   // Clear cache for testing or manual refresh
-  clearCache(platform = null, track = null) {
+  async clearCache(platform = null, track = null) {
     if (platform && track) {
       const cacheKey = `test-results-${platform}-${track}`;
-      cache.delete(cacheKey);
+      await cache.delete(cacheKey);
       console.log(`🗑️ Cleared cache for ${platform} (track: ${track})`);
     } else if (platform) {
       // Clear all tracks for a specific platform
-      const keysToDelete = [];
-      for (const key of cache.keys()) {
-        if (key.startsWith(`test-results-${platform}-`)) {
-          keysToDelete.push(key);
-        }
-      }
-      keysToDelete.forEach(key => cache.delete(key));
+      const entries = await cache.list();
+      const keysToDelete = entries.map(entry => entry.key).filter(key => key.startsWith(`test-results-${platform}-`));
+      await Promise.all(keysToDelete.map(key => cache.delete(key)));
       console.log(`🗑️ Cleared cache for ${platform} (all tracks)`);
     } else {
-      cache.clear();
+      const entries = await cache.list();
+      await Promise.all(entries.map(entry => cache.delete(entry.key)));
       console.log(`🗑️ Cleared all cache`);
     }
   },
 
+  // Coalescing metrics for debugging
+  getCoalescingMetrics() {
+    return inFlight.getMetrics();
+  },
+
   // Get cache status for debugging
-  getCacheStatus() {
+  async getCacheStatus() {
     const status = {};
-    for (const [key, value] of cache.entries()) {
-      const age = Date.now() - value.timestamp;
-      const isValid = age < CACHE_TTL_MS;
-      status[key] = {
-        age: Math.round(age / 1000), // seconds
-        isValid,
-        data: value.data ? 'present' : 'null'
+    for (const entry of await cache.list()) {
+      status[entry.key] = {
+        age: Math.round(entry.ageMs / 1000), // seconds
+        isValid: entry.fresh,
+        data: entry.value ? 'present' : 'null'
       };
     }
     return status;
   }
 };
 
+/*──────────────────────────────────────
+  Gist fetch (coalesced per cache key)
+──────────────────────────────────────*/
+
+async function fetchTestResults(platform, track, packageName, cacheKey) {
+  console.log(`📡 Fetching ${platform} test results from Gist (track: ${track})...`);
+  
+  const fileName = `test-results-${platform}.json`;
+  const baseUrl = packageName ? GIST_BASE_URL_WITH_PACKAGE : (track === 'v1' ? GIST_BASE_URL_V1 : GIST_BASE_URL_V2);
+  const url = `${baseUrl}${fileName}`;
+  
+  const response = await httpClient.get(url, {
+    upstream: 'gist',
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+
+  const testData = response.data;
+  
+  // Validate the data structure
+  if (!isValidTestData(testData)) {
+    console.error(`❌ Invalid test data structure for ${platform}:`, testData);
+    return null;
+  }
+
+  // Cache the result
+  await cache.set(cacheKey, testData, { ttlMs: CACHE_TTL_MS });
+
+  console.log(`✅ Successfully fetched ${platform} test results:`, {
+    passed: testData.passed,
+    failed: testData.failed,
+    total: testData.total,
+    timestamp: testData.timestamp
+  });
+
+  return testData;
+}
+
+/*──────────────────────────────────────
+  Staleness configuration
+──────────────────────────────────────*/
+
+function getStaleGraceMs() {
+  return readSeconds(process.env.GIST_STALE_GRACE_SECONDS, DEFAULT_STALE_GRACE_SECONDS) * 1000;
+}
+
+function getMaxStaleMs() {
+  return readSeconds(process.env.GIST_MAX_STALE_SECONDS, DEFAULT_MAX_STALE_SECONDS) * 1000;
+}
+
+function readSeconds(value, fallback) {
+  const configured = Number.parseInt(value, 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : fallback;
+}
+
 /*──────────────────────────────────────
   Data validation helpers
 ──────────────────────────────────────*/
@@ -0,0 +1,120 @@
+import axios from "axios";
+import { createCache } from "./cache/index.mjs";
+import { getRetryPolicy, withRetry } from "./retryPolicy.mjs";
+import { getCircuitBreaker } from "./circuitBreaker.mjs";
+import { proxyConfigFor } from "./httpProxy.mjs";
+import { ResponseTooLargeError } from "../utils/errors.mjs";
+
+/*──────────────────────────────────────
+  HTTP client for upstream sources
+  The only module that talks to axios: default timeout, response-size cap,
+  User-Agent and proxy settings for every source, plus conditional
+  revalidation (ETag / Last-Modified), retries, per-host circuit breakers
+  and parsed Link headers (response.links) for paginated APIs
+──────────────────────────────────────*/
+
+const VALIDATOR_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+const DEFAULT_TIMEOUT_MS = 5000; // per attempt, override with UPSTREAM_TIMEOUT_MS
+const DEFAULT_MAX_CONTENT_LENGTH = 5 * 1024 * 1024; // 5 MB, override with UPSTREAM_MAX_CONTENT_LENGTH
+
+export const USER_AGENT = "LocalStack-Badge-API/1.0";
+
+// Validators plus the body they describe, so a 304 can be answered locally
+const validators = createCache("http-validators");
+
+export const httpClient = {
+  // internal: the host is a private upstream, left out of public diagnostics
+  async get(url, { conditional = true, upstream = null, retry = {}, internal = false, ...config } = {}) {
+    const validator = conditional ? (await validators.get(url))?.value : null;
+    const policy = getRetryPolicy(upstream, retry);
+
+    const breaker = getCircuitBreaker(new URL(url).host, { internal });
+
+    const timeout = config.timeout ?? readLimit("UPSTREAM_TIMEOUT_MS", DEFAULT_TIMEOUT_MS);
+    const maxContentLength = config.maxContentLength ?? readLimit("UPSTREAM_MAX_CONTENT_LENGTH", DEFAULT_MAX_CONTENT_LENGTH);
+
+    const response = await breaker.execute(() => withRetry(({ remainingMs }) => axios.get(url, {
+      ...proxyConfigFor(url),
+      ...config,
+      // No single attempt may outlive the request deadline
+      timeout: Math.max(1, Math.min(timeout, remainingMs)),
+      maxContentLength,
+      headers: { "User-Agent": USER_AGENT, ...config.headers, ...conditionalHeaders(validator) },
+      // 304 is a successful revalidation, not an error
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+    }).catch((error) => {
+      throw classifyClientLimit(error, maxContentLength);
+    }), { policy, label: `${upstream ?? "GET"} ${url}` }));
+
+    if (response.status === 304) {
+      if (!validator) {
+        throw new Error(`Unexpected 304 Not Modified without a cached response for ${url}`);
+      }
+      return { ...response, data: validator.data, links: validator.links ?? {}, notModified: true };
+    }
+
+    const etag = header(response, "etag");
+    const lastModified = header(response, "last-modified");
+    const links = parseLinkHeader(header(response, "link"));
+
+    if (conditional && (etag || lastModified)) {
+      // No stale window: an expired validator is only a slower request, not worth keeping a large body for
+      await validators.set(url, { etag, lastModified, data: response.data, links }, { ttlMs: VALIDATOR_TTL_MS, staleTtlMs: 0 });
+    }
+
+    return { ...response, links, notModified: false };
+  },
+
+  // Forget remembered validators (all, or for one URL)
+  async clearValidators(url = null) {
+    if (url) {
+      await validators.delete(url);
+      return;
+    }
+    const entries = await validators.list();
+    await Promise.all(entries.map((entry) => validators.delete(entry.key)));
+  }
+};
+
+/*──────────────────────────────────────
+  Conditional request helpers
+──────────────────────────────────────*/
+
+function conditionalHeaders(validator) {
+  const headers = {};
+  if (validator?.etag) headers["If-None-Match"] = validator.etag;
+  if (validator?.lastModified) headers["If-Modified-Since"] = validator.lastModified;
+  return headers;
+}
+
+// axios reports an oversized body as ERR_BAD_RESPONSE without a response; typed here so neither
+// retries nor the circuit breaker mistake it for the host failing
+function classifyClientLimit(error, maxContentLength) {
+  if (error.code === "ERR_BAD_RESPONSE" && !error.response && /maxContentLength/.test(error.message)) {
+    return new ResponseTooLargeError(`Upstream response exceeded the ${maxContentLength} byte limit`, { cause: error });
+  }
+  return error;
+}
+
+function readLimit(name, fallback) {
+  const configured = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : fallback;
+}
+
+// RFC 8288 Link header → { next: url, last: url, ... } (used for pagination)
+export function parseLinkHeader(value) {
+  const links = {};
+  for (const [, target, params] of (value || "").matchAll(/<([^>]*)>([^,]*)/g)) {
+    const rel = params.match(/rel="?([^";]+)"?/i)?.[1];
+    for (const name of rel ? rel.trim().toLowerCase().split(/\s+/) : []) {
+      links[name] ??= target;
+    }
+  }
+  return links;
+}
+
+function header(response, name) {
+  const headers = response.headers ?? {};
+  const value = typeof headers.get === "function" ? headers.get(name) : headers[name];
+  return value ? String(value) : null;
+}
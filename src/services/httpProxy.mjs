@@ -0,0 +1,120 @@
+import http from "node:http";
+import https from "node:https";
+import tls from "node:tls";
+
+/*──────────────────────────────────────
+  Outbound proxy support
+  Honors HTTPS_PROXY / HTTP_PROXY / NO_PROXY (either case); HTTPS targets
+  are tunnelled with CONNECT so TLS stays end-to-end
+──────────────────────────────────────*/
+
+const DEFAULT_PORTS = { "http:": 80, "https:": 443 };
+
+// One tunnelling agent per proxy, so connections are reused
+const tunnelAgents = new Map();
+
+export function getProxyForUrl(url, env = process.env) {
+  const target = new URL(url);
+  const variable = target.protocol === "https:" ? "HTTPS_PROXY" : "HTTP_PROXY";
+  const proxy = readEnv(env, variable) || readEnv(env, "ALL_PROXY");
+
+  if (!proxy || bypassesProxy(target, readEnv(env, "NO_PROXY"))) {
+    return null;
+  }
+
+  // Bare host:port is common in proxy variables
+  return new URL(proxy.includes("://") ? proxy : `http://${proxy}`);
+}
+
+// Axios request options that route a URL through the configured proxy (if any)
+export function proxyConfigFor(url, env = process.env) {
+  const proxy = getProxyForUrl(url, env);
+
+  // proxy: false stops axios from applying its own (non-tunnelling) env proxy on top
+  if (!proxy) {
+    return { proxy: false };
+  }
+
+  if (new URL(url).protocol === "https:") {
+    return { proxy: false, httpsAgent: getTunnelAgent(proxy) };
+  }
+
+  return {
+    proxy: {
+      protocol: proxy.protocol.replace(":", ""),
+      host: proxy.hostname,
+      port: Number(proxy.port) || DEFAULT_PORTS[proxy.protocol],
+      ...(proxy.username && { auth: { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) } })
+    }
+  };
+}
+
+/*──────────────────────────────────────
+  CONNECT tunnel agent
+──────────────────────────────────────*/
+
+function getTunnelAgent(proxy) {
+  const key = proxy.href;
+  if (!tunnelAgents.has(key)) {
+    tunnelAgents.set(key, createTunnelAgent(proxy));
+  }
+  return tunnelAgents.get(key);
+}
+
+function createTunnelAgent(proxy) {
+  const agent = new https.Agent({ keepAlive: true });
+
+  agent.createConnection = (options, callback) => {
+    const authority = `${options.host}:${options.port || 443}`;
+    const headers = { Host: authority };
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers["Proxy-Authorization"] = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+
+    const request = (proxy.protocol === "https:" ? https : http).request({
+      host: proxy.hostname,
+      port: Number(proxy.port) || DEFAULT_PORTS[proxy.protocol],
+      method: "CONNECT",
+      path: authority,
+      headers
+    });
+
+    request.once("connect", (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        callback(new Error(`Proxy CONNECT to ${authority} failed with status ${response.statusCode}`));
+        return;
+      }
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+    });
+    request.once("error", callback);
+    request.end();
+  };
+
+  return agent;
+}
+
+/*──────────────────────────────────────
+  Helpers
+──────────────────────────────────────*/
+
+function readEnv(env, name) {
+  return env[name] || env[name.toLowerCase()] || "";
+}
+
+// NO_PROXY entries: "*", host names (leading "." or "*." matches subdomains), optional :port
+function bypassesProxy(target, noProxy) {
+  const host = target.hostname.toLowerCase();
+  const port = Number(target.port) || DEFAULT_PORTS[target.protocol];
+
+  return noProxy.split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === "*") return true;
+
+    const [, entryHost, entryPort] = entry.toLowerCase().match(/^(.+?)(?::(\d+))?$/);
+    if (entryPort && Number(entryPort) !== port) return false;
+
+    const domain = entryHost.replace(/^\*?\./, "");
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
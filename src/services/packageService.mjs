@@ -0,0 +1,131 @@
+import { createCache } from "./cache/index.mjs";
+import { createSingleFlight } from "../utils/singleFlight.mjs";
+import { requireProvider } from "./providers/index.mjs";
+import { PackageNotFoundError } from "../utils/errors.mjs";
+
+/*──────────────────────────────────────
+  Package Version Service
+  Fetches raw version lists from package sources with caching
+──────────────────────────────────────*/
+
+const DEFAULT_CACHE_TTL_SECONDS = 5 * 60; // 5 minutes, override with PACKAGE_CACHE_TTL_SECONDS
+
+// Shared cache keyed by source + package (backend selected by CACHE_BACKEND)
+const cache = createCache("packages");
+
+// Concurrent lookups for the same package share one upstream request
+const inFlight = createSingleFlight("packages");
+
+export const packageService = {
+  // options: source-specific options parsed by the provider, e.g. { owner } for github
+  async fetchVersions(source, pkg, log = () => {}, options = {}) {
+    const { versions } = await this.lookupVersions(source, pkg, log, options);
+    return versions;
+  },
+
+  // Same as fetchVersions, but also returns per-version metadata (publish dates, links and
+  // deprecations where the source has them), npm dist-tags, and how the cache answered (hit, miss or stale)
+  async lookupVersions(source, pkg, log = () => {}, options = {}) {
+    const provider = requireProvider(source);
+    const cacheKey = getCacheKey(provider, pkg, options);
+    const cached = await cache.get(cacheKey);
+
+    // Return cached versions if still valid
+    if (cached?.fresh) {
+      log(`🟢 Cache hit for ${cacheKey}`);
+      return { ...readListing(cached.value), cache: describeEntry("hit", cached) };
+    }
+
+    try {
+      const { listing, entry } = await inFlight.run(cacheKey, async () => {
+        const listing = await fetchFromProvider(provider, pkg, log, options);
+        return { listing, entry: await cache.set(cacheKey, listing, { ttlMs: getCacheTtlSeconds() * 1000 }) };
+      });
+
+      return { ...listing, cache: describeEntry("miss", entry) };
+    } catch (error) {
+      // A missing package is an answer, not an outage: never mask it with stale data
+      if (cached && !(error instanceof PackageNotFoundError)) {
+        console.error(`🔥 ${source} fetch failed for ${pkg}, serving stale versions:`, error.message);
+        return { ...readListing(cached.value), cache: { ...describeEntry("stale", cached), error: error.message } };
+      }
+      // Nothing was served from cache; explain output reports that on the error path too
+      error.cache = { status: "miss", key: cacheKey };
+      throw error;
+    }
+  },
+
+  // Clear cache for testing or manual refresh
+  async clearCache(source = null, pkg = null) {
+    if (source && pkg) {
+      await cache.delete(`${source.toLowerCase()}:${pkg}`);
+      return;
+    }
+
+    const prefix = source ? `${source.toLowerCase()}:` : "";
+    const entries = await cache.list();
+    await Promise.all(entries.filter(entry => entry.key.startsWith(prefix)).map(entry => cache.delete(entry.key)));
+  },
+
+  // Coalescing metrics for debugging
+  getCoalescingMetrics() {
+    return inFlight.getMetrics();
+  },
+
+  // Get cache status for debugging
+  async getCacheStatus() {
+    const status = {};
+    for (const entry of await cache.list()) {
+      status[entry.key] = {
+        age: Math.round(entry.ageMs / 1000), // seconds
+        isValid: entry.fresh,
+        versions: readListing(entry.value).versions.length
+      };
+    }
+    return status;
+  }
+};
+
+async function fetchFromProvider(provider, pkg, log, options) {
+  const listing = await provider.fetchVersions(pkg, { ...options, log });
+  let metadata = listing.metadata ?? {};
+
+  // Providers whose version list carries no metadata may look it up separately
+  if (provider.fetchMetadata && Object.keys(metadata).length === 0 && listing.versions?.length > 0) {
+    metadata = await provider.fetchMetadata(pkg, listing.versions, { ...options, log });
+  }
+  return { versions: listing.versions, metadata, distTags: listing.distTags ?? {} };
+}
+
+/*──────────────────────────────────────
+  Cache helpers
+──────────────────────────────────────*/
+
+// source:package, or source:<provider key> when options select another listing (e.g. a GitHub owner)
+function getCacheKey(provider, pkg, options) {
+  return `${provider.id}:${provider.cacheKey?.(pkg, options) ?? pkg}`;
+}
+
+function getCacheTtlSeconds() {
+  const configured = Number.parseInt(process.env.PACKAGE_CACHE_TTL_SECONDS, 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_CACHE_TTL_SECONDS;
+}
+
+// Entries written before metadata was kept hold a bare version array
+function readListing(value) {
+  if (Array.isArray(value)) {
+    return { versions: value, metadata: {}, distTags: {} };
+  }
+  return { versions: value?.versions ?? [], metadata: value?.metadata ?? {}, distTags: value?.distTags ?? {} };
+}
+
+function describeEntry(status, entry) {
+  return {
+    status,
+    key: entry.key,
+    ageSeconds: Math.round(entry.ageMs / 1000),
+    ttlSeconds: Math.round((entry.expiresAt - entry.storedAt) / 1000),
+    fresh: entry.fresh,
+    count: readListing(entry.value).versions.length
+  };
+}
@@ -0,0 +1,203 @@
+import { httpClient } from "../httpClient.mjs";
+import { SEMVER_SCHEME } from "../../utils/versioningSchemes.mjs";
+import { ValidationError } from "../../utils/errors.mjs";
+import { toSourceError } from "./sourceErrors.mjs";
+import { readPages } from "./pagination.mjs";
+
+/*──────────────────────────────────────
+  Docker provider
+  Image tags from Docker Hub and GHCR through the OCI distribution
+  tags/list API, with the registry token flow and Link pagination;
+  tags that aren't SemVer (latest, sha-…) drop out in the pipeline
+──────────────────────────────────────*/
+
+const DEFAULT_DOCKER_MAX_PAGES = 10; // override with DOCKER_MAX_PAGES
+const DOCKER_PAGE_SIZE = 1000;
+const MAX_TAG_PATTERN_LENGTH = 100;
+const TAG_GLOB_PATTERN = /^[A-Za-z0-9_.*-]+$/;
+
+// Registries images may name; anything else fails the package name pattern
+const REGISTRIES = {
+  "docker.io": {
+    name: "Docker Hub",
+    urlVariable: "DOCKER_HUB_REGISTRY_URL",
+    defaultUrl: "https://registry-1.docker.io",
+    credentialPrefix: "DOCKER_HUB"
+  },
+  "ghcr.io": {
+    name: "GHCR",
+    urlVariable: "GHCR_REGISTRY_URL",
+    defaultUrl: "https://ghcr.io",
+    credentialPrefix: "GHCR"
+  }
+};
+
+const REPOSITORY_COMPONENT = "[a-z0-9]+(?:(?:[._]|__|-+)[a-z0-9]+)*";
+
+export const dockerProvider = {
+  id: "docker",
+  name: "Docker",
+  // [docker.io/ | ghcr.io/]namespace/repository; Docker Hub official images may omit the namespace.
+  // A dotted first segment names a registry host, so other hosts (quay.io/…) are rejected
+  packageNamePattern: new RegExp(`^(?:(?:docker\\.io|ghcr\\.io)/|(?![^/]*\\.[^/]*/))${REPOSITORY_COMPONENT}(?:/${REPOSITORY_COMPONENT})*$`),
+  versioning: SEMVER_SCHEME,
+  logo: "docker",
+  label: "docker",
+
+  parameters: {
+    "tag-pattern": parseTagPattern
+  },
+
+  describeOptions({ tagPattern }) {
+    return tagPattern ? { tagPattern: tagPattern.source } : {};
+  },
+
+  async fetchVersions(pkg, { log }) {
+    const image = parseImageReference(pkg);
+    const registry = REGISTRIES[image.registry];
+    const baseUrl = getRegistryUrl(registry);
+    const url = `${baseUrl}/v2/${image.repository}/tags/list?n=${DOCKER_PAGE_SIZE}`;
+
+    try {
+      // Follow Link: rel="next" (relative to the registry) until the tag list ends
+      const session = { registry, image, token: null };
+      const pages = await readPages(url, (next, deadline) => getWithToken(next, session, deadline, log), {
+        upstream: "docker",
+        maxPages: getDockerMaxPages(),
+        label: `${registry.name} tags for ${image.repository}`,
+        log
+      });
+      const tags = pages.flatMap((page) => page.tags ?? []);
+
+      log(`📋 ${registry.name} tags:`, tags.length);
+
+      return { versions: tags, metadata: {} };
+    } catch (error) {
+      throw toSourceError(error, {
+        notFound: `Docker image not found: ${pkg}`,
+        authRequired: `${registry.name} denied access to ${image.repository}; the image may not exist or may need ` +
+          `${registry.credentialPrefix}_USERNAME/${registry.credentialPrefix}_TOKEN`,
+        source: registry.name
+      });
+    }
+  }
+};
+
+// docker.io/library/nginx, nginx and localstack/localstack all resolve against Docker Hub
+export function parseImageReference(pkg) {
+  const [first, ...rest] = pkg.split("/");
+  if (REGISTRIES[first] && rest.length > 0) {
+    return qualify(first, rest.join("/"));
+  }
+  return qualify("docker.io", pkg);
+}
+
+function qualify(registry, repository) {
+  // Official Docker Hub images live under library/
+  if (registry === "docker.io" && !repository.includes("/")) {
+    return { registry, repository: `library/${repository}` };
+  }
+  return { registry, repository };
+}
+
+/*──────────────────────────────────────
+  Registry token flow
+──────────────────────────────────────*/
+
+// Anonymous first; a 401 names the token endpoint (WWW-Authenticate: Bearer realm=…) to fetch a pull token from.
+// The token call draws on the listing's deadline like the pages do
+async function getWithToken(url, session, deadline, log) {
+  const request = () => httpClient.get(url, {
+    upstream: "docker",
+    headers: session.token ? { Authorization: `Bearer ${session.token}` } : {},
+    retry: deadline.retry()
+  });
+
+  try {
+    return await request();
+  } catch (error) {
+    const challenge = parseBearerChallenge(error.response?.headers?.["www-authenticate"]);
+    if (error.response?.status !== 401 || !challenge || session.token) {
+      throw error;
+    }
+
+    session.token = await fetchRegistryToken(challenge, session, deadline, log);
+    return await request();
+  }
+}
+
+async function fetchRegistryToken(challenge, { registry, image }, deadline, log) {
+  const tokenUrl = new URL(challenge.realm);
+  if (challenge.service) tokenUrl.searchParams.set("service", challenge.service);
+  tokenUrl.searchParams.set("scope", challenge.scope ?? `repository:${image.repository}:pull`);
+
+  const headers = {};
+  const username = process.env[`${registry.credentialPrefix}_USERNAME`];
+  const password = process.env[`${registry.credentialPrefix}_TOKEN`];
+  if (username || password) {
+    headers["Authorization"] = `Basic ${Buffer.from(`${username ?? ""}:${password ?? ""}`).toString("base64")}`;
+  }
+
+  log(`🔑 GET ${registry.name} token`, tokenUrl.href);
+  // Tokens are short-lived: never revalidate them from a remembered response
+  const { data } = await httpClient.get(tokenUrl.href, {
+    upstream: "docker",
+    headers,
+    conditional: false,
+    retry: deadline.retry()
+  });
+  return data.token ?? data.access_token;
+}
+
+// Bearer realm="https://auth.docker.io/token",service="registry.docker.io",scope="repository:x:pull"
+function parseBearerChallenge(value) {
+  if (!value || !/^bearer\s/i.test(value)) return null;
+
+  const params = Object.fromEntries([...value.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, val]) => [key.toLowerCase(), val]));
+  return params.realm ? params : null;
+}
+
+/*──────────────────────────────────────
+  Parameters and configuration
+──────────────────────────────────────*/
+
+// tag-pattern keeps tags matching a glob of tag characters and * wildcards, e.g. *-arm64 for architecture builds.
+// User-supplied, so it never becomes a RegExp: matching is a linear scan for the literal pieces
+function parseTagPattern(patternParam) {
+  if (patternParam === undefined || patternParam === null || patternParam === "") {
+    return null;
+  }
+
+  const pattern = patternParam.toString();
+  if (pattern.length > MAX_TAG_PATTERN_LENGTH || !TAG_GLOB_PATTERN.test(pattern)) {
+    throw new ValidationError(`Invalid tag-pattern parameter: '${pattern}' must be at most ${MAX_TAG_PATTERN_LENGTH} tag characters (letters, digits, '.', '_', '-') and '*' wildcards`, { param: "tag-pattern" });
+  }
+
+  return { source: pattern, test: (tag) => matchesTagGlob(tag, pattern.split("*")) };
+}
+
+// pieces of the glob split on *: the first anchors the start, the last the end, the rest appear in order between
+function matchesTagGlob(tag, pieces) {
+  const first = pieces[0];
+  const last = pieces[pieces.length - 1];
+  if (pieces.length === 1) return tag === first;
+  if (tag.length < first.length + last.length || !tag.startsWith(first) || !tag.endsWith(last)) return false;
+
+  const end = tag.length - last.length;
+  let position = first.length;
+  for (const piece of pieces.slice(1, -1)) {
+    const found = tag.indexOf(piece, position);
+    if (found === -1 || found + piece.length > end) return false;
+    position = found + piece.length;
+  }
+  return true;
+}
+
+function getRegistryUrl(registry) {
+  return (process.env[registry.urlVariable] || registry.defaultUrl).replace(/\/+$/, "");
+}
+
+function getDockerMaxPages() {
+  const configured = Number.parseInt(process.env.DOCKER_MAX_PAGES, 10);
+  return Number.isInteger(configured) && configured >= 1 ? configured : DEFAULT_DOCKER_MAX_PAGES;
+}
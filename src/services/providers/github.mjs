@@ -0,0 +1,114 @@
+import { httpClient } from "../httpClient.mjs";
+import { SEMVER_SCHEME } from "../../utils/versioningSchemes.mjs";
+import { resolveGitHubOwner, getOwnerPackagesPath } from "../../utils/githubOwners.mjs";
+import { toSourceError } from "./sourceErrors.mjs";
+import { readPages } from "./pagination.mjs";
+
+/*──────────────────────────────────────
+  GitHub Packages provider
+  NuGet packages published to an organization or user account;
+  the owner query parameter picks the account (see githubOwners.mjs)
+──────────────────────────────────────*/
+
+const DEFAULT_GITHUB_API_URL = "https://api.github.com"; // override with GITHUB_API_URL
+const DEFAULT_GITHUB_MAX_PAGES = 10; // override with GITHUB_MAX_PAGES
+const GITHUB_PAGE_SIZE = 100; // the API maximum
+
+export const githubProvider = {
+  id: "github",
+  name: "GitHub",
+  packageNamePattern: /^[a-z0-9_.-]+$/,
+  versioning: SEMVER_SCHEME,
+  logo: "github",
+  label: "github",
+  // CI builds are published as "<tag>-yyyyMMdd-HHmmss", which prefer-clean collapses
+  timestampedBuilds: true,
+
+  parameters: {
+    owner: (value) => resolveGitHubOwner(value)
+  },
+
+  // Packages under the default owner keep the plain package key
+  cacheKey(pkg, { owner }) {
+    return owner && !owner.isDefault ? `${owner.login.toLowerCase()}/${pkg}` : pkg;
+  },
+
+  describeOptions({ owner }) {
+    return owner ? { owner: owner.login } : {};
+  },
+
+  async fetchVersions(pkg, { log, owner = resolveGitHubOwner() }) {
+    // Convert package name to proper case for GitHub API
+    // e.g., "localstack.client.extensions" -> "LocalStack.Client.Extensions"
+    const packageName = pkg
+      .split('.')
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
+      .join('.');
+
+    const url = `${getGitHubApiUrl()}/${getOwnerPackagesPath(owner)}/packages/nuget/${encodeURIComponent(packageName)}/versions?per_page=${GITHUB_PAGE_SIZE}`;
+
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28'
+    };
+
+    // GitHub API often requires authentication for package access
+    // You should set this environment variable with a GitHub PAT
+    if (process.env.GITHUB_TOKEN) {
+      headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+
+    try {
+      // Follow Link: rel="next" so older manual tags behind many CI builds are not lost
+      const pages = await readPages(url, (next, deadline) => httpClient.get(next, {
+        upstream: "github",
+        headers,
+        retry: deadline.retry()
+      }), {
+        upstream: "github",
+        maxPages: getGitHubMaxPages(),
+        label: `GitHub versions for ${owner.login}/${packageName}`,
+        log
+      });
+      const entries = pages.flat();
+
+      // GitHub API returns versions in chronological order (newest first)
+      // We should trust this ordering rather than re-sorting with semver
+      // which can incorrectly rank timestamp-based versions higher
+      const versionNames = entries.map(version => version.name);
+
+      log("📋 GitHub versions (chronological):", versionNames);
+
+      return { versions: versionNames, metadata: describeGitHubVersions(entries) };
+    } catch (error) {
+      throw toSourceError(error, {
+        notFound: `GitHub package not found: ${owner.login}/${packageName}`,
+        authRequired: "GitHub API requires authentication. Set GITHUB_TOKEN environment variable.",
+        source: "GitHub"
+      });
+    }
+  }
+};
+
+// Publish dates and page links per version name (newest entry wins on duplicates)
+function describeGitHubVersions(entries) {
+  const metadata = {};
+  for (const { name, created_at: createdAt, updated_at: updatedAt, html_url: htmlUrl } of entries) {
+    if (Object.hasOwn(metadata, name) || !(createdAt || updatedAt || htmlUrl)) continue;
+    metadata[name] = {
+      ...(createdAt && { createdAt }),
+      ...(updatedAt && { updatedAt }),
+      ...(htmlUrl && { htmlUrl })
+    };
+  }
+  return metadata;
+}
+
+function getGitHubApiUrl() {
+  return (process.env.GITHUB_API_URL || DEFAULT_GITHUB_API_URL).replace(/\/+$/, "");
+}
+
+function getGitHubMaxPages() {
+  const configured = Number.parseInt(process.env.GITHUB_MAX_PAGES, 10);
+  return Number.isInteger(configured) && configured >= 1 ? configured : DEFAULT_GITHUB_MAX_PAGES;
+}
@@ -0,0 +1,90 @@
+import { ValidationError } from "../../utils/errors.mjs";
+import { nugetProvider } from "./nuget.mjs";
+import { githubProvider } from "./github.mjs";
+import { nugetFeedProvider } from "./nugetFeed.mjs";
+import { npmProvider } from "./npm.mjs";
+import { dockerProvider } from "./docker.mjs";
+
+/*──────────────────────────────────────
+  Source provider registry
+  Each package source (?source=) is a provider object:
+
+    id                  source parameter value, e.g. "nuget"
+    name                display name for logs and error messages
+    packageNamePattern  accepted (lower-cased) package names
+    versioning          versioning scheme: { name, parse, compare, toSemVer }
+    logo, label         default badge logo and label suffix ("<package> <label>")
+    fetchVersions(pkg, { log, ...options }) -> { versions, metadata, distTags? }
+
+  Optional:
+    parameters          source-specific query parameters: { name: (value) => option },
+                        kebab-case names become camelCase option keys
+    cacheKey(pkg, options)        key suffix when options select a different listing
+    describeOptions(options)      parsed options echoed by explain mode
+    fetchMetadata(pkg, versions, { log, ...options }) -> { [version]: { ... } }
+                        extra per-version metadata when the listing has none
+    timestampedBuilds   the source publishes timestamped CI builds (enables prefer-clean)
+──────────────────────────────────────*/
+
+export const DEFAULT_SOURCE = "nuget"; // legacy routes without ?source=
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+  for (const field of ["id", "name", "packageNamePattern", "versioning", "logo", "label", "fetchVersions"]) {
+    if (!provider?.[field]) {
+      throw new Error(`Invalid source provider '${provider?.id}': missing ${field}`);
+    }
+  }
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+// resetProviders restores the built-in set
+export function unregisterProvider(id) {
+  providers.delete(id);
+}
+
+export function getProvider(source) {
+  return typeof source === "string" ? providers.get(source.toLowerCase()) ?? null : null;
+}
+
+// Like getProvider, but an unknown source is a bad request
+export function requireProvider(source) {
+  const provider = getProvider(source);
+  if (!provider) {
+    throw new ValidationError(`Unsupported source: ${source}`, { param: "source" });
+  }
+  return provider;
+}
+
+export function getProviderIds() {
+  return [...providers.keys()];
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+// Query parameters some provider declares, mapped to the providers that accept them
+export function getSourceParameters() {
+  const parameters = new Map();
+  for (const provider of providers.values()) {
+    for (const name of Object.keys(provider.parameters ?? {})) {
+      parameters.set(name, [...(parameters.get(name) ?? []), provider.id]);
+    }
+  }
+  return parameters;
+}
+
+// Built-in providers, in the order error messages list them
+export function resetProviders() {
+  providers.clear();
+  registerProvider(nugetProvider);
+  registerProvider(githubProvider);
+  registerProvider(nugetFeedProvider);
+  registerProvider(npmProvider);
+  registerProvider(dockerProvider);
+}
+
+resetProviders();
@@ -0,0 +1,98 @@
+import { httpClient } from "../httpClient.mjs";
+import { SEMVER_SCHEME } from "../../utils/versioningSchemes.mjs";
+import { ValidationError } from "../../utils/errors.mjs";
+import { toSourceError } from "./sourceErrors.mjs";
+
+/*──────────────────────────────────────
+  npm provider
+  Version lists, dist-tags and deprecations from the registry packument;
+  NPM_REGISTRY_URL points it at a mirror or a local stand-in
+──────────────────────────────────────*/
+
+const DEFAULT_NPM_REGISTRY_URL = "https://registry.npmjs.org"; // override with NPM_REGISTRY_URL
+
+// The abbreviated ("corgi") document carries versions, dist-tags and deprecations at a fraction of the size
+const ABBREVIATED_PACKUMENT = "application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8";
+
+export const npmProvider = {
+  id: "npm",
+  name: "npm",
+  // Optional @scope/, lower-case URL-safe characters, at most 214 characters
+  packageNamePattern: /^(?=.{1,214}$)(?:@[a-z0-9][a-z0-9._~-]*\/)?[a-z0-9][a-z0-9._~-]*$/,
+  versioning: SEMVER_SCHEME,
+  logo: "npm",
+  label: "npm",
+
+  parameters: {
+    tag: parseDistTag
+  },
+
+  describeOptions({ tag }) {
+    return tag ? { tag } : {};
+  },
+
+  async fetchVersions(pkg, { log }) {
+    const url = `${getRegistryUrl()}/${encodePackageName(pkg)}`;
+    log("📡 GET npm", url);
+
+    const headers = { Accept: ABBREVIATED_PACKUMENT };
+    if (process.env.NPM_TOKEN) {
+      headers["Authorization"] = `Bearer ${process.env.NPM_TOKEN}`;
+    }
+
+    try {
+      const { data } = await httpClient.get(url, { upstream: "npm", headers });
+      const versions = Object.keys(data.versions ?? {});
+
+      log("📋 npm dist-tags:", data["dist-tags"]);
+
+      return {
+        versions,
+        metadata: describeNpmVersions(data),
+        distTags: { ...data["dist-tags"] }
+      };
+    } catch (error) {
+      throw toSourceError(error, {
+        notFound: `npm package not found: ${pkg}`,
+        authRequired: "npm registry requires authentication. Set NPM_TOKEN environment variable.",
+        source: "npm"
+      });
+    }
+  }
+};
+
+// tag selects the version a dist-tag points at, e.g. tag=next
+function parseDistTag(tagParam) {
+  if (tagParam === undefined || tagParam === null || tagParam === "") {
+    return null;
+  }
+
+  const tag = tagParam.toString().trim();
+  if (!/^[a-z0-9][a-z0-9._-]{0,63}$/i.test(tag)) {
+    throw new ValidationError(`Invalid tag parameter: '${tagParam}'. Must be an npm dist-tag such as 'latest' or 'next'`, { param: "tag" });
+  }
+  return tag;
+}
+
+// Deprecation notices and publish times per version, where the packument has them
+function describeNpmVersions(data) {
+  const metadata = {};
+  for (const [version, manifest] of Object.entries(data.versions ?? {})) {
+    const createdAt = data.time?.[version];
+    if (!manifest?.deprecated && !createdAt) continue;
+    metadata[version] = {
+      ...(createdAt && { createdAt }),
+      ...(manifest?.deprecated && { deprecated: manifest.deprecated })
+    };
+  }
+  return metadata;
+}
+
+// Scoped names keep their "@" but escape the slash: @scope%2Fpkg
+function encodePackageName(pkg) {
+  return encodeURIComponent(pkg).replace(/^%40/, "@");
+}
+
+function getRegistryUrl() {
+  return (process.env.NPM_REGISTRY_URL || DEFAULT_NPM_REGISTRY_URL).replace(/\/+$/, "");
+}
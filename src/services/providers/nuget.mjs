@@ -0,0 +1,42 @@
+import { httpClient } from "../httpClient.mjs";
+import { NUGET_SCHEME } from "../../utils/versioningSchemes.mjs";
+import { toSourceError } from "./sourceErrors.mjs";
+
+/*──────────────────────────────────────
+  NuGet provider
+  Version lists from the nuget.org flat container
+──────────────────────────────────────*/
+
+const NUGET_ORG_PACKAGE_BASE_ADDRESS = "https://api.nuget.org/v3-flatcontainer/";
+
+export const nugetProvider = {
+  id: "nuget",
+  name: "NuGet",
+  packageNamePattern: /^[a-z0-9_.-]+$/,
+  versioning: NUGET_SCHEME,
+  logo: "nuget",
+  label: "nuget",
+
+  async fetchVersions(pkg, { log }) {
+    return fetchFlatContainerVersions(NUGET_ORG_PACKAGE_BASE_ADDRESS, pkg, {
+      log,
+      upstream: "nuget",
+      notFound: `NuGet package not found: ${pkg}`,
+      source: "NuGet"
+    });
+  }
+};
+
+// PackageBaseAddress/3.0.0 ("flat container"): {base}/{id-lowercase}/index.json lists every version;
+// upstream picks the retry settings and internal hides the host from public diagnostics
+export async function fetchFlatContainerVersions(baseAddress, pkg, { log, upstream, internal = false, headers = {}, notFound, authRequired = null, source }) {
+  const url = `${baseAddress.replace(/\/*$/, "/")}${encodeURIComponent(pkg.toLowerCase())}/index.json`;
+  log(`📡 GET ${source}`, url);
+
+  try {
+    const { data } = await httpClient.get(url, { upstream, internal, headers });
+    return { versions: data.versions, metadata: {} };
+  } catch (error) {
+    throw toSourceError(error, { notFound, authRequired, source, internal });
+  }
+}
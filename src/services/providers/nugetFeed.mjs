@@ -0,0 +1,122 @@
+import { httpClient } from "../httpClient.mjs";
+import { createCache } from "../cache/index.mjs";
+import { NUGET_SCHEME } from "../../utils/versioningSchemes.mjs";
+import { BadgeError } from "../../utils/errors.mjs";
+import { resolveNuGetFeed, getFeedAuthorization, getFeedCredentialPrefix } from "../../utils/nugetFeeds.mjs";
+import { fetchFlatContainerVersions } from "./nuget.mjs";
+import { toSourceError } from "./sourceErrors.mjs";
+
+/*──────────────────────────────────────
+  NuGet feed provider
+  Private NuGet v3 feeds (Azure Artifacts, MyGet, BaGet, ...) configured
+  in NUGET_FEEDS; the feed's service index tells us where its flat
+  container lives
+──────────────────────────────────────*/
+
+const PACKAGE_BASE_ADDRESS_TYPE = "PackageBaseAddress/3.0.0";
+
+// NUGET_FEED_* retry settings; feed hosts are internal and never listed by /diagnostics
+const UPSTREAM = "nuget-feed";
+const DEFAULT_SERVICE_INDEX_TTL_SECONDS = 60 * 60; // 1 hour, override with NUGET_SERVICE_INDEX_TTL_SECONDS
+
+// Discovered package base addresses keyed by feed alias
+const serviceIndexes = createCache("nuget-feed-index");
+
+export const nugetFeedProvider = {
+  id: "nuget-feed",
+  name: "NuGet feed",
+  packageNamePattern: /^[a-z0-9_.-]+$/,
+  versioning: NUGET_SCHEME,
+  logo: "nuget",
+  label: "nuget",
+
+  parameters: {
+    feed: (value) => resolveNuGetFeed(value)
+  },
+
+  cacheKey(pkg, { feed }) {
+    return `${feed.alias}/${pkg}`;
+  },
+
+  describeOptions({ feed }) {
+    return { feed: feed.alias };
+  },
+
+  async fetchVersions(pkg, { log, feed }) {
+    const baseAddress = await discoverPackageBaseAddress(feed, log);
+
+    return fetchFlatContainerVersions(baseAddress, pkg, {
+      log,
+      upstream: UPSTREAM,
+      internal: true,
+      headers: authHeadersFor(feed, baseAddress),
+      notFound: `NuGet package not found in feed '${feed.alias}': ${pkg}`,
+      authRequired: authRequiredMessage(feed),
+      source: `NuGet feed '${feed.alias}'`
+    });
+  }
+};
+
+// Forget discovered service indexes (tests, feed reconfiguration)
+export async function clearServiceIndexCache() {
+  const entries = await serviceIndexes.list();
+  await Promise.all(entries.map((entry) => serviceIndexes.delete(entry.key)));
+}
+
+/*──────────────────────────────────────
+  Service index discovery
+──────────────────────────────────────*/
+
+async function discoverPackageBaseAddress(feed, log) {
+  const cached = await serviceIndexes.get(feed.alias);
+  if (cached?.fresh && cached.value.indexUrl === feed.indexUrl) {
+    return cached.value.baseAddress;
+  }
+
+  log(`📡 GET NuGet feed '${feed.alias}' service index`, feed.indexUrl);
+
+  let data;
+  try {
+    ({ data } = await httpClient.get(feed.indexUrl, {
+      upstream: UPSTREAM,
+      internal: true,
+      headers: authHeadersFor(feed, feed.indexUrl)
+    }));
+  } catch (error) {
+    // A missing service index is a configuration problem, not a missing package; only the log names the URL
+    if (error.response?.status === 404) {
+      console.error(`🔥 NuGet feed '${feed.alias}' has no service index at ${feed.indexUrl}`);
+      throw new BadgeError(`NuGet feed '${feed.alias}' has no service index`, { cause: error });
+    }
+    throw toSourceError(error, { notFound: null, authRequired: authRequiredMessage(feed), source: `NuGet feed '${feed.alias}'`, internal: true });
+  }
+
+  const resource = (data?.resources ?? []).find((entry) => [entry["@type"]].flat().includes(PACKAGE_BASE_ADDRESS_TYPE));
+  if (!resource?.["@id"]) {
+    throw new BadgeError(`NuGet feed '${feed.alias}' does not advertise ${PACKAGE_BASE_ADDRESS_TYPE}`);
+  }
+
+  const baseAddress = new URL(resource["@id"], feed.indexUrl).href;
+  await serviceIndexes.set(feed.alias, { indexUrl: feed.indexUrl, baseAddress }, { ttlMs: getServiceIndexTtlSeconds() * 1000 });
+  return baseAddress;
+}
+
+// Credentials only go to the origin the feed was configured with, never to
+// hosts a service index happens to name
+function authHeadersFor(feed, url) {
+  const authorization = getFeedAuthorization(feed);
+  if (!authorization || new URL(url).origin !== new URL(feed.indexUrl).origin) {
+    return {};
+  }
+  return { Authorization: authorization };
+}
+
+function authRequiredMessage(feed) {
+  const prefix = getFeedCredentialPrefix(feed);
+  return `NuGet feed '${feed.alias}' requires authentication. Set ${prefix}TOKEN or ${prefix}USERNAME/${prefix}PASSWORD.`;
+}
+
+function getServiceIndexTtlSeconds() {
+  const configured = Number.parseInt(process.env.NUGET_SERVICE_INDEX_TTL_SECONDS, 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_SERVICE_INDEX_TTL_SECONDS;
+}
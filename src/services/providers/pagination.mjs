@@ -0,0 +1,63 @@
+import { getRetryPolicy } from "../retryPolicy.mjs";
+
+/*──────────────────────────────────────
+  Link-header pagination for provider listings
+  Every request of one listing (pages, token calls) shares the upstream's
+  retry deadline, so a long listing can't outlast the API Gateway limit;
+  when pages or time run out the listing keeps what it has read
+──────────────────────────────────────*/
+
+/**
+ * Read a paginated listing by following Link: rel="next" (resolved against the current page)
+ * @param {string} url first page
+ * @param {(url: string, deadline: { retry: () => { deadlineMs: number } }) => Promise<{ data: any, links: object }>} getPage
+ * @param {{ upstream: string, maxPages: number, label: string, log: Function }} options
+ * @returns {Promise<any[]>} page bodies in order
+ */
+export async function readPages(url, getPage, { upstream, maxPages, label, log }) {
+  const deadline = createListingDeadline(upstream);
+  const pages = [];
+  let next = url;
+
+  while (next && pages.length < maxPages) {
+    if (pages.length > 0 && deadline.expired()) {
+      console.log(`⚠️ ${label} truncated after ${pages.length} pages: ${deadline.deadlineMs}ms listing deadline reached`);
+      return pages;
+    }
+
+    log(`📡 GET ${label}`, next);
+    let response;
+    try {
+      response = await getPage(next, deadline);
+    } catch (error) {
+      // A later page that ran out of time ends the listing; the pages read so far still count
+      if (pages.length > 0 && deadline.expired()) {
+        console.log(`⚠️ ${label} truncated after ${pages.length} pages: ${deadline.deadlineMs}ms listing deadline reached`);
+        return pages;
+      }
+      throw error;
+    }
+
+    pages.push(response.data);
+    next = response.links?.next ? new URL(response.links.next, next).href : null;
+  }
+
+  if (next) {
+    console.log(`⚠️ ${label} truncated at ${maxPages} pages`);
+  }
+
+  return pages;
+}
+
+// retry() hands each request what is left of the shared deadline
+function createListingDeadline(upstream) {
+  const { deadlineMs } = getRetryPolicy(upstream);
+  const startedAt = Date.now();
+  const remainingMs = () => Math.max(0, deadlineMs - (Date.now() - startedAt));
+
+  return {
+    deadlineMs,
+    expired: () => remainingMs() === 0,
+    retry: () => ({ deadlineMs: remainingMs() })
+  };
+}
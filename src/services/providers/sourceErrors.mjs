@@ -0,0 +1,38 @@
+import { parseRetryAfter } from "../retryPolicy.mjs";
+import { PackageNotFoundError, AuthRequiredError, RateLimitedError, UpstreamUnavailableError } from "../../utils/errors.mjs";
+
+/*──────────────────────────────────────
+  Upstream error classification
+  Shared by providers so every source maps HTTP failures to the same typed errors
+──────────────────────────────────────*/
+
+// Classify upstream HTTP failures by status; anything unrecognised passes through untouched, except from
+// internal (private feed) upstreams, whose raw errors name hosts and URLs: those are logged and replaced
+export function toSourceError(error, { notFound, authRequired = null, source, internal = false }) {
+  const status = error.response?.status;
+  const headers = error.response?.headers ?? {};
+
+  if (status === 404) {
+    return new PackageNotFoundError(notFound, { cause: error });
+  }
+
+  // GitHub signals an exhausted rate limit with 403 and x-ratelimit-remaining: 0
+  if (status === 429 || (status === 403 && String(headers["x-ratelimit-remaining"]) === "0")) {
+    const retryAfterMs = parseRetryAfter(headers["retry-after"]);
+    return new RateLimitedError(`${source} rate limit exceeded`, {
+      cause: error,
+      retryAfterSeconds: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000)
+    });
+  }
+
+  if (authRequired && (status === 401 || status === 403)) {
+    return new AuthRequiredError(authRequired, { cause: error });
+  }
+
+  if (internal) {
+    console.error(`🔥 ${source} request failed:`, error.message);
+    return new UpstreamUnavailableError(`${source} is unavailable`, { cause: error, retryAfterSeconds: error.retryAfterSeconds ?? null });
+  }
+
+  return error;
+}
@@ -0,0 +1,111 @@
+/*──────────────────────────────────────
+  Retry policy for upstream calls
+  Exponential backoff with full jitter, Retry-After support
+  and a total deadline per request
+──────────────────────────────────────*/
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 2,
+  baseDelayMs: 200,
+  maxDelayMs: 2000,
+  deadlineMs: 10000 // keep below the Lambda timeout
+};
+
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"]);
+
+const ENV_FIELDS = {
+  retries: "RETRIES",
+  baseDelayMs: "RETRY_BASE_DELAY_MS",
+  maxDelayMs: "RETRY_MAX_DELAY_MS",
+  deadlineMs: "DEADLINE_MS"
+};
+
+// Defaults < UPSTREAM_* < <UPSTREAM>_* (NUGET_, NUGET_FEED_, GITHUB_, GIST_) < explicit overrides
+export function getRetryPolicy(upstream = null, overrides = {}, env = process.env) {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  const prefixes = ["UPSTREAM", upstream?.toUpperCase().replace(/-/g, "_")].filter(Boolean);
+
+  for (const prefix of prefixes) {
+    for (const [field, suffix] of Object.entries(ENV_FIELDS)) {
+      const configured = Number.parseInt(env[`${prefix}_${suffix}`], 10);
+      if (Number.isInteger(configured) && configured >= 0) {
+        policy[field] = configured;
+      }
+    }
+  }
+
+  return { ...policy, ...overrides };
+}
+
+export function isRetryableError(error) {
+  const status = error.response?.status;
+  if (status) {
+    return RETRYABLE_STATUSES.has(status);
+  }
+  return RETRYABLE_CODES.has(error.code);
+}
+
+// Milliseconds requested by a Retry-After header (delta-seconds or HTTP date), or null
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function computeBackoffMs(attempt, policy, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Run an operation, retrying transient failures until the policy or deadline runs out
+ * @param {(context: { attempt: number, remainingMs: number }) => Promise<any>} operation
+ */
+export async function withRetry(operation, { policy = DEFAULT_RETRY_POLICY, label = "request", sleep = delay, random = Math.random } = {}) {
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    const remainingMs = policy.deadlineMs - (Date.now() - startedAt);
+
+    try {
+      return await operation({ attempt, remainingMs });
+    } catch (error) {
+      if (attempt >= policy.retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = parseRetryAfter(retryAfterHeader(error));
+      const waitMs = retryAfterMs ?? computeBackoffMs(attempt, policy, random);
+      const leftMs = policy.deadlineMs - (Date.now() - startedAt);
+
+      // Waiting would leave no time for another attempt
+      if (waitMs >= leftMs) {
+        console.error(`⏱️ Giving up on ${label}: retry in ${waitMs}ms would exceed the ${policy.deadlineMs}ms deadline`);
+        throw error;
+      }
+
+      console.log(`🔁 Retrying ${label} in ${waitMs}ms (attempt ${attempt + 2}/${policy.retries + 1}): ${error.message}`);
+      await sleep(waitMs);
+    }
+  }
+}
+
+/*──────────────────────────────────────
+  Helpers
+──────────────────────────────────────*/
+
+function retryAfterHeader(error) {
+  const headers = error.response?.headers ?? {};
+  return typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,364 @@
+import { getLogoDataUri, svgToDataUri } from "./badgeLogos.mjs";
+
+/*──────────────────────────────────────
+  Native SVG Badge Renderer
+  Renders shields.io-equivalent badges without the img.shields.io round-trip
+──────────────────────────────────────*/
+
+// Shields.io named colors and their aliases
+const NAMED_COLORS = {
+  brightgreen: "#4c1",
+  green: "#97ca00",
+  yellow: "#dfb317",
+  yellowgreen: "#a4a61d",
+  orange: "#fe7d37",
+  red: "#e05d44",
+  blue: "#007ec6",
+  grey: "#555",
+  lightgrey: "#9f9f9f",
+};
+
+const COLOR_ALIASES = {
+  gray: "grey",
+  lightgray: "lightgrey",
+  critical: "red",
+  important: "orange",
+  success: "brightgreen",
+  informational: "blue",
+  inactive: "lightgrey",
+};
+
+// CSS color keywords shields passes straight through to the SVG
+const CSS_COLOR_NAMES = new Set(`
+  aliceblue antiquewhite aqua aquamarine azure beige bisque black blanchedalmond blueviolet brown
+  burlywood cadetblue chartreuse chocolate coral cornflowerblue cornsilk crimson cyan darkblue
+  darkcyan darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta darkolivegreen
+  darkorange darkorchid darkred darksalmon darkseagreen darkslateblue darkslategray darkslategrey
+  darkturquoise darkviolet deeppink deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite
+  forestgreen fuchsia gainsboro ghostwhite gold goldenrod greenyellow honeydew hotpink indianred
+  indigo ivory khaki lavender lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan
+  lightgoldenrodyellow lightgreen lightpink lightsalmon lightseagreen lightskyblue lightslategray
+  lightslategrey lightsteelblue lightyellow lime limegreen linen magenta maroon mediumaquamarine
+  mediumblue mediumorchid mediumpurple mediumseagreen mediumslateblue mediumspringgreen
+  mediumturquoise mediumvioletred midnightblue mintcream mistyrose moccasin navajowhite navy
+  oldlace olive olivedrab orangered orchid palegoldenrod palegreen paleturquoise palevioletred
+  papayawhip peachpuff peru pink plum powderblue purple rebeccapurple rosybrown royalblue
+  saddlebrown salmon sandybrown seagreen seashell sienna silver skyblue slateblue slategray
+  slategrey snow springgreen steelblue tan teal thistle tomato turquoise violet wheat white
+  whitesmoke yellowgreen
+`.trim().split(/\s+/));
+
+const DEFAULT_LABEL_COLOR = "#555";
+const DEFAULT_MESSAGE_COLOR = "#9f9f9f";
+const LOGO_WIDTH = 14;
+
+// Verdana advance widths in em, used to measure text at 11px like shields does
+const VERDANA_EM_WIDTHS = {
+  " ": 0.352, "!": 0.394, "\"": 0.459, "#": 0.818, "$": 0.636, "%": 1.076, "&": 0.727, "'": 0.269,
+  "(": 0.454, ")": 0.454, "*": 0.636, "+": 0.818, ",": 0.364, "-": 0.454, ".": 0.364, "/": 0.454,
+  "0": 0.636, "1": 0.636, "2": 0.636, "3": 0.636, "4": 0.636, "5": 0.636, "6": 0.636, "7": 0.636,
+  "8": 0.636, "9": 0.636, ":": 0.454, ";": 0.454, "<": 0.818, "=": 0.818, ">": 0.818, "?": 0.545,
+  "@": 1.0, "A": 0.684, "B": 0.686, "C": 0.698, "D": 0.771, "E": 0.632, "F": 0.575, "G": 0.775,
+  "H": 0.751, "I": 0.421, "J": 0.455, "K": 0.693, "L": 0.557, "M": 0.843, "N": 0.748, "O": 0.787,
+  "P": 0.603, "Q": 0.787, "R": 0.695, "S": 0.684, "T": 0.616, "U": 0.732, "V": 0.684, "W": 0.989,
+  "X": 0.685, "Y": 0.615, "Z": 0.685, "[": 0.454, "\\": 0.454, "]": 0.454, "^": 0.818, "_": 0.636,
+  "`": 0.636, "a": 0.601, "b": 0.623, "c": 0.521, "d": 0.623, "e": 0.596, "f": 0.352, "g": 0.623,
+  "h": 0.633, "i": 0.274, "j": 0.344, "k": 0.592, "l": 0.274, "m": 0.973, "n": 0.633, "o": 0.607,
+  "p": 0.623, "q": 0.623, "r": 0.427, "s": 0.521, "t": 0.394, "u": 0.633, "v": 0.592, "w": 0.818,
+  "x": 0.592, "y": 0.592, "z": 0.525, "{": 0.635, "|": 0.454, "}": 0.635, "~": 0.818,
+};
+
+// Typography per style; width scale approximates the face/weight relative to Verdana
+const FONTS = {
+  verdana: {
+    family: "Verdana,Geneva,DejaVu Sans,sans-serif",
+    size: 11,
+    widthScale: 1,
+    letterSpacing: 0,
+  },
+  verdanaBold: {
+    family: "Verdana,Geneva,DejaVu Sans,sans-serif",
+    size: 10,
+    widthScale: 1.1,
+    letterSpacing: 1.25,
+  },
+  helveticaBold: {
+    family: "Helvetica Neue,Helvetica,Arial,sans-serif",
+    size: 11,
+    widthScale: 0.93,
+    letterSpacing: 0,
+  },
+};
+
+const STYLES = {
+  "flat": renderFlat,
+  "flat-square": renderFlatSquare,
+  "plastic": renderPlastic,
+  "for-the-badge": renderForTheBadge,
+  "social": renderSocial,
+};
+
+export const BADGE_STYLES = Object.keys(STYLES);
+
+/*──────────────────────────────────────
+  Public API
+──────────────────────────────────────*/
+
+export function renderBadge(badge) {
+  const render = STYLES[badge.style] || renderFlat;
+  return render(badge);
+}
+
+export function measureTextWidth(text, font = FONTS.verdana) {
+  const fallback = VERDANA_EM_WIDTHS.m;
+  let em = 0;
+  let count = 0;
+  for (const char of String(text)) {
+    em += VERDANA_EM_WIDTHS[char] ?? fallback;
+    count++;
+  }
+  return em * font.size * font.widthScale + font.letterSpacing * count;
+}
+
+export function normalizeColor(color) {
+  if (color === undefined || color === null) return null;
+
+  const value = String(color).trim().toLowerCase();
+  if (!value) return null;
+
+  const name = COLOR_ALIASES[value] || value;
+  if (NAMED_COLORS[name]) return NAMED_COLORS[name];
+
+  const hex = value.replace(/^#/, "");
+  if (/^([\da-f]{3}){1,2}$/.test(hex)) return `#${hex}`;
+
+  if (/^(rgb|hsl)a?\([\d\s.,%]+\)$/.test(value)) return value;
+
+  if (CSS_COLOR_NAMES.has(value)) return value;
+
+  return null;
+}
+
+/*──────────────────────────────────────
+  Style renderers
+──────────────────────────────────────*/
+
+function renderFlat(badge) {
+  const layout = computeLayout(badge, { font: FONTS.verdana, padding: 5, logoX: 5, logoGap: 3 });
+  const { totalWidth, labelWidth, messageWidth, leftColor, rightColor } = layout;
+
+  return svgDocument(layout, 20, [
+    `<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>`,
+    `<clipPath id="r"><rect width="${totalWidth}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    `<g clip-path="url(#r)">`,
+    `<rect width="${labelWidth}" height="20" fill="${leftColor}"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${rightColor}"/>`,
+    `<rect width="${totalWidth}" height="20" fill="url(#s)"/>`,
+    `</g>`,
+    textGroup(layout, { fontSize: 110, logoY: 3, textY: 140, shadowY: 150 }),
+  ]);
+}
+
+function renderFlatSquare(badge) {
+  const layout = computeLayout(badge, { font: FONTS.verdana, padding: 5, logoX: 5, logoGap: 3 });
+  const { labelWidth, messageWidth, leftColor, rightColor } = layout;
+
+  return svgDocument(layout, 20, [
+    `<g shape-rendering="crispEdges">`,
+    `<rect width="${labelWidth}" height="20" fill="${leftColor}"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${rightColor}"/>`,
+    `</g>`,
+    textGroup(layout, { fontSize: 110, logoY: 3, textY: 140 }),
+  ]);
+}
+
+function renderPlastic(badge) {
+  const layout = computeLayout(badge, { font: FONTS.verdana, padding: 5, logoX: 5, logoGap: 3 });
+  const { totalWidth, labelWidth, messageWidth, leftColor, rightColor } = layout;
+
+  return svgDocument(layout, 18, [
+    `<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#fff" stop-opacity=".7"/><stop offset=".1" stop-color="#aaa" stop-opacity=".1"/><stop offset=".9" stop-color="#000" stop-opacity=".3"/><stop offset="1" stop-color="#000" stop-opacity=".5"/></linearGradient>`,
+    `<clipPath id="r"><rect width="${totalWidth}" height="18" rx="4" fill="#fff"/></clipPath>`,
+    `<g clip-path="url(#r)">`,
+    `<rect width="${labelWidth}" height="18" fill="${leftColor}"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="18" fill="${rightColor}"/>`,
+    `<rect width="${totalWidth}" height="18" fill="url(#s)"/>`,
+    `</g>`,
+    textGroup(layout, { fontSize: 110, logoY: 2, textY: 130, shadowY: 140 }),
+  ]);
+}
+
+function renderForTheBadge(badge) {
+  const upperCased = {
+    ...badge,
+    label: badge.label ? String(badge.label).toUpperCase() : badge.label,
+    message: String(badge.message).toUpperCase(),
+  };
+  const layout = computeLayout(upperCased, { font: FONTS.verdanaBold, padding: 12, logoX: 9, logoGap: 6 });
+  const { labelWidth, messageWidth, leftColor, rightColor } = layout;
+
+  return svgDocument(layout, 28, [
+    `<g shape-rendering="crispEdges">`,
+    `<rect width="${labelWidth}" height="28" fill="${leftColor}"/>`,
+    `<rect x="${labelWidth}" width="${messageWidth}" height="28" fill="${rightColor}"/>`,
+    `</g>`,
+    textGroup(layout, { fontSize: 100, logoY: 7, textY: 175, letterSpacing: 10, messageWeight: "bold" }),
+  ]);
+}
+
+// Social badges render the message in a speech bubble next to a light label button
+function renderSocial(badge) {
+  const label = badge.label
+    ? String(badge.label).charAt(0).toUpperCase() + String(badge.label).slice(1)
+    : badge.label;
+  const layout = computeLayout({ ...badge, label, color: "#fafafa", labelColor: "#fcfcfc", logoColor: badge.logoColor || "#333" },
+    { font: FONTS.helveticaBold, padding: 6, logoX: 5, logoGap: 4, bubbleGap: 6 });
+  const { labelWidth, messageWidth, messageX } = layout;
+  const bubbleX = messageX + 0.5;
+
+  return svgDocument(layout, 20, [
+    `<linearGradient id="a" x2="0" y2="100%"><stop offset="0" stop-color="#fcfcfc" stop-opacity="0"/><stop offset="1" stop-opacity=".1"/></linearGradient>`,
+    `<g stroke="#d5d5d5">`,
+    labelWidth > 0
+      ? `<rect fill="#fcfcfc" x=".5" y=".5" width="${labelWidth - 1}" height="19" rx="2"/>` +
+        `<rect fill="url(#a)" x=".5" y=".5" width="${labelWidth - 1}" height="19" rx="2"/>` +
+        `<rect x="${bubbleX - 0.5}" y="7.5" width=".5" height="5" stroke="#fafafa"/>` +
+        `<path d="M${bubbleX} 6.5 l-3 3v1 l3 3" fill="#fafafa"/>`
+      : "",
+    `<rect x="${bubbleX}" y=".5" width="${messageWidth - 1}" height="19" rx="2" fill="#fafafa"/>`,
+    `</g>`,
+    textGroup(layout, { fontSize: 110, logoY: 3, textY: 140, shadowY: 150, fontWeight: 700, social: true }),
+  ]);
+}
+
+/*──────────────────────────────────────
+  Rendering helpers
+──────────────────────────────────────*/
+
+function computeLayout(badge, { font, padding, logoX, logoGap, bubbleGap = 0 }) {
+  const { label, message, color, labelColor, logo, logoColor, logoSvg } = badge;
+  const logoUri = logoSvg
+    ? svgToDataUri(logoSvg)
+    : (logo ? getLogoDataUri(logo, normalizeColor(logoColor) || "#fff") : null);
+  const hasLabel = label !== undefined && label !== null && label !== "";
+
+  const labelTextWidth = hasLabel ? preferredWidthOf(label, font) : 0;
+  const messageTextWidth = preferredWidthOf(message, font);
+  const logoSpace = logoUri && hasLabel ? logoX - padding + LOGO_WIDTH + logoGap : 0;
+
+  let labelWidth = 0;
+  if (hasLabel) {
+    labelWidth = labelTextWidth + logoSpace + 2 * padding;
+  } else if (logoUri) {
+    labelWidth = 2 * logoX + LOGO_WIDTH;
+  }
+  const messageWidth = messageTextWidth + 2 * padding;
+  const messageX = labelWidth > 0 ? labelWidth + bubbleGap : 0;
+
+  return {
+    font,
+    label: hasLabel ? String(label) : null,
+    message: String(message),
+    logoUri,
+    logoX,
+    labelWidth,
+    messageWidth,
+    messageX,
+    totalWidth: messageX + messageWidth,
+    labelCenter: padding + logoSpace + labelTextWidth / 2,
+    messageCenter: messageX + messageWidth / 2,
+    labelTextWidth,
+    messageTextWidth,
+    leftColor: normalizeColor(labelColor) || DEFAULT_LABEL_COLOR,
+    rightColor: normalizeColor(color) || DEFAULT_MESSAGE_COLOR,
+  };
+}
+
+function svgDocument(layout, height, content) {
+  const { totalWidth, label, message } = layout;
+  const accessibleText = label ? `${label}: ${message}` : message;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${totalWidth}" height="${height}" role="img" aria-label="${escapeXml(accessibleText)}">`,
+    `<title>${escapeXml(accessibleText)}</title>`,
+    ...content,
+    `</svg>`,
+  ].join("");
+}
+
+function textGroup(layout, { fontSize, logoY, textY, shadowY, letterSpacing, fontWeight, messageWeight, social = false }) {
+  const { font, logoUri, logoX, label, message, leftColor, rightColor } = layout;
+  const attributes = [
+    `fill="#fff"`,
+    `text-anchor="middle"`,
+    `font-family="${font.family}"`,
+    `text-rendering="geometricPrecision"`,
+    `font-size="${fontSize}"`,
+    fontWeight ? `font-weight="${fontWeight}"` : null,
+  ].filter(Boolean).join(" ");
+
+  const textOptions = { y: textY, shadowY, letterSpacing, social };
+  const logoImage = logoUri
+    ? `<image x="${logoX}" y="${logoY}" width="${LOGO_WIDTH}" height="${LOGO_WIDTH}" xlink:href="${logoUri}"/>`
+    : "";
+  const labelText = label
+    ? renderText(label, layout.labelCenter, layout.labelTextWidth, leftColor, textOptions)
+    : "";
+  const messageText = renderText(message, layout.messageCenter, layout.messageTextWidth, rightColor,
+    { ...textOptions, fontWeight: messageWeight });
+
+  return `<g ${attributes}>${logoImage}${labelText}${messageText}</g>`;
+}
+
+// Odd widths keep text centred on the pixel grid (same trick as shields)
+function preferredWidthOf(text, font) {
+  const width = Math.ceil(measureTextWidth(text, font));
+  return width % 2 === 0 ? width + 1 : width;
+}
+
+function renderText(content, centerX, textWidth, backgroundColor, { y, shadowY, letterSpacing, fontWeight, social }) {
+  const x = Math.round(centerX * 10);
+  const length = textWidth * 10;
+  const { textColor, shadowColor } = social
+    ? { textColor: "#333", shadowColor: "#fff" }
+    : textColorsFor(backgroundColor);
+  const escaped = escapeXml(content);
+  const extra = [
+    letterSpacing ? ` letter-spacing="${letterSpacing}"` : "",
+    fontWeight ? ` font-weight="${fontWeight}"` : "",
+  ].join("");
+
+  const shadow = shadowY !== undefined
+    ? `<text aria-hidden="true" x="${x}" y="${shadowY}" fill="${shadowColor}" fill-opacity=".3" transform="scale(.1)" textLength="${length}"${extra}>${escaped}</text>`
+    : "";
+  return shadow +
+    `<text x="${x}" y="${y}" transform="scale(.1)" fill="${textColor}" textLength="${length}"${extra}>${escaped}</text>`;
+}
+
+// Dark text on light backgrounds, matching shields' brightness threshold
+function textColorsFor(backgroundColor) {
+  const brightness = colorBrightness(backgroundColor);
+  return brightness > 0.69
+    ? { textColor: "#333", shadowColor: "#ccc" }
+    : { textColor: "#fff", shadowColor: "#010101" };
+}
+
+function colorBrightness(color) {
+  const match = /^#([\da-f]{3}|[\da-f]{6})$/.exec(color);
+  if (!match) return 0;
+
+  const hex = match[1].length === 3
+    ? match[1].split("").map((c) => c + c).join("")
+    : match[1];
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return (r * 299 + g * 587 + b * 114) / 255000;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
@@ -1,46 +1,108 @@
 import semver from "semver";
+import { createHash } from "node:crypto";
+import { renderBadge, normalizeColor, BADGE_STYLES } from "./badgeRenderer.mjs";
+import { hasLogo, LOGO_NAMES } from "./badgeLogos.mjs";
+import { parseNuGetVersionRange, normalizeNuGetVersion } from "./nugetVersion.mjs";
+import { versioningFor } from "./versionSelection.mjs";
+import { ValidationError, getStatusCode, getBadgeMessage } from "./errors.mjs";
+import { DEFAULT_SOURCE, getProvider } from "../services/providers/index.mjs";
 
 /*──────────────────────────────────────
   Response builders for shields.io compatibility
 ──────────────────────────────────────*/
 
-export function createSuccessResponse(version, packageName, source, customLabel, customColor) {
-  const color = customColor || determineColor(version);
+export function createSuccessResponse(version, packageName, source, customLabel, customColor, options = {}) {
+  const color = customColor || determineColor(version, source);
   const label = customLabel || createDefaultLabel(packageName, source);
   
-  return {
-    statusCode: 200,
-    headers: {
-      "Content-Type": "application/json",
-      "Cache-Control": "public, max-age=3600, stale-while-revalidate=1800",
-    },
-    body: JSON.stringify({
-      schemaVersion: 1,
-      label: label,
-      message: version,
-      color: color,
-      namedLogo: source === "github" ? "github" : "nuget"
-    }),
-  };
+  return createBadgeResponse({
+    schemaVersion: 1,
+    label: label,
+    message: version,
+    color: color,
+    namedLogo: providerFor(source).logo
+  }, "public, max-age=3600, stale-while-revalidate=1800", options);
 }
 
-export function createNotFoundResponse(packageName, customLabel, source, reason = "Package not found") {
+export function createNotFoundResponse(packageName, customLabel, source, reason = "Package not found", options = {}) {
   const label = customLabel || createDefaultLabel(packageName, source);
   
-  return {
-    statusCode: 200, // Still return 200 for shields.io
-    headers: {
-      "Content-Type": "application/json",
-      "Cache-Control": "public, max-age=300", // Shorter cache for not found
-    },
-    body: JSON.stringify({
-      schemaVersion: 1,
-      label: label,
-      message: "not found",
-      color: "lightgrey",
-      namedLogo: source === "github" ? "github" : "nuget"
-    }),
-  };
+  // Still return 200 for shields.io, with a shorter cache for not found
+  return createBadgeResponse({
+    schemaVersion: 1,
+    label: label,
+    message: "not found",
+    color: "lightgrey",
+    namedLogo: providerFor(source).logo
+  }, "public, max-age=300", options);
+}
+
+export function createUnavailableResponse(packageName, customLabel, source, options = {}) {
+  const label = customLabel || createDefaultLabel(packageName, source);
+  
+  // Upstream is down: short cache so the badge recovers quickly
+  return createBadgeResponse({
+    schemaVersion: 1,
+    label: label,
+    message: "unavailable",
+    color: "lightgrey",
+    namedLogo: providerFor(source).logo,
+    cacheSeconds: 60
+  }, "public, max-age=60", options);
+}
+
+// Query options an error badge honours; isError and cacheSeconds stay fixed so a
+// request can't unmark the error or have it cached for longer
+const ERROR_BADGE_PRESENTATION = ["format", "style", "labelColor", "logo", "logoColor", "logoSvg"];
+
+// errors=badge: a red isError badge with a short reason instead of a JSON error body
+export function createErrorBadgeResponse(error, label, options = {}) {
+  const presentation = Object.fromEntries(ERROR_BADGE_PRESENTATION.map((field) => [field, options[field]]));
+  return createBadgeResponse({
+    schemaVersion: 1,
+    label: label,
+    message: getBadgeMessage(error),
+    color: "red",
+    isError: true,
+    cacheSeconds: 60
+  }, "public, max-age=60", presentation);
+}
+
+// Badge routes: JSON error by default, an error badge when the request asks for errors=badge
+export function createBadgeRouteErrorResponse(error, qs, label) {
+  if (qs?.errors !== "badge") {
+    return createErrorResponseFor(error);
+  }
+  return createErrorBadgeResponse(error, label, parseErrorBadgeOptions(qs));
+}
+
+export function createJsonResponse(data, cacheControl = "public, max-age=300") {
+  return createCacheableResponse("application/json", cacheControl, JSON.stringify(data));
+}
+
+/*──────────────────────────────────────
+  Conditional responses (ETag / If-None-Match)
+──────────────────────────────────────*/
+
+export function createETag(body) {
+  return `"${createHash("sha256").update(body).digest("base64url").slice(0, 27)}"`;
+}
+
+// RFC 9110 weak comparison: W/ prefixes are ignored and "*" matches any current representation
+export function matchesIfNoneMatch(ifNoneMatch, etag) {
+  if (!ifNoneMatch || !etag) return false;
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, "");
+  return ifNoneMatch.split(",").some((candidate) => candidate.trim() === "*" || opaque(candidate) === opaque(etag));
+}
+
+// Revalidation hit: same validators and caching headers, no body
+export function createNotModifiedResponse(response) {
+  const headers = {};
+  for (const name of ["ETag", "Cache-Control", "Vary"]) {
+    if (response.headers?.[name]) headers[name] = response.headers[name];
+  }
+  return { statusCode: 304, headers, body: "" };
 }
 
 export function createErrorResponse(statusCode, message) {
@@ -55,6 +117,15 @@ export function createErrorResponse(statusCode, message) {
   };
 }
 
+// Typed errors carry their own status; Retry-After is forwarded when the upstream sent one
+export function createErrorResponseFor(error) {
+  const response = createErrorResponse(getStatusCode(error), error.message);
+  if (error.retryAfterSeconds) {
+    response.headers["Retry-After"] = String(error.retryAfterSeconds);
+  }
+  return response;
+}
+
 export function create404Response(message) {
   return {
     statusCode: 404,
@@ -83,7 +154,7 @@ export function create400Response(message) {
   Test badge response builders
 ──────────────────────────────────────*/
 
-export function createTestBadgeResponse(testData, platform) {
+export function createTestBadgeResponse(testData, platform, options = {}) {
   let message, color;
   
   if (!testData) {
@@ -96,21 +167,23 @@ export function createTestBadgeResponse(testData, platform) {
     message = `${testData.passed} passed`;
     color = "success";
   }
+
+  // Past max-stale: keep the last known counts but grey the badge out
+  const outdated = Boolean(testData?.outdated);
+  if (outdated) {
+    message = `${message} (outdated)`;
+    color = "inactive";
+  }
+
+  const cacheSeconds = testData && !outdated ? 300 : 60; // Shorter cache for unavailable / outdated
   
-  return {
-    statusCode: 200,
-    headers: {
-      "Content-Type": "application/json",
-      "Cache-Control": testData ? "public, max-age=300" : "public, max-age=60", // Shorter cache for unavailable
-    },
-    body: JSON.stringify({
-      schemaVersion: 1,
-      label: "tests",
-      message: message,
-      color: color,
-      cacheSeconds: testData ? 300 : 60
-    }),
-  };
+  return createBadgeResponse({
+    schemaVersion: 1,
+    label: "tests",
+    message: message,
+    color: color,
+    cacheSeconds
+  }, `public, max-age=${cacheSeconds}`, options);
 }
 
 export function createRedirectResponse(url, fallbackUrl) {
@@ -126,18 +199,81 @@ export function createRedirectResponse(url, fallbackUrl) {
   };
 }
 
+/*──────────────────────────────────────
+  Badge body rendering
+  Shields endpoint JSON by default, native SVG when format=svg.
+  Requested endpoint fields are forwarded to shields in JSON mode.
+──────────────────────────────────────*/
+
+function createBadgeResponse(badge, cacheControl, options = {}) {
+  const { format = "json" } = options;
+  badge = applyBadgeOptions(badge, options);
+
+  if (options.cacheSeconds !== undefined) {
+    cacheControl = `public, max-age=${options.cacheSeconds}`;
+  }
+
+  if (format === "svg") {
+    return createCacheableResponse("image/svg+xml", cacheControl, renderBadge({
+      label: badge.label,
+      message: badge.message,
+      color: badge.color,
+      labelColor: badge.labelColor,
+      logo: badge.namedLogo,
+      logoColor: badge.logoColor,
+      logoSvg: badge.logoSvg,
+      style: badge.style,
+    }));
+  }
+
+  return createCacheableResponse("application/json", cacheControl, JSON.stringify(badge));
+}
+
+// 200 response with a deterministic ETag so clients and CDNs can revalidate cheaply
+function createCacheableResponse(contentType, cacheControl, body) {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": contentType,
+      "Cache-Control": cacheControl,
+      "ETag": createETag(body),
+      "Vary": "Accept-Encoding",
+    },
+    body,
+  };
+}
+
+// Overlay validated shields endpoint fields (see parseBadgeOptions) onto a badge body
+function applyBadgeOptions(badge, options) {
+  const result = { ...badge };
+
+  if (options.logo) result.namedLogo = options.logo;
+
+  for (const field of ["labelColor", "logoColor", "logoSvg", "isError", "style", "cacheSeconds"]) {
+    if (options[field] !== undefined && options[field] !== null) {
+      result[field] = options[field];
+    }
+  }
+
+  return result;
+}
+
 /*──────────────────────────────────────
   Helper functions
 ──────────────────────────────────────*/
 
 export function createDefaultLabel(packageName, source) {
-  const sourceLabel = source === "github" ? "github" : "nuget";
-  return `${packageName} ${sourceLabel}`;
+  return `${packageName} ${providerFor(source).label}`;
+}
+
+// Badges for an unknown source keep the legacy NuGet look
+function providerFor(source) {
+  return getProvider(source) ?? getProvider(DEFAULT_SOURCE);
 }
 
-export function determineColor(version) {
-  const parsed = semver.parse(version);
-  if (parsed && parsed.prerelease && parsed.prerelease.length > 0) {
+// Prerelease per the source's versioning scheme, so NuGet's 1.0-beta counts too
+export function determineColor(version, source) {
+  if (versioningFor(source).parse(version)?.isPrerelease) {
     return "orange"; // Prerelease versions
   }
   return "blue"; // Stable releases
@@ -153,26 +289,62 @@ export function validateAndCoerceVersion(version, paramName) {
   try {
     // First check if it looks like a reasonable version string
     if (!/^[\d.]+(-[\w.-]+)?(\+[\w.-]+)?$/.test(version.toString())) {
-      throw new Error(`Invalid semver format for parameter '${paramName}': '${version}'`);
+      throw new ValidationError(`Invalid semver format for parameter '${paramName}': '${version}'`, { param: paramName });
     }
     
     // Check for invalid patterns like too many dots
     const versionStr = version.toString();
     const parts = versionStr.split('.');
     if (parts.length > 3 && !versionStr.includes('-') && !versionStr.includes('+')) {
-      throw new Error(`Invalid semver format for parameter '${paramName}': '${version}'`);
+      throw new ValidationError(`Invalid semver format for parameter '${paramName}': '${version}'`, { param: paramName });
     }
     
     const coerced = semver.coerce(version);
     if (coerced) return coerced.version;
     
     // If coercion fails, throw descriptive error
-    throw new Error(`Invalid semver format for parameter '${paramName}': '${version}'`);
+    throw new ValidationError(`Invalid semver format for parameter '${paramName}': '${version}'`, { param: paramName });
   } catch (error) {
-    if (error.message.includes('Invalid semver format')) {
+    if (error instanceof ValidationError) {
       throw error; // Re-throw our custom error
     }
-    throw new Error(`Invalid semver format for parameter '${paramName}': '${version}'`);
+    throw new ValidationError(`Invalid semver format for parameter '${paramName}': '${version}'`, { param: paramName });
+  }
+}
+
+// NuGet sources: bounds follow NuGet.Versioning, keeping four-part versions and prerelease labels
+export function validateAndNormalizeNuGetVersion(version, paramName) {
+  if (!version) return null;
+
+  const normalized = normalizeNuGetVersion(version.toString());
+  if (!normalized) {
+    throw new ValidationError(`Invalid NuGet version for parameter '${paramName}': '${version}'`, { param: paramName });
+  }
+  return normalized;
+}
+
+export function parseVersionRange(rangeParam) {
+  if (rangeParam === undefined || rangeParam === null) return null;
+
+  try {
+    return parseNuGetVersionRange(rangeParam);
+  } catch (error) {
+    throw new ValidationError(`Invalid range parameter: '${rangeParam}'. ${error.message}`, { param: "range" });
+  }
+}
+
+export function parseSemverRange(rangeParam) {
+  if (rangeParam === undefined || rangeParam === null) return null;
+
+  if (rangeParam.trim() === "") {
+    throw new ValidationError("Invalid semver parameter: ''. Range must not be empty", { param: "semver" });
+  }
+
+  try {
+    // Full node-semver grammar: caret, tilde, hyphen, x-ranges and || alternatives
+    return new semver.Range(rangeParam).range || "*";
+  } catch (error) {
+    throw new ValidationError(`Invalid semver parameter: '${rangeParam}'. ${error.message}`, { param: "semver" });
   }
 }
 
@@ -184,18 +356,160 @@ export function parseTrackWithValidation(trackParam) {
   
   // Check for decimal numbers first
   if (cleaned.includes('.')) {
-    throw new Error(`Invalid track parameter: '${trackParam}'. Must be a positive integer (e.g., '1', 'v2')`);
+    throw new ValidationError(`Invalid track parameter: '${trackParam}'. Must be a positive integer (e.g., '1', 'v2')`, { param: "track" });
   }
   
   const parsed = parseInt(cleaned);
   
   if (isNaN(parsed) || parsed < 0 || cleaned !== parsed.toString()) {
-    throw new Error(`Invalid track parameter: '${trackParam}'. Must be a positive integer (e.g., '1', 'v2')`);
+    throw new ValidationError(`Invalid track parameter: '${trackParam}'. Must be a positive integer (e.g., '1', 'v2')`, { param: "track" });
+  }
+  
+  return parsed;
+}
+
+export function parseFormat(formatParam) {
+  if (formatParam === undefined || formatParam === null || formatParam === "") return "json";
+  
+  const format = formatParam.toString().toLowerCase();
+  if (!["json", "svg"].includes(format)) {
+    throw new ValidationError(`Invalid format parameter: '${formatParam}'. Must be 'json' or 'svg'`, { param: "format" });
+  }
+  
+  return format;
+}
+
+export function parseStyle(styleParam) {
+  if (styleParam === undefined || styleParam === null || styleParam === "") return null;
+  
+  const style = styleParam.toString().toLowerCase();
+  if (!BADGE_STYLES.includes(style)) {
+    throw new ValidationError(`Invalid style parameter: '${styleParam}'. Must be one of: ${BADGE_STYLES.join(", ")}`, { param: "style" });
+  }
+  
+  return style;
+}
+
+/*──────────────────────────────────────
+  Badge option validation
+  Optional shields endpoint schema fields accepted as query parameters
+──────────────────────────────────────*/
+
+const MAX_LABEL_LENGTH = 100;
+const MAX_LOGO_SVG_BYTES = 8192;
+const MAX_CACHE_SECONDS = 86400;
+const ERROR_MODES = ["json", "badge"];
+
+export function parseBadgeOptions(qs = {}) {
+  return {
+    format: parseFormat(qs.format),
+    style: parseStyle(qs.style),
+    labelColor: parseColor(firstParam(qs, "labelColor", "label-color", "labelcolor"), "labelColor"),
+    logo: parseLogo(qs.logo),
+    logoColor: parseColor(firstParam(qs, "logoColor", "logo-color", "logocolor"), "logoColor"),
+    logoSvg: parseLogoSvg(firstParam(qs, "logoSvg", "logo-svg", "logosvg")),
+    isError: parseBoolean(firstParam(qs, "isError", "is-error", "iserror"), "isError"),
+    cacheSeconds: parseCacheSeconds(firstParam(qs, "cacheSeconds", "cache-seconds", "cacheseconds")),
+  };
+}
+
+// The failing request's own presentation options may be what failed validation
+function parseErrorBadgeOptions(qs) {
+  try {
+    return parseBadgeOptions(qs);
+  } catch {
+    return { format: qs.format?.toString().toLowerCase() === "svg" ? "svg" : "json" };
+  }
+}
+
+export function parseErrorMode(errorsParam) {
+  if (errorsParam === undefined || errorsParam === null || errorsParam === "") return "json";
+
+  if (!ERROR_MODES.includes(errorsParam)) {
+    throw new ValidationError(`Invalid errors parameter: '${errorsParam}'. Must be 'json' or 'badge'`, { param: "errors" });
+  }
+
+  return errorsParam;
+}
+
+export function parseColor(colorParam, paramName = "color") {
+  if (colorParam === undefined || colorParam === null || colorParam === "") return undefined;
+  
+  if (!normalizeColor(colorParam)) {
+    throw new ValidationError(`Invalid ${paramName} parameter: '${colorParam}'. Must be a named color, hex (e.g. 'ff0000') or rgb()/hsl() value`, { param: paramName });
+  }
+  
+  return colorParam.toString();
+}
+
+export function parseLogo(logoParam) {
+  if (logoParam === undefined || logoParam === null || logoParam === "") return undefined;
+  
+  const logo = logoParam.toString().toLowerCase();
+  if (!hasLogo(logo)) {
+    throw new ValidationError(`Invalid logo parameter: '${logoParam}'. Must be one of: ${LOGO_NAMES.join(", ")}`, { param: "logo" });
+  }
+  
+  return logo;
+}
+
+export function parseLogoSvg(logoSvgParam) {
+  if (logoSvgParam === undefined || logoSvgParam === null || logoSvgParam === "") return undefined;
+  
+  const logoSvg = logoSvgParam.toString().trim();
+  if (Buffer.byteLength(logoSvg) > MAX_LOGO_SVG_BYTES) {
+    throw new ValidationError(`Invalid logoSvg parameter: must not exceed ${MAX_LOGO_SVG_BYTES} bytes`, { param: "logoSvg" });
+  }
+  if (!/^(<\?xml[^>]*\?>\s*)?<svg[\s>]/i.test(logoSvg) || !/<\/svg>$/i.test(logoSvg)) {
+    throw new ValidationError("Invalid logoSvg parameter: must be an inline <svg> document", { param: "logoSvg" });
+  }
+  if (/<script|\son\w+\s*=/i.test(logoSvg)) {
+    throw new ValidationError("Invalid logoSvg parameter: scripts and event handlers are not allowed", { param: "logoSvg" });
+  }
+  
+  return logoSvg;
+}
+
+export function parseCacheSeconds(cacheSecondsParam) {
+  if (cacheSecondsParam === undefined || cacheSecondsParam === null || cacheSecondsParam === "") return undefined;
+  
+  const value = cacheSecondsParam.toString();
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || value !== parsed.toString() || parsed < 0 || parsed > MAX_CACHE_SECONDS) {
+    throw new ValidationError(`Invalid cacheSeconds parameter: '${cacheSecondsParam}'. Must be an integer between 0 and ${MAX_CACHE_SECONDS}`, { param: "cacheSeconds" });
   }
   
   return parsed;
 }
 
+export function parseLabel(labelParam) {
+  if (labelParam === undefined || labelParam === null || labelParam === "") return undefined;
+  
+  const label = labelParam.toString();
+  if (label.length > MAX_LABEL_LENGTH) {
+    throw new ValidationError(`Invalid label parameter: must not exceed ${MAX_LABEL_LENGTH} characters`, { param: "label" });
+  }
+  
+  return label;
+}
+
+function parseBoolean(param, paramName) {
+  if (param === undefined || param === null || param === "") return undefined;
+  
+  if (param !== "true" && param !== "false") {
+    throw new ValidationError(`Invalid ${paramName} parameter: '${param}'. Must be 'true' or 'false'`, { param: paramName });
+  }
+  
+  return param === "true";
+}
+
+function firstParam(qs, ...names) {
+  for (const name of names) {
+    if (qs[name] !== undefined && qs[name] !== null) return qs[name];
+  }
+  return undefined;
+}
+
 export function extractPlatform(path) {
   const parts = path.split('/');
   return parts[parts.length - 1]; // Get the last part
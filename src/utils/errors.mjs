@@ -0,0 +1,85 @@
+/*──────────────────────────────────────
+  Typed errors
+  Thrown by sources and services; handlers map them to HTTP status
+  codes and badge states instead of inspecting error messages
+──────────────────────────────────────*/
+
+export class BadgeError extends Error {
+  statusCode = 500;
+  badgeState = "error";
+
+  constructor(message, { cause, retryAfterSeconds = null } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Bad request parameters; param names the offending one for short badge messages
+export class ValidationError extends BadgeError {
+  statusCode = 400;
+  badgeState = "invalid";
+
+  constructor(message, { param = null, ...options } = {}) {
+    super(message, options);
+    this.param = param;
+    this.badgeMessage = param ? `bad ${param}` : "bad request";
+  }
+}
+
+// The source answered: this package does not exist there
+export class PackageNotFoundError extends BadgeError {
+  statusCode = 404;
+  badgeState = "not found";
+  badgeMessage = "not found";
+}
+
+// The source is down or suspended by its circuit breaker
+export class UpstreamUnavailableError extends BadgeError {
+  statusCode = 503;
+  badgeState = "unavailable";
+  badgeMessage = "upstream down";
+}
+
+// The source throttled us; retryAfterSeconds carries its Retry-After when known
+export class RateLimitedError extends BadgeError {
+  statusCode = 503;
+  badgeState = "unavailable";
+  badgeMessage = "rate limited";
+}
+
+// The source needs credentials this deployment does not have (a server-side problem)
+export class AuthRequiredError extends BadgeError {
+  statusCode = 500;
+  badgeState = "error";
+  badgeMessage = "auth required";
+}
+
+// The source answered with more than UPSTREAM_MAX_CONTENT_LENGTH bytes: our limit, not an outage
+export class ResponseTooLargeError extends BadgeError {
+  statusCode = 502;
+  badgeState = "error";
+  badgeMessage = "response too large";
+}
+
+/*──────────────────────────────────────
+  Central mapping
+──────────────────────────────────────*/
+
+// Anything untyped is an unexpected failure
+export function getStatusCode(error) {
+  return error instanceof BadgeError ? error.statusCode : 500;
+}
+
+export function getBadgeState(error) {
+  return error instanceof BadgeError ? error.badgeState : "error";
+}
+
+// Short message for error badges (errors=badge), e.g. "bad track" or "upstream down"
+export function getBadgeMessage(error) {
+  if (error instanceof BadgeError) {
+    return error.badgeMessage ?? "error";
+  }
+  // Untyped errors carrying an HTTP response or socket error code came from an upstream call
+  return error.response || error.code ? "upstream down" : "error";
+}
@@ -0,0 +1,55 @@
+import { ValidationError } from "./errors.mjs";
+
+/*──────────────────────────────────────
+  GitHub package owners
+  Organizations (/orgs/{org}) and personal accounts (/users/{user}) the
+  github source may query; anything else is refused so the shared token
+  can't be used to probe arbitrary owners
+──────────────────────────────────────*/
+
+const DEFAULT_OWNER = "localstack-dotnet"; // override with GITHUB_OWNER
+
+// Entries are "name" or "org:name" for organizations, "user:name" for personal accounts
+export function parseOwner(entry) {
+  const [, type = "org", login] = entry.trim().match(/^(?:(org|user):)?(.*)$/i);
+  if (!/^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(login)) {
+    return null;
+  }
+  return { login, type: type.toLowerCase() };
+}
+
+export function getDefaultOwner(env = process.env) {
+  return (env.GITHUB_OWNER && parseOwner(env.GITHUB_OWNER)) || { login: DEFAULT_OWNER, type: "org" };
+}
+
+// The default owner plus GITHUB_ALLOWED_OWNERS (comma-separated), keyed case-insensitively
+export function getAllowedOwners(env = process.env) {
+  const owners = new Map();
+  for (const entry of (env.GITHUB_ALLOWED_OWNERS || "").split(",").filter((item) => item.trim())) {
+    const owner = parseOwner(entry);
+    if (owner) owners.set(owner.login.toLowerCase(), owner);
+  }
+
+  const fallback = getDefaultOwner(env);
+  owners.set(fallback.login.toLowerCase(), fallback);
+  return owners;
+}
+
+// Resolves the owner query parameter; omitted means the configured default
+export function resolveGitHubOwner(ownerParam, env = process.env) {
+  const fallback = getDefaultOwner(env);
+  if (ownerParam === undefined || ownerParam === null || ownerParam === "") {
+    return { ...fallback, isDefault: true };
+  }
+
+  const owner = getAllowedOwners(env).get(ownerParam.toString().trim().toLowerCase());
+  if (!owner) {
+    throw new ValidationError(`Invalid owner parameter: '${ownerParam}' is not an allowed GitHub owner`, { param: "owner" });
+  }
+
+  return { ...owner, isDefault: owner.login.toLowerCase() === fallback.login.toLowerCase() };
+}
+
+export function getOwnerPackagesPath(owner) {
+  return `${owner.type === "user" ? "users" : "orgs"}/${encodeURIComponent(owner.login)}`;
+}
@@ -0,0 +1,73 @@
+import { ValidationError } from "./errors.mjs";
+
+/*──────────────────────────────────────
+  Private NuGet v3 feeds
+  Feeds the nuget-feed source may query, referenced by alias so badge
+  URLs can never point the service (and its credentials) at arbitrary hosts
+──────────────────────────────────────*/
+
+const ALIAS_PATTERN = /^[a-z\d][a-z\d_-]{0,63}$/i;
+
+// NUGET_FEEDS entries are "alias=https://host/path/index.json", comma-separated
+export function parseFeed(entry) {
+  const separator = entry.indexOf("=");
+  if (separator < 0) return null;
+
+  const alias = entry.slice(0, separator).trim();
+  const indexUrl = entry.slice(separator + 1).trim();
+  if (!ALIAS_PATTERN.test(alias) || !isHttpUrl(indexUrl)) {
+    return null;
+  }
+  return { alias: alias.toLowerCase(), indexUrl };
+}
+
+// Configured feeds keyed by lower-cased alias
+export function getConfiguredFeeds(env = process.env) {
+  const feeds = new Map();
+  for (const entry of (env.NUGET_FEEDS || "").split(",").filter((item) => item.trim())) {
+    const feed = parseFeed(entry);
+    if (feed) feeds.set(feed.alias, feed);
+  }
+  return feeds;
+}
+
+// Resolves the feed query parameter; unlike the GitHub owner there is no default
+export function resolveNuGetFeed(feedParam, env = process.env) {
+  if (feedParam === undefined || feedParam === null || feedParam === "") {
+    throw new ValidationError("Feed parameter is required for source 'nuget-feed'", { param: "feed" });
+  }
+
+  const feed = getConfiguredFeeds(env).get(feedParam.toString().trim().toLowerCase());
+  if (!feed) {
+    throw new ValidationError(`Invalid feed parameter: '${feedParam}' is not a configured NuGet feed`, { param: "feed" });
+  }
+  return feed;
+}
+
+// Per-feed credentials: NUGET_FEED_<ALIAS>_TOKEN (Bearer) or _USERNAME/_PASSWORD (Basic);
+// Azure Artifacts takes a PAT as the password with any user name
+export function getFeedAuthorization(feed, env = process.env) {
+  const prefix = getFeedCredentialPrefix(feed);
+
+  if (env[`${prefix}TOKEN`]) {
+    return `Bearer ${env[`${prefix}TOKEN`]}`;
+  }
+  if (env[`${prefix}USERNAME`] || env[`${prefix}PASSWORD`]) {
+    const credentials = `${env[`${prefix}USERNAME`] ?? ""}:${env[`${prefix}PASSWORD`] ?? ""}`;
+    return `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+  return null;
+}
+
+// "my-feed" reads NUGET_FEED_MY_FEED_*
+export function getFeedCredentialPrefix(feed) {
+  return `NUGET_FEED_${feed.alias.toUpperCase().replace(/-/g, "_")}_`;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,199 @@
+/*──────────────────────────────────────
+  NuGet Versioning
+  Parsing, normalization and ordering following NuGet.Client (NuGet.Versioning)
+──────────────────────────────────────*/
+
+// major[.minor[.patch[.revision]]][-release][+metadata], numeric parts may carry leading zeros
+const NUGET_VERSION = /^(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+([0-9A-Za-z.-]+))?$/;
+const LABEL = /^[0-9A-Za-z-]+$/;
+const NUMERIC_LABEL = /^\d+$/;
+const MAX_PART = 2147483647; // System.Int32.MaxValue
+
+export function parseNuGetVersion(version) {
+  if (typeof version !== "string") return null;
+
+  const match = NUGET_VERSION.exec(version.trim());
+  if (!match) return null;
+
+  const [, major, minor = "0", patch = "0", revision = "0", release, metadata] = match;
+  const parts = [major, minor, patch, revision].map(Number);
+  if (parts.some((part) => part > MAX_PART)) return null;
+
+  const releaseLabels = release ? release.split(".") : [];
+  if (releaseLabels.some((label) => !LABEL.test(label))) return null;
+  if (metadata !== undefined && metadata.split(".").some((label) => !LABEL.test(label))) return null;
+
+  return {
+    major: parts[0],
+    minor: parts[1],
+    patch: parts[2],
+    revision: parts[3],
+    releaseLabels,
+    metadata: metadata ?? null,
+    isPrerelease: releaseLabels.length > 0,
+    // SemVer 2.0.0 packages are hidden from legacy clients: dotted labels or build metadata
+    isSemVer2: releaseLabels.length > 1 || metadata !== undefined,
+  };
+}
+
+export function isValidNuGetVersion(version) {
+  return parseNuGetVersion(version) !== null;
+}
+
+// Matches NuGetVersion.ToNormalizedString(): no leading zeros, revision only when non-zero, no metadata
+export function normalizeNuGetVersion(version) {
+  const parsed = typeof version === "string" ? parseNuGetVersion(version) : version;
+  if (!parsed) return null;
+
+  let normalized = `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+  if (parsed.revision > 0) normalized += `.${parsed.revision}`;
+  if (parsed.isPrerelease) normalized += `-${parsed.releaseLabels.join(".")}`;
+  return normalized;
+}
+
+// VersionComparer.Default: numeric parts, then stable above prerelease, then labels; metadata ignored
+export function compareNuGetVersions(a, b) {
+  const left = typeof a === "string" ? parseNuGetVersion(a) : a;
+  const right = typeof b === "string" ? parseNuGetVersion(b) : b;
+  if (!left || !right) {
+    throw new TypeError(`Invalid NuGet version: '${left ? b : a}'`);
+  }
+
+  for (const part of ["major", "minor", "patch", "revision"]) {
+    if (left[part] !== right[part]) return left[part] < right[part] ? -1 : 1;
+  }
+
+  if (left.isPrerelease !== right.isPrerelease) return left.isPrerelease ? -1 : 1;
+
+  return compareReleaseLabels(left.releaseLabels, right.releaseLabels);
+}
+
+function compareReleaseLabels(left, right) {
+  const length = Math.min(left.length, right.length);
+
+  for (let i = 0; i < length; i++) {
+    const result = compareLabel(left[i], right[i]);
+    if (result !== 0) return result;
+  }
+
+  return Math.sign(left.length - right.length);
+}
+
+function compareLabel(left, right) {
+  const leftNumeric = NUMERIC_LABEL.test(left);
+  const rightNumeric = NUMERIC_LABEL.test(right);
+
+  if (leftNumeric && rightNumeric) {
+    const difference = BigInt(left) - BigInt(right);
+    return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+  }
+
+  // Numeric identifiers always have lower precedence than alphanumeric ones
+  if (leftNumeric !== rightNumeric) return leftNumeric ? -1 : 1;
+
+  // Labels compare ordinal, ignoring case
+  const leftUpper = left.toUpperCase();
+  const rightUpper = right.toUpperCase();
+  if (leftUpper === rightUpper) return 0;
+  return leftUpper < rightUpper ? -1 : 1;
+}
+
+/*──────────────────────────────────────
+  NuGet version ranges (interval notation)
+  "1.0" → >= 1.0, "[1.0,2.0)", "(,3.0]", "[2.0.0-preview1,)", exact "[1.5.0]"
+──────────────────────────────────────*/
+
+export function parseNuGetVersionRange(range) {
+  const text = String(range ?? "").trim();
+  if (!text) {
+    throw new Error("Range must not be empty");
+  }
+
+  const opening = text[0];
+  const closing = text[text.length - 1];
+
+  // A bare version is a minimum inclusive bound, as in NuGet package references
+  if (opening !== "[" && opening !== "(") {
+    return createRange(parseBound(text, "minimum"), true, null, false);
+  }
+
+  if (closing !== "]" && closing !== ")") {
+    throw new Error("Interval must end with ']' or ')'");
+  }
+
+  const includeMin = opening === "[";
+  const includeMax = closing === "]";
+  const bounds = text.slice(1, -1).split(",");
+
+  if (bounds.length > 2) {
+    throw new Error("Interval must contain at most one comma");
+  }
+
+  if (bounds.length === 1) {
+    if (!includeMin || !includeMax) {
+      throw new Error("Exact version must use square brackets, e.g. '[1.5.0]'");
+    }
+    const exact = parseBound(bounds[0], "exact");
+    if (!exact) {
+      throw new Error("Exact version must not be empty");
+    }
+    return createRange(exact, true, exact, true);
+  }
+
+  const minVersion = parseBound(bounds[0], "minimum");
+  const maxVersion = parseBound(bounds[1], "maximum");
+
+  if (!minVersion && !maxVersion) {
+    throw new Error("Interval must specify a minimum or maximum version");
+  }
+
+  if (minVersion && maxVersion) {
+    const order = compareNuGetVersions(minVersion, maxVersion);
+    if (order > 0) {
+      throw new Error(`Minimum version '${minVersion}' is greater than maximum version '${maxVersion}'`);
+    }
+    if (order === 0 && !(includeMin && includeMax)) {
+      throw new Error(`Interval excludes its only version '${minVersion}'`);
+    }
+  }
+
+  return createRange(minVersion, includeMin && !!minVersion, maxVersion, includeMax && !!maxVersion);
+}
+
+// A version NuGet can't read (e.g. a v-prefixed tag the caller didn't normalize) is outside every range
+export function satisfiesNuGetRange(version, range) {
+  if (!parseNuGetVersion(version)) return false;
+
+  if (range.minVersion) {
+    const order = compareNuGetVersions(version, range.minVersion);
+    if (order < 0 || (order === 0 && !range.includeMin)) return false;
+  }
+  if (range.maxVersion) {
+    const order = compareNuGetVersions(version, range.maxVersion);
+    if (order > 0 || (order === 0 && !range.includeMax)) return false;
+  }
+  return true;
+}
+
+// Matches VersionRange.ToNormalizedString(), e.g. "[1.0.0, 2.0.0)"
+export function formatNuGetVersionRange(range) {
+  if (range.minVersion && range.minVersion === range.maxVersion) {
+    return `[${range.minVersion}]`;
+  }
+  return `${range.includeMin ? "[" : "("}${range.minVersion ?? ""}, ${range.maxVersion ?? ""}${range.includeMax ? "]" : ")"}`;
+}
+
+function createRange(minVersion, includeMin, maxVersion, includeMax) {
+  return { minVersion, includeMin, maxVersion, includeMax };
+}
+
+function parseBound(bound, name) {
+  const text = bound.trim();
+  if (!text) return null;
+
+  const normalized = normalizeNuGetVersion(text);
+  if (!normalized) {
+    throw new Error(`Invalid ${name} version '${text}'`);
+  }
+  return normalized;
+}
@@ -0,0 +1,141 @@
+import {
+  validateAndCoerceVersion,
+  validateAndNormalizeNuGetVersion,
+  parseTrackWithValidation,
+  parseVersionRange,
+  parseSemverRange,
+  parseBadgeOptions,
+  parseLabel,
+  parseColor
+} from "./common.mjs";
+import { ValidationError } from "./errors.mjs";
+import { DEFAULT_SOURCE, getProvider, getProviderIds, getSourceParameters } from "../services/providers/index.mjs";
+
+/*──────────────────────────────────────
+  Package parameter validation and parsing
+  Shared by package badges and the version-list API
+──────────────────────────────────────*/
+
+export function validateAndParseParameters(qs, pathParameters, packageFromPath) {
+  // 1. Extract and validate package name
+  // Support both new explicit path param and legacy query param
+  let pkg;
+  if (packageFromPath) {
+    // New explicit route: /badge/packages/{package-name}
+    pkg = packageFromPath.toLowerCase().trim();
+  } else {
+    // Legacy route: /?package=xyz
+    pkg = (qs.package?.toLowerCase() || (pathParameters?.proxy ?? "").split("/")[0].toLowerCase()).trim();
+  }
+  
+  if (!pkg) {
+    throw new ValidationError("Package name is required", { param: "package" });
+  }
+  
+  // 2. Validate source against the registered providers
+  const sourceParam = qs.source;
+  let source;
+  
+  if (packageFromPath) {
+    // For explicit routes (/badge/packages/{package}), source is required
+    if (sourceParam === undefined || sourceParam === null || sourceParam === "") {
+      throw new ValidationError(`Source parameter is required for explicit package routes. Must be ${formatChoices(getProviderIds())}`, { param: "source" });
+    }
+    if (!getProviderIds().includes(sourceParam)) {
+      throw new ValidationError(`Invalid source '${sourceParam}'. Must be ${formatChoices(getProviderIds())}`, { param: "source" });
+    }
+    source = sourceParam;
+  } else {
+    // For legacy routes, maintain backward compatibility with default
+    if (sourceParam === undefined || sourceParam === null) {
+      source = DEFAULT_SOURCE; // Default value for backward compatibility
+    } else if (sourceParam === "" || sourceParam.trim() === "" || !getProviderIds().includes(sourceParam)) {
+      throw new ValidationError(`Invalid source '${sourceParam}'. Must be ${formatChoices(getProviderIds())}`, { param: "source" });
+    } else {
+      source = sourceParam;
+    }
+  }
+
+  const provider = getProvider(source);
+  if (!provider.packageNamePattern.test(pkg)) {
+    throw new ValidationError("Invalid package name format", { param: "package" });
+  }
+
+  // Source-specific parameters (e.g. the GitHub owner) are parsed by their provider
+  const sourceOptions = parseSourceOptions(provider, qs);
+
+  // 3. Parse and validate version tracking
+  const track = parseTrackWithValidation(qs.track);
+
+  // 4. Parse and validate range filters with the source's versioning (fail-fast on invalid versions)
+  const parseBound = provider.versioning.name === "nuget" ? validateAndNormalizeNuGetVersion : validateAndCoerceVersion;
+  const semverFilters = {
+    gt: parseBound(qs.gt || qs['>'], 'gt'),
+    gte: parseBound(qs.gte || qs['>='], 'gte'),
+    lt: parseBound(qs.lt || qs['<'], 'lt'),
+    lte: parseBound(qs.lte || qs['<='], 'lte'),
+    eq: parseBound(qs.eq || qs['='], 'eq')
+  };
+
+  // NuGet interval notation, e.g. [1.0,2.0)
+  const versionRange = parseVersionRange(qs.range);
+
+  // node-semver range expressions, e.g. ^1.4 || >=2.0.0-0 <3
+  const semverRange = parseSemverRange(qs.semver);
+
+  // 5. Parse boolean flags
+  const includePrerelease = qs['include-prerelease'] === 'true' || 
+                           qs.includePrerelease === 'true' || 
+                           qs.includeprerelease === 'true';
+  
+  const preferClean = qs['prefer-clean'] === 'true' || qs.preferClean === 'true';
+  const includeDeprecated = qs['include-deprecated'] === 'true' || qs.includeDeprecated === 'true';
+  const wantLogs = qs.log === 'true';
+  const explain = qs.explain === 'true';
+
+  // 6. Badge presentation: label/color plus optional shields endpoint fields
+  const customLabel = parseLabel(qs.label);
+  const customColor = parseColor(qs.color);
+  const badgeOptions = parseBadgeOptions(qs);
+
+  return {
+    pkg,
+    source: source,
+    sourceOptions,
+    track,
+    semverFilters,
+    versionRange,
+    semverRange,
+    includePrerelease,
+    preferClean,
+    includeDeprecated,
+    wantLogs,
+    explain,
+    customLabel,
+    customColor,
+    badgeOptions
+  };
+}
+
+// "'nuget' or 'github'", "'a', 'b' or 'c'"
+function formatChoices(values) {
+  const quoted = values.map((value) => `'${value}'`);
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(", ")} or ${quoted.at(-1)}` : quoted.join("");
+}
+
+function parseSourceOptions(provider, qs) {
+  for (const [name, sources] of getSourceParameters()) {
+    const value = qs[name];
+    if (!provider.parameters?.[name] && value !== undefined && value !== null && value !== "") {
+      throw new ValidationError(`Invalid ${name} parameter: only supported with source ${formatChoices(sources)}`, { param: name });
+    }
+  }
+
+  // tag-pattern becomes options.tagPattern
+  return Object.fromEntries(
+    Object.entries(provider.parameters ?? {}).map(([name, parse]) => [
+      name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase()),
+      parse(qs[name])
+    ])
+  );
+}
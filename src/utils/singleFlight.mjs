@@ -0,0 +1,51 @@
+/*──────────────────────────────────────
+  Single-flight request coalescing
+  Concurrent calls for the same key share one in-flight promise
+──────────────────────────────────────*/
+
+// Every group registers here so diagnostics can report all of them
+const groups = new Map();
+
+export function createSingleFlight(name) {
+  const inFlight = new Map();
+  const metrics = { calls: 0, executions: 0, coalesced: 0 };
+
+  const group = {
+    name,
+
+    run(key, task) {
+      metrics.calls++;
+
+      const pending = inFlight.get(key);
+      if (pending) {
+        metrics.coalesced++;
+        return pending;
+      }
+
+      metrics.executions++;
+      const promise = Promise.resolve()
+        .then(task)
+        .finally(() => inFlight.delete(key));
+
+      inFlight.set(key, promise);
+      return promise;
+    },
+
+    getMetrics() {
+      return { ...metrics, inFlight: inFlight.size };
+    },
+
+    resetMetrics() {
+      metrics.calls = 0;
+      metrics.executions = 0;
+      metrics.coalesced = 0;
+    }
+  };
+
+  groups.set(name, group);
+  return group;
+}
+
+export function getSingleFlightMetrics() {
+  return Object.fromEntries([...groups].map(([name, group]) => [name, group.getMetrics()]));
+}
@@ -0,0 +1,193 @@
+import semver from "semver";
+import { satisfiesNuGetRange, formatNuGetVersionRange } from "./nugetVersion.mjs";
+import { SEMVER_SCHEME } from "./versioningSchemes.mjs";
+import { getProvider } from "../services/providers/index.mjs";
+
+/*──────────────────────────────────────
+  Version Selection Pipeline
+  Shared by package badges and the version-list API
+──────────────────────────────────────*/
+
+// GitHub CI builds append a "-yyyyMMdd-HHmmss" timestamp to the manual tag
+const TIMESTAMP_SUFFIX = /-\d{8}-\d{6}$/;
+
+const RANGE_FILTERS = [
+  ["gt", ">", (order) => order > 0],
+  ["gte", ">=", (order) => order >= 0],
+  ["lt", "<", (order) => order < 0],
+  ["lte", "<=", (order) => order <= 0],
+  ["eq", "=", (order) => order === 0],
+];
+
+// Unknown sources fall back to strict SemVer
+export function versioningFor(source) {
+  return getProvider(source)?.versioning ?? SEMVER_SCHEME;
+}
+
+// criteria may carry the listing's metadata and distTags for the deprecation and dist-tag stages
+export function selectVersions(versions, criteria, log = () => {}) {
+  const {
+    source, track, semverFilters = {}, versionRange, semverRange, includePrerelease, preferClean,
+    includeDeprecated, sourceOptions = {}, metadata = {}, distTags = {}
+  } = criteria;
+  const scheme = versioningFor(source);
+  const { tag, tagPattern } = sourceOptions;
+  const stages = [{ stage: "fetched", count: versions.length, versions: [...versions] }];
+
+  // Apply image tag pattern (docker tag-pattern), e.g. keep only -arm64 builds
+  let fetchedVersions = versions;
+  if (tagPattern) {
+    fetchedVersions = applyStage(stages, "tag-pattern", versions, (v) => tagPattern.test(v), { pattern: tagPattern.source });
+    log(`🎯 Tag pattern ${tagPattern.source} filter: ${fetchedVersions.length} versions`);
+  }
+
+  // Filter to versions the source's versioning scheme understands
+  const validVersions = applyStage(stages, `${scheme.name}-valid`, fetchedVersions, (v) => scheme.parse(v));
+
+  if (validVersions.length === 0) {
+    log(`🔴 No valid ${scheme.name} versions found`);
+    return { validVersions, candidates: [], selectedVersion: null, stages };
+  }
+
+  /*────────────────────────────────────
+    Apply filtering logic
+  ────────────────────────────────────*/
+  let filteredVersions = validVersions;
+
+  // Apply npm dist-tag: the tag pins one version, which the publisher chose to expose
+  // even if it is a prerelease or deprecated
+  if (tag) {
+    filteredVersions = applyStage(stages, "dist-tag", filteredVersions, (v) => v === distTags[tag], {
+      tag,
+      target: distTags[tag] ?? null
+    });
+    log(`🏷️ Dist-tag ${tag} filter: ${filteredVersions.length} versions`);
+  }
+
+  // Apply major version track filter
+  if (track !== null && track !== undefined) {
+    filteredVersions = applyStage(stages, "track", filteredVersions, (v) => scheme.parse(v).major === track, { track });
+    log(`🎯 Track ${track} filter: ${filteredVersions.length} versions`);
+  }
+
+  // Apply prerelease filter (a semver range applies node-semver's own prerelease rules instead)
+  if (!includePrerelease && !semverRange && !tag) {
+    filteredVersions = applyStage(stages, "prerelease", filteredVersions, (v) => !scheme.parse(v).isPrerelease, {
+      includePrerelease: false
+    });
+    log(`🎯 Stable only filter: ${filteredVersions.length} versions`);
+  }
+
+  // Apply deprecation filter, for sources that report deprecations (npm)
+  if (!includeDeprecated && !tag && filteredVersions.some((v) => metadata[v]?.deprecated)) {
+    filteredVersions = applyStage(stages, "deprecated", filteredVersions, (v) => !metadata[v]?.deprecated, {
+      includeDeprecated: false
+    });
+    log(`🎯 Not deprecated filter: ${filteredVersions.length} versions`);
+  }
+
+  // Apply semver range filters
+  for (const [name, operator, accepts] of RANGE_FILTERS) {
+    const bound = semverFilters[name];
+    if (!bound) continue;
+
+    filteredVersions = applyStage(stages, name, filteredVersions, (v) => accepts(scheme.compare(v, bound)), { bound });
+    log(`🎯 ${operator}${bound} filter: ${filteredVersions.length} versions`);
+  }
+
+  // Apply NuGet interval range (NuGet ordering; SemVer versions are valid NuGet versions too,
+  // once in their normalized form: v1.2.3 compares as 1.2.3, four-part NuGet versions as themselves)
+  if (versionRange) {
+    const range = formatNuGetVersionRange(versionRange);
+    filteredVersions = applyStage(stages, "range", filteredVersions, (v) => satisfiesNuGetRange(scheme.toSemVer(v) ?? v, versionRange), { range });
+    log(`🎯 Range ${range} filter: ${filteredVersions.length} versions`);
+  }
+
+  // Apply node-semver range; without includePrerelease, prereleases only match
+  // comparators that name a prerelease on the same major.minor.patch
+  if (semverRange) {
+    filteredVersions = applyStage(stages, "semver", filteredVersions, (v) => {
+      const version = scheme.toSemVer(v);
+      return version !== null && semver.satisfies(version, semverRange, { includePrerelease: !!includePrerelease });
+    }, { range: semverRange, includePrerelease: !!includePrerelease });
+    log(`🎯 Semver ${semverRange} filter: ${filteredVersions.length} versions`);
+  }
+
+  if (filteredVersions.length === 0) {
+    log("🔴 No versions match filters");
+    return { validVersions, candidates: [], selectedVersion: null, stages };
+  }
+
+  /*────────────────────────────────────
+    Rank candidates (best first)
+  ────────────────────────────────────*/
+  let candidates;
+
+  if (preferClean && getProvider(source)?.timestampedBuilds) {
+    // Sources that publish timestamped CI builds (GitHub): prefer manually tagged versions
+    // This handles cases like preferring '2.0.0-preview1' over '2.0.0-preview1-20250716-125702'
+    const versionPreference = new Map();
+    filteredVersions.forEach(v => {
+      const baseVersion = v.replace(TIMESTAMP_SUFFIX, ''); // Remove timestamp suffix
+      const isCleanVersion = v === baseVersion;
+
+      if (!versionPreference.has(baseVersion) || isCleanVersion) {
+        versionPreference.set(baseVersion, v);
+      }
+    });
+
+    const preferred = new Set(versionPreference.values());
+    candidates = applyStage(stages, "prefer-clean", filteredVersions, (v) => preferred.has(v), {
+      groups: Object.fromEntries(versionPreference)
+    });
+    log(`🧹 Prefer-clean applied: ${candidates.length} preferred versions`);
+  } else {
+    // Standard semver sorting for all other cases
+    candidates = [...filteredVersions];
+  }
+
+  candidates.sort((a, b) => scheme.compare(b, a));
+  stages.push({ stage: "sort", order: `${scheme.name}-descending`, count: candidates.length, versions: [...candidates] });
+
+  return { validVersions, candidates, selectedVersion: candidates[0], stages };
+}
+
+export function describeVersion(version, source) {
+  const parsed = versioningFor(source).parse(version);
+  return {
+    version,
+    prerelease: parsed ? parsed.isPrerelease : false,
+    timestamped: isTimestampedBuild(version),
+    track: parsed ? parsed.major : null,
+  };
+}
+
+export function isTimestampedBuild(version) {
+  return TIMESTAMP_SUFFIX.test(version);
+}
+
+export function describeCriteria({
+  track, includePrerelease, preferClean, includeDeprecated, semverFilters = {}, versionRange, semverRange, sourceOptions = {}
+}) {
+  const bounds = Object.entries(semverFilters).filter(([, value]) => value !== null && value !== undefined);
+  if (versionRange) bounds.push(["range", formatNuGetVersionRange(versionRange)]);
+  if (semverRange) bounds.push(["semver", semverRange]);
+  if (includeDeprecated) bounds.push(["includeDeprecated", true]);
+  if (sourceOptions.tag) bounds.push(["tag", sourceOptions.tag]);
+  if (sourceOptions.tagPattern) bounds.push(["tagPattern", sourceOptions.tagPattern.source]);
+  return { track, includePrerelease, preferClean, ...Object.fromEntries(bounds) };
+}
+
+/*──────────────────────────────────────
+  Trace helpers
+──────────────────────────────────────*/
+
+// Filters the list and records what the stage kept and removed, for explain mode
+function applyStage(stages, stage, versions, predicate, details = {}) {
+  const kept = [];
+  const removed = [];
+  versions.forEach((v) => (predicate(v) ? kept : removed).push(v));
+
+  stages.push({ stage, ...details, before: versions.length, after: kept.length, removed });
+  return kept;
+}
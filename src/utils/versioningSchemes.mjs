@@ -0,0 +1,32 @@
+import semver from "semver";
+import { parseNuGetVersion, normalizeNuGetVersion, compareNuGetVersions } from "./nugetVersion.mjs";
+
+/*──────────────────────────────────────
+  Versioning schemes
+  How a source's version strings parse and order; each provider names
+  the scheme its registry uses
+──────────────────────────────────────*/
+
+// Strict SemVer 2.0 (GitHub Packages and most registries)
+export const SEMVER_SCHEME = {
+  name: "semver",
+  parse(version) {
+    const parsed = semver.parse(version);
+    return parsed && { major: parsed.major, isPrerelease: parsed.prerelease.length > 0 };
+  },
+  compare: (a, b) => semver.compare(a, b),
+  // Image tags are often v-prefixed: v1.2.3 compares as 1.2.3
+  toSemVer: (version) => semver.valid(version),
+};
+
+// NuGet.Versioning rules: optional minor/patch, a fourth revision part, case-insensitive labels
+export const NUGET_SCHEME = {
+  name: "nuget",
+  parse: parseNuGetVersion,
+  compare: compareNuGetVersions,
+  // "1.0" normalizes to "1.0.0"; four-part versions have no SemVer equivalent
+  toSemVer(version) {
+    const normalized = normalizeNuGetVersion(version);
+    return semver.valid(normalized) ? normalized : null;
+  },
+};
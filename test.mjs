@@ -2,7 +2,7 @@
 
 import { handler } from './index.mjs';
 import { config } from 'dotenv';
-import axios from 'axios';
+import { httpClient } from './src/services/httpClient.mjs';
 import semver from 'semver';
 
 // Load environment variables from .env file
@@ -82,7 +82,7 @@ function validateShieldsSchema(data) {
 async function fetchNuGetVersions(packageName) {
   try {
     const url = `https://api.nuget.org/v3-flatcontainer/${encodeURIComponent(packageName)}/index.json`;
-    const { data } = await axios.get(url);
+    const { data } = await httpClient.get(url, { conditional: false });
     return data.versions;
   } catch (error) {
     return null;
@@ -97,7 +97,8 @@ async function fetchGitHubVersions(org, packageName) {
   try {
     // GitHub Packages API endpoint for versions
     const url = `https://api.github.com/orgs/${org}/packages/nuget/${packageName}/versions`;
-    const { data } = await axios.get(url, {
+    const { data } = await httpClient.get(url, {
+      conditional: false,
       headers: { 
         'Authorization': `Bearer ${process.env.GITHUB_TOKEN}`,
         'Accept': 'application/vnd.github.v3+json'
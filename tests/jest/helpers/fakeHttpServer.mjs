@@ -0,0 +1,61 @@
+/*──────────────────────────────────────
+  Local HTTP stand-in for upstream retry tests
+  Answers from a script of responses, one per request
+──────────────────────────────────────*/
+
+import http from 'node:http';
+
+/**
+ * Start a fake HTTP server on a random local port
+ *
+ * Each scripted step is `{ status, headers, body, delayMs }`, or `{ reset: true }`
+ * to drop the connection; the last step repeats once the script runs out.
+ */
+export async function startFakeHttpServer() {
+  let script = [{ status: 200, body: {} }];
+  const requests = [];
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, at: Date.now() });
+    const step = script.length > 1 ? script.shift() : script[0];
+
+    if (step.reset) {
+      req.socket.destroy();
+      return;
+    }
+
+    const send = () => {
+      if (res.destroyed) return;
+      res.writeHead(step.status ?? 200, { 'Content-Type': 'application/json', ...step.headers });
+      res.end(JSON.stringify(step.body ?? {}));
+    };
+
+    if (step.delayMs) {
+      setTimeout(send, step.delayMs);
+    } else {
+      send();
+    }
+  });
+
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    respond(...steps) {
+      script = steps;
+      requests.length = 0;
+    },
+    async close() {
+      sockets.forEach((socket) => socket.destroy());
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
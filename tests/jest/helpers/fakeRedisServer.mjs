@@ -0,0 +1,142 @@
+/*──────────────────────────────────────
+  Local Redis stand-in for cache backend tests
+  Speaks enough RESP2 for AUTH/SELECT/PING/GET/SET PX/DEL/SCAN
+──────────────────────────────────────*/
+
+import net from 'node:net';
+
+/**
+ * Start a fake Redis server on a random local port
+ * @param {{ password?: string }} options
+ */
+export async function startFakeRedis({ password } = {}) {
+  const store = new Map();
+  const commands = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    let authenticated = !password;
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let parsed;
+      while ((parsed = parseCommand(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const [name, ...args] = parsed.args;
+        commands.push([name.toUpperCase(), ...args]);
+
+        if (!authenticated && name.toUpperCase() !== 'AUTH') {
+          socket.write('-NOAUTH Authentication required.\r\n');
+          continue;
+        }
+
+        if (name.toUpperCase() === 'AUTH') {
+          authenticated = args[args.length - 1] === password;
+          socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid username-password pair\r\n');
+          continue;
+        }
+
+        socket.write(execute(store, name.toUpperCase(), args));
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${port}`,
+    store,
+    commands,
+    async close() {
+      sockets.forEach((socket) => socket.destroy());
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+function execute(store, name, args) {
+  const live = (key) => {
+    const item = store.get(key);
+    if (item && item.expireAt !== null && Date.now() >= item.expireAt) {
+      store.delete(key);
+      return null;
+    }
+    return item ?? null;
+  };
+
+  switch (name) {
+    case 'PING':
+      return '+PONG\r\n';
+    case 'SELECT':
+      return '+OK\r\n';
+    case 'GET': {
+      const item = live(args[0]);
+      return item ? bulk(item.value) : '$-1\r\n';
+    }
+    case 'SET': {
+      const pxIndex = args.findIndex((arg) => arg.toUpperCase() === 'PX');
+      const expireAt = pxIndex === -1 ? null : Date.now() + Number(args[pxIndex + 1]);
+      store.set(args[0], { value: args[1], expireAt });
+      return '+OK\r\n';
+    }
+    case 'DEL': {
+      const removed = args.filter((key) => store.delete(key)).length;
+      return `:${removed}\r\n`;
+    }
+    case 'SCAN': {
+      const matchIndex = args.findIndex((arg) => arg.toUpperCase() === 'MATCH');
+      const pattern = matchIndex === -1 ? null : globToRegExp(args[matchIndex + 1]);
+      const keys = [...store.keys()].filter((key) => live(key) && (!pattern || pattern.test(key)));
+      return `*2\r\n${bulk('0')}*${keys.length}\r\n${keys.map(bulk).join('')}`;
+    }
+    default:
+      return `-ERR unknown command '${name}'\r\n`;
+  }
+}
+
+function bulk(value) {
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '\\') source += glob[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function parseCommand(buffer) {
+  if (buffer.length === 0 || buffer[0] !== 0x2a) return null; // '*'
+
+  let lineEnd = buffer.indexOf('\r\n');
+  if (lineEnd === -1) return null;
+
+  const count = Number(buffer.toString('utf8', 1, lineEnd));
+  const args = [];
+  let offset = lineEnd + 2;
+
+  for (let i = 0; i < count; i++) {
+    lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const length = Number(buffer.toString('utf8', offset + 1, lineEnd));
+    const start = lineEnd + 2;
+    if (buffer.length < start + length + 2) return null;
+
+    args.push(buffer.toString('utf8', start, start + length));
+    offset = start + length + 2;
+  }
+
+  return { args, offset };
+}
@@ -0,0 +1,31 @@
+/*──────────────────────────────────────
+  Shared setup for suites that call upstream sources
+  Retries are switched off (they have their own suite, so a failure
+  surfaces on the first attempt) and every test starts with empty
+  version caches, no remembered validators and closed circuits
+──────────────────────────────────────*/
+
+import { beforeEach } from '@jest/globals';
+
+/**
+ * Register the upstream reset for the calling suite; call it at the top level of a test file
+ *
+ * Services load lazily, so suites that mock axios can still call this before importing them.
+ */
+export function useFreshUpstreamState() {
+  process.env.UPSTREAM_RETRIES = '0';
+
+  beforeEach(async () => {
+    await resetUpstreamState();
+  });
+}
+
+export async function resetUpstreamState() {
+  const { packageService } = await import('../../../src/services/packageService.mjs');
+  const { httpClient } = await import('../../../src/services/httpClient.mjs');
+  const { resetCircuitBreakers } = await import('../../../src/services/circuitBreaker.mjs');
+
+  await packageService.clearCache();
+  await httpClient.clearValidators();
+  resetCircuitBreakers();
+}
@@ -0,0 +1,54 @@
+/*──────────────────────────────────────
+  Unit Tests: Diagnostics Handler
+  Tests circuit breaker and coalescing reporting
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { createLambdaEvent } from '../../helpers/testUtils.mjs';
+import { diagnosticsHandler } from '../../../../src/handlers/diagnosticsHandler.mjs';
+import { getCircuitBreaker, resetCircuitBreakers } from '../../../../src/services/circuitBreaker.mjs';
+import { createSingleFlight } from '../../../../src/utils/singleFlight.mjs';
+
+describe('Diagnostics Handler', () => {
+  beforeEach(() => {
+    resetCircuitBreakers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('reports the state of each upstream circuit', async () => {
+    const breaker = getCircuitBreaker('api.github.com');
+    const outage = new Error('Request failed with status code 502');
+    outage.response = { status: 502 };
+    for (let i = 0; i < 5; i++) {
+      await expect(breaker.execute(() => Promise.reject(outage))).rejects.toThrow();
+    }
+    getCircuitBreaker('api.nuget.org');
+
+    const response = await diagnosticsHandler.handle(createLambdaEvent('diagnostics'));
+    const body = JSON.parse(response.body);
+
+    expect(body.circuitBreakers['api.github.com']).toMatchObject({
+      state: 'open',
+      failures: 5,
+      lastError: 'Request failed with status code 502'
+    });
+    expect(body.circuitBreakers['api.nuget.org']).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('reports coalescing metrics per group', async () => {
+    const flight = createSingleFlight('diagnostics-test');
+    await Promise.all([flight.run('key', async () => 1), flight.run('key', async () => 1)]);
+
+    const response = await diagnosticsHandler.handle(createLambdaEvent('diagnostics'));
+
+    expect(JSON.parse(response.body).coalescing['diagnostics-test']).toEqual({ calls: 2, executions: 1, coalesced: 1, inFlight: 0 });
+  });
+
+  test('is never cached', async () => {
+    const response = await diagnosticsHandler.handle(createLambdaEvent('diagnostics'));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Content-Type']).toBe('application/json');
+    expect(response.headers['Cache-Control']).toBe('no-cache');
+  });
+});
@@ -19,6 +19,8 @@ process.env.GITHUB_TOKEN = 'mock-github-token';
 // Import handler and axios after mocking
 const axios = (await import('axios')).default;
 const { packageHandler } = await import('../../../../src/handlers/packageHandler.mjs');
+const { packageService } = await import('../../../../src/services/packageService.mjs');
+const { resetCircuitBreakers } = await import('../../../../src/services/circuitBreaker.mjs');
 
 // Mock data for realistic API responses
 const mockNuGetResponse = {
@@ -41,8 +43,10 @@ const mockGitHubResponsePreferClean = [
 ];
 
 describe('Package Handler', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
+    await packageService.clearCache();
+    resetCircuitBreakers();
   });
 
   // CRITICAL: Backward compatibility validation
@@ -72,7 +76,8 @@ describe('Package Handler', () => {
       const response = await packageHandler.handle(event);
       
       expect(axios.get).toHaveBeenCalledWith(
-        'https://api.nuget.org/v3-flatcontainer/newtonsoft.json/index.json'
+        'https://api.nuget.org/v3-flatcontainer/newtonsoft.json/index.json',
+        expect.objectContaining({ validateStatus: expect.any(Function) })
       );
       expectShieldsIoFormat(response);
     });
@@ -191,7 +196,8 @@ describe('Package Handler', () => {
       const response = await packageHandler.handle(event, 'localstack.client');
       
       expect(axios.get).toHaveBeenCalledWith(
-        'https://api.nuget.org/v3-flatcontainer/localstack.client/index.json'
+        'https://api.nuget.org/v3-flatcontainer/localstack.client/index.json',
+        expect.objectContaining({ validateStatus: expect.any(Function) })
       );
       expectShieldsIoFormat(response);
     });
@@ -207,9 +213,9 @@ describe('Package Handler', () => {
       expect(body.error).toContain('Source parameter is required');
     });
 
-    test('validates source must be "nuget" or "github"', async () => {
+    test('validates source must be a registered provider', async () => {
       const event = createLambdaEvent('badge/packages/localstack.client', {
-        source: 'npm'
+        source: 'pypi'
       });
       
       const response = await packageHandler.handle(event);
@@ -282,7 +288,8 @@ describe('Package Handler', () => {
       const response = await packageHandler.handle(event);
       
       expect(axios.get).toHaveBeenCalledWith(
-        'https://api.nuget.org/v3-flatcontainer/localstack.client/index.json' // Implementation lowercases package names
+        'https://api.nuget.org/v3-flatcontainer/localstack.client/index.json', // Implementation lowercases package names
+        expect.objectContaining({ validateStatus: expect.any(Function) })
       );
     });
 
@@ -409,7 +416,24 @@ describe('Package Handler', () => {
       
       expectErrorResponse(response, 400);
       const body = JSON.parse(response.body);
-      expect(body.error).toContain("Invalid semver format for parameter 'gt'");
+      expect(body.error).toContain("Invalid NuGet version for parameter 'gt'");
+    });
+
+    test('applies four-part NuGet bounds with their prerelease labels', async () => {
+      axios.get.mockResolvedValue({ data: { versions: ['0.8.0.162', '0.8.0.163', '1.0.0.4', '1.0.0.5-beta', '1.0.0.5'] } });
+
+      const event = createLambdaEvent('', {
+        package: 'Test.Package',
+        source: 'nuget',
+        'include-prerelease': 'true',
+        gte: '0.8.0.163',
+        lt: '1.0.0.5-beta'
+      });
+
+      const response = await packageHandler.handle(event);
+
+      expectShieldsIoFormat(response);
+      expect(JSON.parse(response.body).message).toBe('1.0.0.4');
     });
 
     test('coerces partial versions: "2.0" -> "2.0.0"', async () => {
@@ -681,7 +705,8 @@ describe('Package Handler', () => {
       const response = await packageHandler.handle(event);
       
       expect(axios.get).toHaveBeenCalledWith(
-        'https://api.nuget.org/v3-flatcontainer/test.package/index.json'
+        'https://api.nuget.org/v3-flatcontainer/test.package/index.json',
+        expect.objectContaining({ validateStatus: expect.any(Function) })
       );
       
       expectShieldsIoFormat(response);
@@ -781,7 +806,7 @@ describe('Package Handler', () => {
       const response = await packageHandler.handle(event);
       
       expect(axios.get).toHaveBeenCalledWith(
-        'https://api.github.com/orgs/localstack-dotnet/packages/nuget/Localstack.Client/versions',
+        'https://api.github.com/orgs/localstack-dotnet/packages/nuget/Localstack.Client/versions?per_page=100',
         expect.objectContaining({
           headers: expect.objectContaining({
             'Authorization': 'Bearer mock-github-token',
@@ -886,6 +911,74 @@ describe('Package Handler', () => {
     });
   });
 
+  describe('GitHub Owner', () => {
+    beforeEach(() => {
+      process.env.GITHUB_ALLOWED_OWNERS = 'acme,user:octocat';
+      axios.get.mockResolvedValue({ data: mockGitHubResponse });
+    });
+
+    afterEach(() => {
+      delete process.env.GITHUB_ALLOWED_OWNERS;
+    });
+
+    test('defaults to the localstack-dotnet organization', async () => {
+      await packageHandler.handle(createLambdaEvent('badge/packages/localstack.client', { source: 'github' }), 'localstack.client');
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.github.com/orgs/localstack-dotnet/packages/nuget/Localstack.Client/versions?per_page=100',
+        expect.any(Object)
+      );
+    });
+
+    test('queries an allowed organization', async () => {
+      const response = await packageHandler.handle(createLambdaEvent('badge/packages/acme.tools', { source: 'github', owner: 'acme' }), 'acme.tools');
+
+      expect(axios.get).toHaveBeenCalledWith('https://api.github.com/orgs/acme/packages/nuget/Acme.Tools/versions?per_page=100', expect.any(Object));
+      expect(JSON.parse(response.body).message).toBe('2.0.0');
+    });
+
+    test('queries an allowed personal account through /users', async () => {
+      await packageHandler.handle(createLambdaEvent('badge/packages/octo.lib', { source: 'github', owner: 'octocat' }), 'octo.lib');
+
+      expect(axios.get).toHaveBeenCalledWith('https://api.github.com/users/octocat/packages/nuget/Octo.Lib/versions?per_page=100', expect.any(Object));
+    });
+
+    test('caches packages per owner', async () => {
+      await packageHandler.handle(createLambdaEvent('badge/packages/shared.lib', { source: 'github' }), 'shared.lib');
+      await packageHandler.handle(createLambdaEvent('badge/packages/shared.lib', { source: 'github', owner: 'acme' }), 'shared.lib');
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('refuses owners outside the allowlist without calling GitHub', async () => {
+      const response = await packageHandler.handle(createLambdaEvent('badge/packages/some.lib', { source: 'github', owner: 'someone-else' }), 'some.lib');
+
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toBe("Invalid owner parameter: 'someone-else' is not an allowed GitHub owner");
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('rejects owner for the nuget source', async () => {
+      const response = await packageHandler.handle(createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', owner: 'acme' }), 'localstack.client');
+
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toContain("only supported with source 'github'");
+    });
+
+    test('names the owner in not-found errors and explain mode', async () => {
+      const error = new Error('Not Found');
+      error.response = { status: 404 };
+      axios.get.mockRejectedValueOnce(error);
+      const missing = await packageService.fetchVersions('github', 'missing.lib', () => {}, { owner: { login: 'acme', type: 'org', isDefault: false } })
+        .catch(e => e);
+
+      const response = await packageHandler.handle(createLambdaEvent('badge/packages/acme.tools', { source: 'github', owner: 'acme', explain: 'true' }), 'acme.tools');
+
+      expect(missing.message).toBe('GitHub package not found: acme/Missing.Lib');
+      expect(JSON.parse(response.body).owner).toBe('acme');
+    });
+  });
+
   describe('Response Generation', () => {
     test('generates success response with correct shields.io format', async () => {
       axios.get.mockResolvedValue({ data: mockNuGetResponse });
@@ -1029,4 +1122,627 @@ describe('Package Handler', () => {
       expect(githubBody.namedLogo).toBe('github');
     });
   });
-}); 
\ No newline at end of file
+
+  describe('SVG Output', () => {
+    test('returns native SVG badge when format=svg', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+      
+      const event = createLambdaEvent('badge/packages/localstack.client', { 
+        source: 'nuget',
+        format: 'svg'
+      });
+      
+      const response = await packageHandler.handle(event, 'localstack.client');
+      
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.body).toContain('<title>localstack.client nuget: 2.1.0</title>');
+    });
+
+    test('returns SVG not found badge when format=svg', async () => {
+      const error = new Error('Not Found');
+      error.response = { status: 404 };
+      axios.get.mockRejectedValue(error);
+      
+      const event = createLambdaEvent('badge/packages/missing.package', { 
+        source: 'nuget',
+        format: 'svg'
+      });
+      
+      const response = await packageHandler.handle(event, 'missing.package');
+      
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.body).toContain('not found');
+    });
+
+    test('renders requested style for SVG badges', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+      
+      const event = createLambdaEvent('badge/packages/localstack.client', { 
+        source: 'nuget',
+        format: 'svg',
+        style: 'for-the-badge'
+      });
+      
+      const response = await packageHandler.handle(event, 'localstack.client');
+      
+      expect(response.body).toContain('height="28"');
+      expect(response.body).toContain('LOCALSTACK.CLIENT NUGET: 2.1.0');
+    });
+
+    test('passes style through in shields JSON', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+      
+      const event = createLambdaEvent('badge/packages/localstack.client', { 
+        source: 'nuget',
+        style: 'plastic'
+      });
+      
+      const response = await packageHandler.handle(event, 'localstack.client');
+      
+      expectShieldsIoFormat(response);
+      expect(JSON.parse(response.body).style).toBe('plastic');
+    });
+
+    test('rejects unknown style values', async () => {
+      const event = createLambdaEvent('badge/packages/localstack.client', { 
+        source: 'nuget',
+        style: 'rounded'
+      });
+      
+      const response = await packageHandler.handle(event, 'localstack.client');
+      
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toContain("Invalid style parameter: 'rounded'");
+    });
+
+    test('rejects unsupported format values', async () => {
+      const event = createLambdaEvent('badge/packages/localstack.client', { 
+        source: 'nuget',
+        format: 'png'
+      });
+      
+      const response = await packageHandler.handle(event, 'localstack.client');
+      
+      expectErrorResponse(response, 400);
+      const body = JSON.parse(response.body);
+      expect(body.error).toContain("Invalid format parameter: 'png'");
+    });
+  });
+
+  describe('Shields Endpoint Options', () => {
+    test('passes optional endpoint fields through to the badge', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+      
+      const event = createLambdaEvent('badge/packages/localstack.client', { 
+        source: 'nuget',
+        labelColor: '#333',
+        logo: 'github',
+        logoColor: 'white',
+        isError: 'false',
+        cacheSeconds: '1800'
+      });
+      
+      const response = await packageHandler.handle(event, 'localstack.client');
+      
+      expectShieldsIoFormat(response);
+      const body = JSON.parse(response.body);
+      expect(body).toMatchObject({
+        labelColor: '#333',
+        namedLogo: 'github',
+        logoColor: 'white',
+        isError: false,
+        cacheSeconds: 1800
+      });
+    });
+
+    test('applies endpoint fields to not found badges too', async () => {
+      axios.get.mockResolvedValue({ data: { versions: [] } });
+      
+      const event = createLambdaEvent('badge/packages/missing.package', { 
+        source: 'nuget',
+        labelColor: 'blue'
+      });
+      
+      const response = await packageHandler.handle(event, 'missing.package');
+      
+      const body = JSON.parse(response.body);
+      expect(body.message).toBe('not found');
+      expect(body.labelColor).toBe('blue');
+    });
+
+    test.each([
+      [{ color: 'not-a-color' }, "Invalid color parameter: 'not-a-color'"],
+      [{ labelColor: 'nope' }, "Invalid labelColor parameter: 'nope'"],
+      [{ logo: 'unknown' }, "Invalid logo parameter: 'unknown'"],
+      [{ logoSvg: '<img>' }, 'Invalid logoSvg parameter'],
+      [{ isError: 'maybe' }, "Invalid isError parameter: 'maybe'"],
+      [{ cacheSeconds: 'soon' }, "Invalid cacheSeconds parameter: 'soon'"]
+    ])('returns 400 for invalid %o', async (params, message) => {
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', ...params });
+      
+      const response = await packageHandler.handle(event, 'localstack.client');
+      
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toContain(message);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Version Cache', () => {
+    test('shows the last known version during upstream outages', async () => {
+      axios.get.mockResolvedValueOnce({ data: mockNuGetResponse });
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', track: '1' });
+      await packageHandler.handle(event, 'localstack.client');
+
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 10 * 60 * 1000);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      axios.get.mockRejectedValueOnce(new Error('Request failed with status code 503'));
+
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expectShieldsIoFormat(response);
+      expect(JSON.parse(response.body).message).toBe('1.2.0');
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      clock.mockRestore();
+      console.error.mockRestore();
+    });
+
+    test('reuses cached versions across different filters', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      const v1 = await packageHandler.handle(createLambdaEvent('', { package: 'localstack.client', source: 'nuget', track: '1' }));
+      const v2 = await packageHandler.handle(createLambdaEvent('', { package: 'localstack.client', source: 'nuget', track: '2' }));
+
+      expect(JSON.parse(v1.body).message).toBe('1.2.0');
+      expect(JSON.parse(v2.body).message).toBe('2.1.0');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Upstream Circuit Breaker', () => {
+    beforeEach(() => {
+      process.env.CIRCUIT_FAILURE_THRESHOLD = '1';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      delete process.env.CIRCUIT_FAILURE_THRESHOLD;
+    });
+
+    test('shows an unavailable badge without calling the upstream while open', async () => {
+      axios.get.mockRejectedValue(new Error('socket hang up'));
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'github' });
+
+      await packageHandler.handle(event, 'localstack.client');
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expectShieldsIoFormat(response);
+      const body = JSON.parse(response.body);
+      expect(body).toMatchObject({ label: 'localstack.client github', message: 'unavailable', color: 'lightgrey', namedLogo: 'github' });
+      expect(response.headers['Cache-Control']).toBe('public, max-age=60');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps serving cached versions while open', async () => {
+      axios.get.mockResolvedValueOnce({ data: mockNuGetResponse });
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', track: '1' });
+      await packageHandler.handle(event, 'localstack.client');
+
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 10 * 60 * 1000);
+      axios.get.mockRejectedValue(new Error('socket hang up'));
+      await packageHandler.handle(event, 'localstack.client');
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expect(JSON.parse(response.body).message).toBe('1.2.0');
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      clock.mockRestore();
+    });
+
+    test('explains an open circuit', async () => {
+      axios.get.mockRejectedValue(new Error('socket hang up'));
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', explain: 'true' });
+
+      await packageHandler.handle(event, 'localstack.client');
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      const body = JSON.parse(response.body);
+      expect(body.outcome).toBe('Upstream unavailable');
+      expect(body.cache).toEqual({ status: 'miss', key: 'nuget:localstack.client' });
+    });
+  });
+
+  describe('Typed Error Mapping', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('an upstream failure mentioning "not found" is not a missing package', async () => {
+      const error = new Error('Backend not found for region');
+      error.response = { status: 500 };
+      axios.get.mockRejectedValue(error);
+
+      const response = await packageHandler.handle(createLambdaEvent('', { package: 'localstack.client', source: 'nuget' }));
+
+      expectErrorResponse(response, 500);
+      expect(JSON.parse(response.body).error).toBe('Backend not found for region');
+    });
+
+    test('shows an unavailable badge when the source is rate limited', async () => {
+      const error = new Error('API rate limit exceeded');
+      error.response = { status: 403, headers: { 'x-ratelimit-remaining': '0' } };
+      axios.get.mockRejectedValue(error);
+
+      const response = await packageHandler.handle(createLambdaEvent('', { package: 'localstack.client', source: 'github' }));
+
+      expectShieldsIoFormat(response);
+      expect(JSON.parse(response.body).message).toBe('unavailable');
+    });
+
+    test('reports a GitHub 403 as missing authentication', async () => {
+      const error = new Error('Resource not accessible by integration');
+      error.response = { status: 403, headers: {} };
+      axios.get.mockRejectedValue(error);
+
+      const response = await packageHandler.handle(createLambdaEvent('', { package: 'localstack.client', source: 'github' }));
+
+      expectErrorResponse(response, 500);
+      expect(JSON.parse(response.body).error).toContain('GitHub API requires authentication');
+    });
+  });
+
+  describe('Error Badges', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('renders a validation failure as a red isError badge', async () => {
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', track: 'abc', errors: 'badge' });
+
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expectShieldsIoFormat(response);
+      expect(JSON.parse(response.body)).toEqual({
+        schemaVersion: 1,
+        label: 'localstack.client',
+        message: 'bad track',
+        color: 'red',
+        isError: true,
+        cacheSeconds: 60
+      });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('uses the custom label and SVG format when they are valid', async () => {
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'pypi', label: 'Client', format: 'svg', errors: 'badge' });
+
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.body).toContain('Client');
+      expect(response.body).toContain('bad source');
+    });
+
+    test('names the package when the label is what failed', async () => {
+      const event = createLambdaEvent('', { package: 'localstack.client', label: 'x'.repeat(101), errors: 'badge' });
+
+      const response = await packageHandler.handle(event);
+
+      expect(JSON.parse(response.body)).toMatchObject({ label: 'localstack.client', message: 'bad label' });
+    });
+
+    test('renders upstream failures as "upstream down"', async () => {
+      const error = new Error('timeout of 5000ms exceeded');
+      error.code = 'ECONNABORTED';
+      axios.get.mockRejectedValue(error);
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', errors: 'badge' });
+
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expect(JSON.parse(response.body)).toMatchObject({ label: 'localstack.client nuget', message: 'upstream down', isError: true });
+    });
+
+    test('still answers a missing package with the not found badge', async () => {
+      const error = new Error('Not Found');
+      error.response = { status: 404 };
+      axios.get.mockRejectedValue(error);
+      const event = createLambdaEvent('badge/packages/missing.package', { source: 'nuget', errors: 'badge' });
+
+      const response = await packageHandler.handle(event, 'missing.package');
+
+      expect(JSON.parse(response.body)).toMatchObject({ message: 'not found', color: 'lightgrey' });
+    });
+
+    test('keeps JSON errors by default', async () => {
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', track: 'abc' });
+
+      expectErrorResponse(await packageHandler.handle(event, 'localstack.client'), 400);
+    });
+
+    test('rejects an unknown errors mode', async () => {
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', errors: 'yes' });
+
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toBe("Invalid errors parameter: 'yes'. Must be 'json' or 'badge'");
+    });
+  });
+
+  describe('NuGet Versioning', () => {
+    test('keeps legacy four-part versions', async () => {
+      axios.get.mockResolvedValue({ data: { versions: ['0.8.0.161', '0.8.0.163', '0.8.0.162'] } });
+
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget' });
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expectShieldsIoFormat(response);
+      expect(JSON.parse(response.body).message).toBe('0.8.0.163');
+    });
+
+    test('ranks four-part revisions above their three-part base', async () => {
+      axios.get.mockResolvedValue({ data: { versions: ['0.8.0', '0.8.0.163', '0.7.9'] } });
+
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', track: '0' });
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expect(JSON.parse(response.body).message).toBe('0.8.0.163');
+    });
+
+    test('applies range filters with NuGet ordering', async () => {
+      axios.get.mockResolvedValue({ data: { versions: ['0.8.0.163', '1.0', '1.1.0'] } });
+
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', lt: '1.1.0' });
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expect(JSON.parse(response.body).message).toBe('1.0');
+    });
+
+    test('compares prerelease labels case-insensitively', async () => {
+      axios.get.mockResolvedValue({ data: { versions: ['2.0.0-Beta', '2.0.0-alpha', '2.0.0-RC'] } });
+
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', 'include-prerelease': 'true' });
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      const body = JSON.parse(response.body);
+      expect(body.message).toBe('2.0.0-RC');
+      expect(body.color).toBe('orange');
+    });
+  });
+
+  describe('NuGet Range Parameter', () => {
+    const rangeVersions = {
+      versions: ['1.0.0', '1.5.0', '1.6.0', '2.0.0-preview1', '2.0.0', '2.1.0', '3.0.0']
+    };
+
+    const badgeFor = async (query) => {
+      axios.get.mockResolvedValue({ data: rangeVersions });
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', ...query });
+      return packageHandler.handle(event, 'localstack.client');
+    };
+
+    test.each([
+      ['[1.0,2.0)', '1.6.0'],
+      ['(,3.0)', '2.1.0'],
+      ['[1.5.0]', '1.5.0'],
+      ['1.5', '3.0.0']
+    ])('range=%p selects %p', async (range, expected) => {
+      const response = await badgeFor({ range });
+
+      expect(JSON.parse(response.body).message).toBe(expected);
+    });
+
+    test('composes with include-prerelease', async () => {
+      const stable = await badgeFor({ range: '[2.0.0-preview1,2.0.0)' });
+      const prerelease = await badgeFor({ range: '[2.0.0-preview1,2.0.0)', 'include-prerelease': 'true' });
+
+      expect(JSON.parse(stable.body).message).toBe('not found');
+      expect(JSON.parse(prerelease.body).message).toBe('2.0.0-preview1');
+    });
+
+    test('composes with track and other bounds', async () => {
+      const response = await badgeFor({ range: '[1.0,)', track: '2', lt: '2.1.0' });
+
+      expect(JSON.parse(response.body).message).toBe('2.0.0');
+    });
+
+    test('applies to github sources', async () => {
+      axios.get.mockResolvedValue({ data: mockGitHubResponse });
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'github', range: '(,2.0)' });
+      const response = await packageHandler.handle(event, 'localstack.client');
+
+      expect(JSON.parse(response.body).message).toBe('1.5.0');
+    });
+
+    test.each([
+      ['[1.0,2.0', "Invalid range parameter: '[1.0,2.0'. Interval must end with ']' or ')'"],
+      ['[2.0,1.0]', "Invalid range parameter: '[2.0,1.0]'. Minimum version '2.0.0' is greater than maximum version '1.0.0'"],
+      ['(1.5.0)', "Invalid range parameter: '(1.5.0)'. Exact version must use square brackets, e.g. '[1.5.0]'"],
+      ['', "Invalid range parameter: ''. Range must not be empty"]
+    ])('rejects range=%p with a precise 400', async (range, message) => {
+      const response = await badgeFor({ range });
+
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toBe(message);
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('appears as a pipeline stage in explain mode', async () => {
+      const response = await badgeFor({ range: '[1.0,2.0)', explain: 'true' });
+
+      const body = JSON.parse(response.body);
+      expect(body.criteria.range).toBe('[1.0.0, 2.0.0)');
+      expect(body.stages.find(s => s.stage === 'range')).toEqual({
+        stage: 'range', range: '[1.0.0, 2.0.0)', before: 6, after: 3, removed: ['2.0.0', '2.1.0', '3.0.0']
+      });
+    });
+  });
+
+  describe('Semver Range Parameter', () => {
+    const rangeVersions = {
+      versions: ['1.3.0', '1.4.0', '1.6.0', '1.7.0-beta', '2.0.0-preview1', '2.1.0-rc1', '3.0.0']
+    };
+
+    const badgeFor = async (query, data = rangeVersions) => {
+      axios.get.mockResolvedValue({ data });
+      const event = createLambdaEvent('badge/packages/localstack.client', { source: 'nuget', ...query });
+      return packageHandler.handle(event, 'localstack.client');
+    };
+
+    test('supports || alternatives across tracks', async () => {
+      const response = await badgeFor({ semver: '^1.4 || >=2.0.0-0 <3' });
+
+      // node-semver: 2.0.0-0 opts 2.0.0 prereleases in, but not 2.1.0-rc1
+      expect(JSON.parse(response.body).message).toBe('2.0.0-preview1');
+    });
+
+    test('include-prerelease matches node-semver includePrerelease', async () => {
+      const response = await badgeFor({ semver: '^1.4 || >=2.0.0-0 <3', 'include-prerelease': 'true' });
+
+      expect(JSON.parse(response.body).message).toBe('2.1.0-rc1');
+    });
+
+    test.each([
+      ['~1.4', '1.4.0'],
+      ['1.x', '1.6.0'],
+      ['1.3 - 1.5', '1.4.0'],
+      ['^1', '1.6.0'],
+      ['>=1.6.0 <3 || 3.0.0', '3.0.0']
+    ])('semver=%p selects %p', async (semver, expected) => {
+      const response = await badgeFor({ semver });
+
+      expect(JSON.parse(response.body).message).toBe(expected);
+    });
+
+    test('matches NuGet short versions but not four-part versions', async () => {
+      const response = await badgeFor({ semver: '^1' }, { versions: ['1.0', '1.0.0.5'] });
+
+      expect(JSON.parse(response.body).message).toBe('1.0');
+    });
+
+    test('composes with track', async () => {
+      const response = await badgeFor({ semver: '>=1.4', track: '1' });
+
+      expect(JSON.parse(response.body).message).toBe('1.6.0');
+    });
+
+    test('returns a 400 with the parse error for invalid ranges', async () => {
+      const response = await badgeFor({ semver: '>=1.0 <<2' });
+
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toBe("Invalid semver parameter: '>=1.0 <<2'. Invalid comparator: <<2");
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('appears as a pipeline stage in explain mode', async () => {
+      const response = await badgeFor({ semver: '^1.4', explain: 'true' });
+
+      const body = JSON.parse(response.body);
+      expect(body.criteria.semver).toBe('>=1.4.0 <2.0.0-0');
+      expect(body.stages.map(s => s.stage)).not.toContain('prerelease');
+      expect(body.stages.find(s => s.stage === 'semver')).toMatchObject({
+        range: '>=1.4.0 <2.0.0-0', includePrerelease: false, after: 2
+      });
+    });
+  });
+
+  describe('Explain Mode', () => {
+    const explainBadge = async (query, data = mockNuGetResponse) => {
+      axios.get.mockResolvedValue({ data });
+      const event = createLambdaEvent('badge/packages/localstack.client', { explain: 'true', ...query });
+      const response = await packageHandler.handle(event, 'localstack.client');
+      return { response, body: JSON.parse(response.body) };
+    };
+
+    test('returns a JSON pipeline trace instead of a badge', async () => {
+      const { response, body } = await explainBadge({ source: 'nuget' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('application/json');
+      expect(response.headers['Cache-Control']).toBe('no-cache');
+      expect(body.schemaVersion).toBeUndefined();
+      expect(body.package).toBe('localstack.client');
+      expect(body.selected).toBe('2.1.0');
+      expect(body.outcome).toBe('Selected');
+      expect(body.stages.map(s => s.stage)).toEqual(['fetched', 'nuget-valid', 'prerelease', 'sort']);
+    });
+
+    test('records counts and removed versions for every filter', async () => {
+      const { body } = await explainBadge({ source: 'nuget', track: '2', gte: '2.0.0', lt: '2.1.0' });
+
+      const stages = Object.fromEntries(body.stages.map(s => [s.stage, s]));
+      expect(stages.fetched.count).toBe(6);
+      expect(stages.track).toEqual({
+        stage: 'track', track: 2, before: 6, after: 3, removed: ['1.0.0', '1.1.0', '1.2.0']
+      });
+      expect(stages.prerelease.removed).toEqual(['2.0.0-preview1']);
+      expect(stages.gte.removed).toEqual([]);
+      expect(stages.lt).toEqual({ stage: 'lt', bound: '2.1.0', before: 2, after: 1, removed: ['2.1.0'] });
+      expect(stages.sort.versions).toEqual(['2.0.0']);
+      expect(body.criteria).toEqual({ track: 2, includePrerelease: false, preferClean: false, gte: '2.0.0', lt: '2.1.0' });
+      expect(body.selected).toBe('2.0.0');
+    });
+
+    test('records invalid versions that were dropped', async () => {
+      const { body } = await explainBadge({ source: 'nuget' }, { versions: ['0.8.0.163', 'latest', '1.0.0'] });
+
+      expect(body.stages[1]).toMatchObject({ stage: 'nuget-valid', removed: ['latest'] });
+    });
+
+    test('uses semver validation for github', async () => {
+      const { body } = await explainBadge({ source: 'github' }, [{ name: '0.8.0.163' }, { name: '1.0.0' }]);
+
+      expect(body.stages[1]).toMatchObject({ stage: 'semver-valid', removed: ['0.8.0.163'] });
+    });
+
+    test('records prefer-clean grouping for github', async () => {
+      const { body } = await explainBadge(
+        { source: 'github', 'include-prerelease': 'true', 'prefer-clean': 'true' },
+        mockGitHubResponsePreferClean
+      );
+
+      const preferClean = body.stages.find(s => s.stage === 'prefer-clean');
+      expect(preferClean.removed).toEqual(['2.0.0-preview1-20250716-125702']);
+      expect(preferClean.groups['2.0.0-preview1']).toBe('2.0.0-preview1');
+    });
+
+    test('explains why no version matched', async () => {
+      const { response, body } = await explainBadge({ source: 'nuget', gt: '9.0.0' });
+
+      expect(response.statusCode).toBe(200);
+      expect(body.selected).toBeNull();
+      expect(body.outcome).toBe('No versions match criteria');
+      expect(body.stages.at(-1)).toMatchObject({ stage: 'gt', after: 0 });
+    });
+
+    test('explains missing packages', async () => {
+      const error = new Error('Not Found');
+      error.response = { status: 404 };
+      axios.get.mockRejectedValue(error);
+
+      const event = createLambdaEvent('badge/packages/missing.package', { source: 'nuget', explain: 'true' });
+      const response = await packageHandler.handle(event, 'missing.package');
+
+      const body = JSON.parse(response.body);
+      expect(body.outcome).toBe('Package not found');
+      expect(body.cache).toEqual({ status: 'miss', key: 'nuget:missing.package' });
+      expect(body.stages).toEqual([]);
+    });
+
+    test('reports cache status', async () => {
+      const first = await explainBadge({ source: 'nuget' });
+      const second = await explainBadge({ source: 'nuget' });
+
+      expect(first.body.cache).toMatchObject({ status: 'miss', key: 'nuget:localstack.client', ttlSeconds: 300 });
+      expect(second.body.cache).toMatchObject({ status: 'hit', key: 'nuget:localstack.client' });
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores explain values other than true', async () => {
+      const { body } = await explainBadge({ source: 'nuget', explain: 'yes' });
+
+      expect(body.schemaVersion).toBe(1);
+    });
+  });
+});
@@ -449,6 +449,16 @@ describe('Test Badge Handler', () => {
       expect(response.headers['Cache-Control']).toBe('public, max-age=60');
     });
 
+    test('generates outdated badge when the Gist service flags stale data', async () => {
+      gistService.getTestResults.mockResolvedValue({ ...mockTestResults, outdated: true });
+      
+      const event = createLambdaEvent('badge/tests/linux');
+      const response = await testBadgeHandler.handle(event, 'linux');
+      
+      expectTestBadgeFormat(response, '2 failed, 150 passed (outdated)', 'inactive');
+      expect(response.headers['Cache-Control']).toBe('public, max-age=60');
+    });
+
     test('logs appropriate error messages', async () => {
       const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
       
@@ -640,6 +650,74 @@ describe('Test Badge Handler', () => {
       
       expect(response.headers['Content-Type']).toBe('application/json');
     });
+
+    test('returns native SVG badge when format=svg', async () => {
+      gistService.getTestResults.mockResolvedValue(mockTestResults);
+      
+      const event = createLambdaEvent('badge/tests/linux', { format: 'svg' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+      
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.body).toContain('<title>tests: 2 failed, 150 passed</title>');
+    });
+
+    test('returns SVG unavailable badge when data is missing and format=svg', async () => {
+      gistService.getTestResults.mockResolvedValue(null);
+      
+      const event = createLambdaEvent('badge/tests/linux', { format: 'svg' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+      
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.body).toContain('<title>tests: unavailable</title>');
+    });
+
+    test('renders requested style for SVG badges', async () => {
+      gistService.getTestResults.mockResolvedValue(mockTestResults);
+      
+      const event = createLambdaEvent('badge/tests/linux', { format: 'svg', style: 'flat-square' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+      
+      expect(response.body).toContain('shape-rendering="crispEdges"');
+    });
+
+    test('passes optional endpoint fields through to the badge', async () => {
+      gistService.getTestResults.mockResolvedValue(mockTestResults);
+      
+      const event = createLambdaEvent('badge/tests/linux', { labelColor: 'grey', logo: 'github', cacheSeconds: '600' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+      
+      const body = JSON.parse(response.body);
+      expect(body.labelColor).toBe('grey');
+      expect(body.namedLogo).toBe('github');
+      expect(body.cacheSeconds).toBe(600);
+      expect(response.headers['Cache-Control']).toBe('public, max-age=600');
+    });
+
+    test('rejects invalid endpoint field values', async () => {
+      const event = createLambdaEvent('badge/tests/linux', { logoColor: 'not-a-color' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+      
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toContain("Invalid logoColor parameter: 'not-a-color'");
+      expect(gistService.getTestResults).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown style values', async () => {
+      const event = createLambdaEvent('badge/tests/linux', { style: 'rounded' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+      
+      expectErrorResponse(response, 400);
+      expect(gistService.getTestResults).not.toHaveBeenCalled();
+    });
+
+    test('rejects unsupported format values', async () => {
+      const event = createLambdaEvent('badge/tests/linux', { format: 'png' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+      
+      expectErrorResponse(response, 400);
+      expect(gistService.getTestResults).not.toHaveBeenCalled();
+    });
   });
 
   describe('Error Handling & Edge Cases', () => {
@@ -732,4 +810,30 @@ describe('Test Badge Handler', () => {
       });
     });
   });
+
+  describe('Error Badges', () => {
+    test('renders an invalid track as an error badge with errors=badge', async () => {
+      const event = createLambdaEvent('badge/tests/linux', { track: 'v3', errors: 'badge' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+
+      expectShieldsIoFormat(response);
+      expect(JSON.parse(response.body)).toMatchObject({ label: 'tests', message: 'bad track', color: 'red', isError: true });
+      expect(gistService.getTestResults).not.toHaveBeenCalled();
+    });
+
+    test('renders invalid badge options as an error badge', async () => {
+      const event = createLambdaEvent('badge/tests/linux', { style: 'wavy', errors: 'badge' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+
+      expect(JSON.parse(response.body).message).toBe('bad style');
+    });
+
+    test('rejects an unknown errors mode with a JSON error', async () => {
+      const event = createLambdaEvent('badge/tests/linux', { errors: 'html' });
+      const response = await testBadgeHandler.handle(event, 'linux');
+
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toContain('Invalid errors parameter');
+    });
+  });
 }); 
\ No newline at end of file
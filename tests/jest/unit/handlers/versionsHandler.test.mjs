@@ -0,0 +1,224 @@
+/*──────────────────────────────────────
+  Unit Tests: Version List API Handler
+  Tests JSON version listing, selection semantics, and error handling
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { createLambdaEvent, expectErrorResponse } from '../../helpers/testUtils.mjs';
+
+// Mock axios before importing the handler
+jest.unstable_mockModule('axios', () => ({
+  default: {
+    get: jest.fn()
+  }
+}));
+
+process.env.GITHUB_TOKEN = 'mock-github-token';
+
+const axios = (await import('axios')).default;
+const { versionsHandler } = await import('../../../../src/handlers/versionsHandler.mjs');
+const { packageService } = await import('../../../../src/services/packageService.mjs');
+const { resetCircuitBreakers } = await import('../../../../src/services/circuitBreaker.mjs');
+
+const mockNuGetResponse = {
+  versions: ['0.8.0', '1.0.0', '1.4.0', '1.5.0', '1.6.0', '2.0.0-preview1']
+};
+
+const mockGitHubResponse = [
+  { name: '2.0.0-preview1-20250718-111124' },
+  { name: '2.0.0-preview1' },
+  { name: '2.0.0-preview1-20250716-125702' },
+  { name: '1.6.0' }
+];
+
+async function listVersions(pkg, query) {
+  const event = createLambdaEvent(`api/packages/${pkg}/versions`, query);
+  return versionsHandler.handle(event, pkg);
+}
+
+describe('Versions Handler', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await packageService.clearCache();
+    resetCircuitBreakers();
+  });
+
+  describe('Version Listing', () => {
+    test('returns the full filtered list with selected version', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      const response = await listVersions('localstack.client', { source: 'nuget', track: '1' });
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('application/json');
+
+      const body = JSON.parse(response.body);
+      expect(body.package).toBe('localstack.client');
+      expect(body.source).toBe('nuget');
+      expect(body.selected).toBe('1.6.0');
+      expect(body.count).toBe(4);
+      expect(body.versions.map(v => v.version)).toEqual(['1.6.0', '1.5.0', '1.4.0', '1.0.0']);
+    });
+
+    test('lists GitHub packages of an allowed owner', async () => {
+      process.env.GITHUB_ALLOWED_OWNERS = 'user:octocat';
+      axios.get.mockResolvedValue({ data: mockGitHubResponse });
+
+      const response = await listVersions('octo.lib', { source: 'github', owner: 'octocat' });
+      delete process.env.GITHUB_ALLOWED_OWNERS;
+
+      expect(response.statusCode).toBe(200);
+      expect(axios.get).toHaveBeenCalledWith('https://api.github.com/users/octocat/packages/nuget/Octo.Lib/versions?per_page=100', expect.any(Object));
+    });
+
+    test('includes per-version flags', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      const response = await listVersions('localstack.client', { source: 'nuget', 'include-prerelease': 'true' });
+
+      const body = JSON.parse(response.body);
+      expect(body.versions[0]).toEqual({ version: '2.0.0-preview1', prerelease: true, timestamped: false, track: 2 });
+      expect(body.versions[1]).toEqual({ version: '1.6.0', prerelease: false, timestamped: false, track: 1 });
+    });
+
+    test('echoes the effective selection criteria', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      const response = await listVersions('localstack.client', { source: 'nuget', track: 'v1', gte: '1.4', lt: '1.6.0' });
+
+      const body = JSON.parse(response.body);
+      expect(body.criteria).toEqual({
+        track: 1,
+        includePrerelease: false,
+        preferClean: false,
+        gte: '1.4.0',
+        lt: '1.6.0'
+      });
+      expect(body.selected).toBe('1.5.0');
+    });
+
+    test('applies github prefer-clean semantics', async () => {
+      axios.get.mockResolvedValue({ data: mockGitHubResponse });
+
+      const response = await listVersions('localstack.client', {
+        source: 'github', 'include-prerelease': 'true', 'prefer-clean': 'true'
+      });
+
+      const body = JSON.parse(response.body);
+      expect(body.versions.map(v => v.version)).toEqual(['2.0.0-preview1', '1.6.0']);
+      expect(body.selected).toBe('2.0.0-preview1');
+    });
+
+    test('flags timestamped builds without prefer-clean', async () => {
+      axios.get.mockResolvedValue({ data: mockGitHubResponse });
+
+      const response = await listVersions('localstack.client', { source: 'github', 'include-prerelease': 'true' });
+
+      const body = JSON.parse(response.body);
+      expect(body.versions.filter(v => v.timestamped).map(v => v.version)).toEqual([
+        '2.0.0-preview1-20250718-111124',
+        '2.0.0-preview1-20250716-125702'
+      ]);
+    });
+
+    test('returns empty list and null selection when nothing matches', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      const response = await listVersions('localstack.client', { source: 'nuget', gt: '5.0.0' });
+
+      expect(response.statusCode).toBe(200);
+      const body = JSON.parse(response.body);
+      expect(body.selected).toBeNull();
+      expect(body.count).toBe(0);
+      expect(body.versions).toEqual([]);
+    });
+  });
+
+  describe('Validation & Errors', () => {
+    test('requires source parameter', async () => {
+      const response = await listVersions('localstack.client', {});
+
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toContain('Source parameter is required');
+    });
+
+    test('rejects invalid filters', async () => {
+      const response = await listVersions('localstack.client', { source: 'nuget', track: '1.5' });
+
+      expectErrorResponse(response, 400);
+    });
+
+    test('returns 404 JSON error when the package does not exist', async () => {
+      const error = new Error('Not Found');
+      error.response = { status: 404 };
+      axios.get.mockRejectedValue(error);
+
+      const response = await listVersions('missing.package', { source: 'nuget' });
+
+      expectErrorResponse(response, 404);
+      expect(JSON.parse(response.body).error).toBe('Package not found: missing.package');
+    });
+
+    test('returns 404 when the source has no versions', async () => {
+      axios.get.mockResolvedValue({ data: { versions: [] } });
+
+      const response = await listVersions('empty.package', { source: 'nuget' });
+
+      expectErrorResponse(response, 404);
+    });
+
+    test('returns 500 on upstream failures', async () => {
+      axios.get.mockRejectedValue(new Error('socket hang up'));
+
+      const response = await listVersions('localstack.client', { source: 'nuget' });
+
+      expectErrorResponse(response, 500);
+      expect(JSON.parse(response.body).error).toContain('socket hang up');
+    });
+
+    test('returns 503 while the upstream circuit is open', async () => {
+      process.env.CIRCUIT_FAILURE_THRESHOLD = '1';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      axios.get.mockRejectedValue(new Error('socket hang up'));
+
+      await listVersions('localstack.client', { source: 'nuget' });
+      const response = await listVersions('localstack.client', { source: 'nuget' });
+
+      expectErrorResponse(response, 503);
+      expect(JSON.parse(response.body).error).toBe('Circuit open for api.nuget.org; upstream calls are suspended');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      delete process.env.CIRCUIT_FAILURE_THRESHOLD;
+    });
+
+    test('returns 503 with Retry-After when the source is rate limited', async () => {
+      const error = new Error('API rate limit exceeded');
+      error.response = { status: 403, headers: { 'x-ratelimit-remaining': '0', 'retry-after': '30' } };
+      axios.get.mockRejectedValue(error);
+
+      const response = await listVersions('localstack.client', { source: 'github' });
+
+      expectErrorResponse(response, 503);
+      expect(response.headers['Retry-After']).toBe('30');
+      expect(JSON.parse(response.body).error).toBe('GitHub rate limit exceeded');
+    });
+
+    test('does not treat a "not found" message as a missing package', async () => {
+      const error = new Error('Index not found, try again later');
+      error.response = { status: 500 };
+      axios.get.mockRejectedValue(error);
+
+      const response = await listVersions('localstack.client', { source: 'nuget' });
+
+      expectErrorResponse(response, 500);
+    });
+  });
+
+  describe('Error Mode', () => {
+    test('keeps JSON errors even when errors=badge is passed', async () => {
+      const response = await listVersions('localstack.client', { source: 'nuget', track: 'abc', errors: 'badge' });
+
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toContain('Invalid track parameter');
+    });
+  });
+});
@@ -19,6 +19,10 @@ const mockTestRedirectHandler = {
   handle: jest.fn()
 };
 
+const mockVersionsHandler = {
+  handle: jest.fn()
+};
+
 // Mock the handler modules
 jest.unstable_mockModule('../../../src/handlers/packageHandler.mjs', () => ({
   packageHandler: mockPackageHandler
@@ -32,8 +36,13 @@ jest.unstable_mockModule('../../../src/handlers/testRedirectHandler.mjs', () =>
   testRedirectHandler: mockTestRedirectHandler
 }));
 
+jest.unstable_mockModule('../../../src/handlers/versionsHandler.mjs', () => ({
+  versionsHandler: mockVersionsHandler
+}));
+
 // Import handler after mocking
 const { handler } = await import('../../../src/index.mjs');
+const { UpstreamUnavailableError } = await import('../../../src/utils/errors.mjs');
 
 describe('AWS Lambda Router', () => {
   beforeEach(() => {
@@ -57,6 +66,12 @@ describe('AWS Lambda Router', () => {
       headers: { 'Location': 'test-redirect-url' },
       body: ''
     });
+
+    mockVersionsHandler.handle.mockResolvedValue({
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ versions: [] })
+    });
   });
 
   describe('Route Matching & Delegation', () => {
@@ -130,6 +145,15 @@ describe('AWS Lambda Router', () => {
       expect(mockPackageHandler.handle).toHaveBeenCalledWith(event, null);
     });
 
+    test('delegates api/packages/localstack.client/versions to versionsHandler', async () => {
+      const event = createLambdaEvent('api/packages/localstack.client/versions', { source: 'nuget' });
+      
+      await handler(event);
+      
+      expect(mockVersionsHandler.handle).toHaveBeenCalledWith(event, 'localstack.client');
+      expect(mockPackageHandler.handle).not.toHaveBeenCalled();
+    });
+
     test('handles missing pathParameters gracefully', async () => {
       const event = createLambdaEvent();
       event.pathParameters = null;
@@ -179,6 +203,14 @@ describe('AWS Lambda Router', () => {
       expect(mockTestBadgeHandler.handle).not.toHaveBeenCalled();
     });
 
+    test('renders an invalid platform as an error badge with errors=badge', async () => {
+      const response = await handler(createLambdaEvent('badge/tests/ubuntu', { errors: 'badge' }));
+
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body)).toMatchObject({ label: 'tests', message: 'bad platform', isError: true });
+      expect(mockTestBadgeHandler.handle).not.toHaveBeenCalled();
+    });
+
     test('rejects invalid platform "win32" with 400 error', async () => {
       const event = createLambdaEvent('badge/tests/win32');
       
@@ -253,6 +285,78 @@ describe('AWS Lambda Router', () => {
       expect(mockPackageHandler.handle).toHaveBeenCalledWith(event, 'localstack.client');
     });
 
+    test('joins scoped npm names across two segments', async () => {
+      const event = createLambdaEvent('badge/packages/@LocalStack/Helper', { source: 'npm' });
+
+      await handler(event);
+
+      expect(mockPackageHandler.handle).toHaveBeenCalledWith(event, '@localstack/helper');
+    });
+
+    test('accepts scoped npm names with an encoded slash', async () => {
+      const event = createLambdaEvent('api/packages/%40localstack%2Fhelper/versions', { source: 'npm' });
+
+      await handler(event);
+
+      expect(mockVersionsHandler.handle).toHaveBeenCalledWith(event, '@localstack/helper');
+    });
+
+    test('reads the versions resource after a scoped npm name', async () => {
+      const event = createLambdaEvent('api/packages/@localstack/helper/versions', { source: 'npm' });
+
+      await handler(event);
+
+      expect(mockVersionsHandler.handle).toHaveBeenCalledWith(event, '@localstack/helper');
+    });
+
+    test('joins image repositories across segments', async () => {
+      const event = createLambdaEvent('badge/packages/ghcr.io/localstack/localstack', { source: 'docker' });
+
+      await handler(event);
+
+      expect(mockPackageHandler.handle).toHaveBeenCalledWith(event, 'ghcr.io/localstack/localstack');
+    });
+
+    test('reads the versions resource after a multi-segment name', async () => {
+      const event = createLambdaEvent('api/packages/localstack/localstack/versions', { source: 'docker' });
+
+      await handler(event);
+
+      expect(mockVersionsHandler.handle).toHaveBeenCalledWith(event, 'localstack/localstack');
+    });
+
+    test('ignores a trailing slash after the package name', async () => {
+      const event = createLambdaEvent('badge/packages/localstack.client/', { source: 'nuget' });
+
+      await handler(event);
+
+      expect(mockPackageHandler.handle).toHaveBeenCalledWith(event, 'localstack.client');
+    });
+
+    test('ignores a trailing slash after the versions resource', async () => {
+      const event = createLambdaEvent('api/packages/localstack.client/versions/', { source: 'nuget' });
+
+      await handler(event);
+
+      expect(mockVersionsHandler.handle).toHaveBeenCalledWith(event, 'localstack.client');
+    });
+
+    test('ignores a trailing slash after a multi-segment name', async () => {
+      const event = createLambdaEvent('badge/packages/@localstack/helper/', { source: 'npm' });
+
+      await handler(event);
+
+      expect(mockPackageHandler.handle).toHaveBeenCalledWith(event, '@localstack/helper');
+    });
+
+    test('keeps the first segment for sources whose names have no slash', async () => {
+      const event = createLambdaEvent('badge/packages/localstack.client/extra', { source: 'nuget' });
+
+      await handler(event);
+
+      expect(mockPackageHandler.handle).toHaveBeenCalledWith(event, 'localstack.client');
+    });
+
     test('accepts complex package names', async () => {
       const event = createLambdaEvent('badge/packages/Microsoft.AspNetCore.App');
       
@@ -262,6 +366,55 @@ describe('AWS Lambda Router', () => {
     });
   });
 
+  describe('Version List API Routes', () => {
+    test('returns 400 when package name is missing', async () => {
+      const event = createLambdaEvent('api/packages/');
+      
+      const response = await handler(event);
+      
+      expectErrorResponse(response, 400);
+      expect(JSON.parse(response.body).error).toBe('Package name required');
+      expect(mockVersionsHandler.handle).not.toHaveBeenCalled();
+    });
+
+    test('returns 404 for unknown package resources', async () => {
+      const event = createLambdaEvent('api/packages/localstack.client/downloads');
+      
+      const response = await handler(event);
+      
+      expectErrorResponse(response, 404);
+      expect(mockVersionsHandler.handle).not.toHaveBeenCalled();
+    });
+
+    test('returns 404 when versions segment is missing', async () => {
+      const event = createLambdaEvent('api/packages/localstack.client');
+      
+      const response = await handler(event);
+      
+      expectErrorResponse(response, 404);
+    });
+  });
+
+  describe('Diagnostics Route', () => {
+    test('reports circuit breakers and coalescing metrics', async () => {
+      const event = createLambdaEvent('diagnostics');
+      
+      const response = await handler(event);
+      
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Cache-Control']).toBe('no-cache');
+      expect(Object.keys(JSON.parse(response.body))).toEqual(['circuitBreakers', 'coalescing']);
+    });
+
+    test('returns 404 below the diagnostics path', async () => {
+      const event = createLambdaEvent('diagnostics/cache');
+      
+      const response = await handler(event);
+      
+      expectErrorResponse(response, 404);
+    });
+  });
+
   describe('404 Error Handling', () => {
     test('returns 404 for unknown route "api/v1/badges"', async () => {
       const event = createLambdaEvent('api/v1/badges');
@@ -361,6 +514,19 @@ describe('AWS Lambda Router', () => {
       expect(body.error).toBe('Internal server error');
     });
 
+    test('maps typed errors to their status code', async () => {
+      const consoleSpy = mockConsoleError();
+      mockVersionsHandler.handle.mockRejectedValue(new UpstreamUnavailableError('Upstream is down', { retryAfterSeconds: 15 }));
+
+      const response = await handler(createLambdaEvent('api/packages/test.package/versions'));
+
+      expectErrorResponse(response, 503);
+      expect(response.headers['Retry-After']).toBe('15');
+      expect(JSON.parse(response.body).error).toBe('Upstream is down');
+
+      consoleSpy.mockRestore();
+    });
+
     test('maintains error response format consistency', async () => {
       mockPackageHandler.handle.mockRejectedValue(new Error('Test error'));
       
@@ -474,4 +640,85 @@ describe('AWS Lambda Router', () => {
       expect(response).toEqual(mockResponse);
     });
   });
+
+  describe('Conditional Requests', () => {
+    const etagResponse = {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=3600',
+        'ETag': '"abc123"',
+        'Vary': 'Accept-Encoding'
+      },
+      body: JSON.stringify({ schemaVersion: 1, label: 'test', message: '1.2.3', color: 'blue' })
+    };
+
+    const conditionalEvent = (path, ifNoneMatch, headerName = 'If-None-Match') => {
+      const event = createLambdaEvent(path, { source: 'nuget' });
+      event.headers[headerName] = ifNoneMatch;
+      return event;
+    };
+
+    test('returns 304 when If-None-Match matches the ETag', async () => {
+      mockPackageHandler.handle.mockResolvedValue(etagResponse);
+
+      const response = await handler(conditionalEvent('badge/packages/localstack.client', '"abc123"'));
+
+      expect(response).toEqual({
+        statusCode: 304,
+        headers: { 'ETag': '"abc123"', 'Cache-Control': 'public, max-age=3600', 'Vary': 'Accept-Encoding' },
+        body: ''
+      });
+    });
+
+    test('matches header names case-insensitively', async () => {
+      mockVersionsHandler.handle.mockResolvedValue(etagResponse);
+
+      const response = await handler(conditionalEvent('api/packages/localstack.client/versions', '"abc123"', 'if-none-match'));
+
+      expect(response.statusCode).toBe(304);
+    });
+
+    test.each([
+      ['W/"abc123"'],
+      ['"other", "abc123"'],
+      ['*']
+    ])('treats If-None-Match %p as a match', async (ifNoneMatch) => {
+      mockTestBadgeHandler.handle.mockResolvedValue(etagResponse);
+
+      const response = await handler(conditionalEvent('badge/tests/linux', ifNoneMatch));
+
+      expect(response.statusCode).toBe(304);
+    });
+
+    test('returns the full response when the ETag changed', async () => {
+      mockPackageHandler.handle.mockResolvedValue(etagResponse);
+
+      const response = await handler(conditionalEvent('badge/packages/localstack.client', '"stale"'));
+
+      expect(response).toEqual(etagResponse);
+    });
+
+    test('never turns errors into 304', async () => {
+      mockPackageHandler.handle.mockResolvedValue({
+        statusCode: 500,
+        headers: { 'Content-Type': 'application/json', 'ETag': '"abc123"' },
+        body: JSON.stringify({ error: 'boom' })
+      });
+
+      const response = await handler(conditionalEvent('badge/packages/localstack.client', '*'));
+
+      expect(response.statusCode).toBe(500);
+    });
+
+    test('handles events without headers', async () => {
+      mockPackageHandler.handle.mockResolvedValue(etagResponse);
+      const event = createLambdaEvent('badge/packages/localstack.client');
+      event.headers = null;
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(200);
+    });
+  });
 }); 
\ No newline at end of file
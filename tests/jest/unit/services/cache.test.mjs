@@ -0,0 +1,281 @@
+/*──────────────────────────────────────
+  Unit Tests: Cache Backends
+  Tests the shared cache interface against memory, filesystem and Redis backends
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startFakeRedis } from '../../helpers/fakeRedisServer.mjs';
+
+const {
+  createCache,
+  createCacheBackend,
+  getCacheBackend,
+  setCacheBackend
+} = await import('../../../../src/services/cache/index.mjs');
+const { createMemoryBackend } = await import('../../../../src/services/cache/memoryBackend.mjs');
+const { createFileBackend, DEFAULT_CACHE_DIR } = await import('../../../../src/services/cache/fileBackend.mjs');
+const { createRedisBackend } = await import('../../../../src/services/cache/redisBackend.mjs');
+
+const START = 1642781400000;
+
+let redis;
+let cacheDir;
+
+beforeAll(async () => {
+  redis = await startFakeRedis({ password: 's3cret' });
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'badge-cache-test-'));
+});
+
+afterAll(async () => {
+  await redis.close();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+const backends = [
+  ['memory', () => createMemoryBackend()],
+  ['file', () => createFileBackend({ directory: cacheDir })],
+  ['redis', () => createRedisBackend({ url: redis.url, keyPrefix: `test-${Math.random()}:` })]
+];
+
+describe.each(backends)('Cache Interface (%s backend)', (name, createBackend) => {
+  let backend;
+  let cache;
+  let now;
+
+  beforeEach(async () => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    delete process.env.CACHE_STALE_TTL_SECONDS;
+
+    backend = createBackend();
+    cache = createCache(`ns-${name}`, { backend });
+    for (const entry of await cache.list()) await cache.delete(entry.key);
+  });
+
+  afterEach(() => {
+    backend.close?.();
+  });
+
+  test('returns null for missing keys', async () => {
+    expect(await cache.get('missing')).toBeNull();
+  });
+
+  test('stores values with TTL metadata', async () => {
+    await cache.set('nuget:pkg', ['1.0.0', '1.1.0'], { ttlMs: 60000, staleTtlMs: 120000 });
+
+    now += 1000;
+    expect(await cache.get('nuget:pkg')).toEqual({
+      key: 'nuget:pkg',
+      value: ['1.0.0', '1.1.0'],
+      storedAt: START,
+      expiresAt: START + 60000,
+      staleUntil: START + 180000,
+      ageMs: 1000,
+      fresh: true
+    });
+  });
+
+  test('keeps expired entries as stale until the stale window ends', async () => {
+    await cache.set('key', { passed: 1 }, { ttlMs: 1000, staleTtlMs: 5000 });
+
+    now += 2000;
+    expect(await cache.get('key')).toMatchObject({ value: { passed: 1 }, fresh: false, ageMs: 2000 });
+
+    now += 4000;
+    expect(await cache.get('key')).toBeNull();
+  });
+
+  test('deletes entries', async () => {
+    await cache.set('key', 'value', { ttlMs: 1000 });
+    await cache.delete('key');
+
+    expect(await cache.get('key')).toBeNull();
+  });
+
+  test('lists entries in its own namespace only', async () => {
+    const other = createCache(`other-${name}`, { backend });
+    await cache.set('a', 1, { ttlMs: 1000 });
+    await cache.set('b', 2, { ttlMs: 1000 });
+    await other.set('c', 3, { ttlMs: 1000 });
+
+    const entries = await cache.list();
+
+    expect(entries.map(entry => entry.key).sort()).toEqual(['a', 'b']);
+    expect(entries.find(entry => entry.key === 'b')).toMatchObject({ value: 2, fresh: true });
+    await other.delete('c');
+  });
+
+  test('defaults the stale window from CACHE_STALE_TTL_SECONDS', async () => {
+    process.env.CACHE_STALE_TTL_SECONDS = '30';
+
+    const entry = await cache.set('key', 'value', { ttlMs: 1000 });
+
+    expect(entry.staleUntil).toBe(START + 31000);
+  });
+});
+
+describe('Cache Backends', () => {
+  afterEach(() => {
+    setCacheBackend(null);
+  });
+
+  describe('Configuration', () => {
+    test('defaults to the memory backend', () => {
+      expect(createCacheBackend({}).name).toBe('memory');
+    });
+
+    test.each(['memory', 'file', 'redis', 'REDIS'])('selects %p from CACHE_BACKEND', (type) => {
+      const backend = createCacheBackend({ CACHE_BACKEND: type, REDIS_URL: redis.url });
+
+      expect(backend.name).toBe(type.toLowerCase());
+      backend.close?.();
+    });
+
+    test('rejects unknown backends', () => {
+      expect(() => createCacheBackend({ CACHE_BACKEND: 'memcached' }))
+        .toThrow("Unsupported cache backend 'memcached'. Must be one of: memory, file, redis");
+    });
+
+    test('file backend defaults to the temp directory', () => {
+      expect(DEFAULT_CACHE_DIR.startsWith(os.tmpdir())).toBe(true);
+    });
+
+    test('shares one configured backend until reset', () => {
+      const backend = getCacheBackend();
+
+      expect(getCacheBackend()).toBe(backend);
+      setCacheBackend(null);
+      expect(getCacheBackend()).not.toBe(backend);
+    });
+
+    test('services use the shared backend', async () => {
+      const backend = createMemoryBackend();
+      setCacheBackend(backend);
+
+      await createCache('gist').set('test-results-linux-v2', { passed: 1 }, { ttlMs: 1000 });
+
+      expect(await backend.keys('gist:')).toEqual(['gist:test-results-linux-v2']);
+    });
+  });
+
+  describe('Memory Backend', () => {
+    const FAR = START + 60000;
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(START);
+    });
+
+    test('evicts the least recently used entry past maxEntries', async () => {
+      const backend = createMemoryBackend({ maxEntries: 2 });
+      await backend.set('a', { value: 1 }, FAR);
+      await backend.set('b', { value: 2 }, FAR);
+      await backend.get('a');
+      await backend.set('c', { value: 3 }, FAR);
+
+      expect(await backend.keys()).toEqual(['a', 'c']);
+    });
+
+    test('evicts expired entries before live ones', async () => {
+      const backend = createMemoryBackend({ maxEntries: 2 });
+      await backend.set('live', { value: 1 }, FAR);
+      await backend.set('expired', { value: 2 }, START + 1000);
+      Date.now.mockReturnValue(START + 2000);
+      await backend.set('new', { value: 3 }, FAR);
+
+      expect(await backend.keys()).toEqual(['live', 'new']);
+    });
+
+    test('keeps the approximate size within maxBytes', async () => {
+      const body = { value: 'x'.repeat(100) };
+      const size = JSON.stringify(body).length;
+      const backend = createMemoryBackend({ maxBytes: size * 2 });
+
+      for (const key of ['a', 'b', 'c']) await backend.set(key, body, FAR);
+      await backend.set('huge', { value: 'x'.repeat(1000) }, FAR);
+
+      expect(await backend.keys()).toEqual(['b', 'c']);
+    });
+
+    test('reads CACHE_MAX_ENTRIES and CACHE_MAX_BYTES', async () => {
+      const backend = createCacheBackend({ CACHE_MAX_ENTRIES: '1', CACHE_MAX_BYTES: 'lots' });
+      await backend.set('a', { value: 1 }, FAR);
+      await backend.set('b', { value: 'x'.repeat(1000) }, FAR);
+
+      expect(await backend.keys()).toEqual(['b']);
+    });
+  });
+
+  describe('Filesystem Backend', () => {
+    test('survives a new backend instance (cold start)', async () => {
+      await createCache('gist', { backend: createFileBackend({ directory: cacheDir }) })
+        .set('persisted', { passed: 5 }, { ttlMs: 60000 });
+
+      const reloaded = createCache('gist', { backend: createFileBackend({ directory: cacheDir }) });
+
+      expect((await reloaded.get('persisted')).value).toEqual({ passed: 5 });
+    });
+
+    test('treats corrupt files as misses', async () => {
+      const backend = createFileBackend({ directory: cacheDir });
+      await backend.set('corrupt', { value: 1 }, Date.now() + 60000);
+      const files = await fs.readdir(cacheDir);
+      await Promise.all(files.map(name => fs.writeFile(path.join(cacheDir, name), '{not json')));
+
+      expect(await backend.get('corrupt')).toBeNull();
+      expect(await backend.keys()).toEqual([]);
+    });
+
+    test('lists nothing when the directory does not exist', async () => {
+      const backend = createFileBackend({ directory: path.join(cacheDir, 'missing') });
+
+      expect(await backend.keys()).toEqual([]);
+    });
+  });
+
+  describe('Redis Backend', () => {
+    test('authenticates and selects the configured database', async () => {
+      const server = await startFakeRedis({ password: 'pw' });
+      const backend = createRedisBackend({ url: `${server.url}/2` });
+
+      await backend.set('key', { value: 1 }, Date.now() + 5000);
+
+      expect(server.commands.slice(0, 3).map(([command]) => command)).toEqual(['AUTH', 'SELECT', 'SET']);
+      expect(server.commands[1]).toEqual(['SELECT', '2']);
+      backend.close();
+      await server.close();
+    });
+
+    test('escapes glob characters when listing', async () => {
+      const backend = createRedisBackend({ url: redis.url, keyPrefix: 'glob:' });
+      await backend.set('a*b', 1, Date.now() + 5000);
+      await backend.set('axb', 2, Date.now() + 5000);
+
+      expect(await backend.keys('a*')).toEqual(['a*b']);
+      backend.close();
+    });
+
+    test('surfaces Redis errors', async () => {
+      const backend = createRedisBackend({ url: redis.url.replace(':s3cret@', ':wrong@') });
+
+      await expect(backend.get('key')).rejects.toThrow('Redis error: WRONGPASS');
+      backend.close();
+    });
+
+    test('cache treats an unreachable Redis as a miss', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const server = await startFakeRedis();
+      const url = server.url;
+      await server.close();
+
+      const cache = createCache('packages', { backend: createRedisBackend({ url, timeoutMs: 500 }) });
+
+      await expect(cache.set('key', 'value', { ttlMs: 1000 })).resolves.toMatchObject({ value: 'value' });
+      expect(await cache.get('key')).toBeNull();
+      expect(await cache.list()).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith('🔥 Cache read failed for packages:key:', expect.any(String));
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/*──────────────────────────────────────
+  Unit Tests: Circuit Breaker
+  Tests opening on failures, fail-fast while open, half-open probing
+  and the per-host registry used by the HTTP client
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import {
+  CIRCUIT_OPEN,
+  createCircuitBreaker,
+  getCircuitBreaker,
+  getCircuitBreakerStates,
+  resetCircuitBreakers
+} from '../../../../src/services/circuitBreaker.mjs';
+import { UpstreamUnavailableError, ResponseTooLargeError } from '../../../../src/utils/errors.mjs';
+
+const START = 1642781400000;
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+describe('Circuit Breaker', () => {
+  let now;
+  const failing = (error = httpError(503)) => jest.fn().mockRejectedValue(error);
+  const succeeding = () => jest.fn().mockResolvedValue('ok');
+
+  async function failTimes(breaker, count, error) {
+    for (let i = 0; i < count; i++) {
+      await expect(breaker.execute(failing(error))).rejects.toThrow();
+    }
+  }
+
+  beforeEach(() => {
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    delete process.env.CIRCUIT_FAILURE_THRESHOLD;
+    delete process.env.CIRCUIT_RESET_SECONDS;
+    resetCircuitBreakers();
+  });
+
+  describe('State Transitions', () => {
+    test('stays closed below the failure threshold', async () => {
+      const breaker = createCircuitBreaker('api.github.com', { failureThreshold: 3, resetTimeoutMs: 30000 });
+
+      await failTimes(breaker, 2);
+
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 2 });
+      await expect(breaker.execute(succeeding())).resolves.toBe('ok');
+    });
+
+    test('a success resets the consecutive failure count', async () => {
+      const breaker = createCircuitBreaker('api.github.com', { failureThreshold: 3, resetTimeoutMs: 30000 });
+
+      await failTimes(breaker, 2);
+      await breaker.execute(succeeding());
+      await failTimes(breaker, 2);
+
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 2 });
+    });
+
+    test('opens at the threshold and fails fast without calling the upstream', async () => {
+      const breaker = createCircuitBreaker('api.github.com', { failureThreshold: 3, resetTimeoutMs: 30000 });
+      await failTimes(breaker, 3);
+
+      const operation = succeeding();
+      await expect(breaker.execute(operation)).rejects.toMatchObject({
+        code: CIRCUIT_OPEN,
+        message: 'Circuit open for api.github.com; upstream calls are suspended'
+      });
+
+      expect(operation).not.toHaveBeenCalled();
+      expect(breaker.getState()).toEqual({
+        state: 'open',
+        failures: 3,
+        openedAt: new Date(START).toISOString(),
+        retryAt: new Date(START + 30000).toISOString(),
+        lastError: 'Request failed with status code 503'
+      });
+    });
+
+    test('fails fast with an UpstreamUnavailableError that knows when to retry', async () => {
+      const breaker = createCircuitBreaker('api.github.com', { failureThreshold: 1, resetTimeoutMs: 30000 });
+      await failTimes(breaker, 1);
+      now += 10000;
+
+      const error = await breaker.execute(succeeding()).catch(e => e);
+
+      expect(error).toBeInstanceOf(UpstreamUnavailableError);
+      expect(error.retryAfterSeconds).toBe(20);
+    });
+
+    test('half-opens after the reset timeout and closes on a successful probe', async () => {
+      const breaker = createCircuitBreaker('api.github.com', { failureThreshold: 1, resetTimeoutMs: 30000 });
+      await failTimes(breaker, 1);
+
+      now += 30000;
+      await expect(breaker.execute(succeeding())).resolves.toBe('ok');
+
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0, openedAt: null });
+    });
+
+    test('reopens when the probe fails', async () => {
+      const breaker = createCircuitBreaker('api.github.com', { failureThreshold: 3, resetTimeoutMs: 30000 });
+      await failTimes(breaker, 3);
+
+      now += 30000;
+      await failTimes(breaker, 1);
+
+      expect(breaker.getState()).toMatchObject({ state: 'open', openedAt: new Date(START + 30000).toISOString() });
+    });
+
+    test('allows a single probe at a time while half-open', async () => {
+      const breaker = createCircuitBreaker('api.github.com', { failureThreshold: 1, resetTimeoutMs: 30000 });
+      await failTimes(breaker, 1);
+      now += 30000;
+
+      let finishProbe;
+      const probe = breaker.execute(() => new Promise((resolve) => {
+        finishProbe = resolve;
+      }));
+
+      expect(breaker.getState().state).toBe('half-open');
+      await expect(breaker.execute(succeeding())).rejects.toMatchObject({ code: CIRCUIT_OPEN });
+
+      finishProbe('ok');
+      await expect(probe).resolves.toBe('ok');
+      expect(breaker.getState().state).toBe('closed');
+    });
+  });
+
+  describe('Failure Classification', () => {
+    test.each([500, 502, 503, 504, 429])('HTTP %i counts as a failure', async (status) => {
+      const breaker = createCircuitBreaker('api.nuget.org', { failureThreshold: 1, resetTimeoutMs: 30000 });
+
+      await failTimes(breaker, 1, httpError(status));
+
+      expect(breaker.getState().state).toBe('open');
+    });
+
+    test('network errors count as failures', async () => {
+      const breaker = createCircuitBreaker('api.nuget.org', { failureThreshold: 1, resetTimeoutMs: 30000 });
+      const error = new Error('connect ECONNREFUSED');
+      error.code = 'ECONNREFUSED';
+
+      await failTimes(breaker, 1, error);
+
+      expect(breaker.getState().state).toBe('open');
+    });
+
+    test.each([401, 403, 404])('HTTP %i is an answer, not a failure', async (status) => {
+      const breaker = createCircuitBreaker('api.nuget.org', { failureThreshold: 1, resetTimeoutMs: 30000 });
+
+      await failTimes(breaker, 1, httpError(status));
+
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    test('an oversized response is an answer, not a failure', async () => {
+      const breaker = createCircuitBreaker('registry.npmjs.org', { failureThreshold: 1, resetTimeoutMs: 30000 });
+
+      await failTimes(breaker, 1, new ResponseTooLargeError('Upstream response exceeded the 1000 byte limit'));
+
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+    });
+
+    test('a 404 probe proves the upstream is reachable again', async () => {
+      const breaker = createCircuitBreaker('api.nuget.org', { failureThreshold: 1, resetTimeoutMs: 30000 });
+      await failTimes(breaker, 1);
+
+      now += 30000;
+      await failTimes(breaker, 1, httpError(404));
+
+      expect(breaker.getState().state).toBe('closed');
+    });
+  });
+
+  describe('Configuration', () => {
+    test('defaults to 5 failures and a 30 second cool-down', async () => {
+      const breaker = createCircuitBreaker('gist.githubusercontent.com');
+
+      await failTimes(breaker, 4);
+      expect(breaker.getState().state).toBe('closed');
+
+      await failTimes(breaker, 1);
+      expect(breaker.getState().retryAt).toBe(new Date(START + 30000).toISOString());
+    });
+
+    test('honors CIRCUIT_FAILURE_THRESHOLD and CIRCUIT_RESET_SECONDS', async () => {
+      process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+      process.env.CIRCUIT_RESET_SECONDS = '120';
+      const breaker = createCircuitBreaker('gist.githubusercontent.com');
+
+      await failTimes(breaker, 2);
+
+      expect(breaker.getState()).toMatchObject({ state: 'open', retryAt: new Date(START + 120000).toISOString() });
+    });
+
+    test.each(['0', 'abc'])('ignores an invalid threshold %p', async (threshold) => {
+      process.env.CIRCUIT_FAILURE_THRESHOLD = threshold;
+      const breaker = createCircuitBreaker('gist.githubusercontent.com');
+
+      await failTimes(breaker, 4);
+
+      expect(breaker.getState().state).toBe('closed');
+    });
+  });
+
+  describe('Registry', () => {
+    test('returns one breaker per host', () => {
+      expect(getCircuitBreaker('api.nuget.org')).toBe(getCircuitBreaker('api.nuget.org'));
+      expect(getCircuitBreaker('api.nuget.org')).not.toBe(getCircuitBreaker('api.github.com'));
+    });
+
+    test('reports every host state', async () => {
+      process.env.CIRCUIT_FAILURE_THRESHOLD = '1';
+      getCircuitBreaker('api.nuget.org');
+      await failTimes(getCircuitBreaker('api.github.com'), 1);
+
+      expect(getCircuitBreakerStates()).toEqual({
+        'api.nuget.org': expect.objectContaining({ state: 'closed' }),
+        'api.github.com': expect.objectContaining({ state: 'open', failures: 1 })
+      });
+    });
+
+    test('resetCircuitBreakers forgets every host', () => {
+      getCircuitBreaker('api.nuget.org');
+
+      resetCircuitBreakers();
+
+      expect(getCircuitBreakerStates()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/*──────────────────────────────────────
+  Unit Tests: Docker Registry Source
+  Tests the OCI tags/list API, the registry token flow, pagination and
+  tag filtering with real requests against a local registry stand-in
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { startFakeHttpServer } from '../../helpers/fakeHttpServer.mjs';
+import { packageService } from '../../../../src/services/packageService.mjs';
+import { packageHandler } from '../../../../src/handlers/packageHandler.mjs';
+import { parseImageReference } from '../../../../src/services/providers/docker.mjs';
+import { validateAndParseParameters } from '../../../../src/utils/packageParameters.mjs';
+import { PackageNotFoundError, AuthRequiredError } from '../../../../src/utils/errors.mjs';
+import { createLambdaEvent } from '../../helpers/testUtils.mjs';
+import { useFreshUpstreamState } from '../../helpers/upstreamState.mjs';
+
+useFreshUpstreamState();
+
+const TAGS_PATH = '/v2/localstack/localstack/tags/list';
+
+describe('Docker Registry Source', () => {
+  let registry;
+
+  const challenge = () => ({
+    status: 401,
+    headers: {
+      'WWW-Authenticate': `Bearer realm="${registry.url}/token",service="registry.docker.io",scope="repository:localstack/localstack:pull"`
+    },
+    body: { errors: [{ code: 'UNAUTHORIZED' }] }
+  });
+
+  const tags = (list, next = null) => ({
+    status: 200,
+    headers: next ? { Link: `<${TAGS_PATH}?last=${next}&n=1000>; rel="next"` } : {},
+    body: { name: 'localstack/localstack', tags: list }
+  });
+
+  async function badge(pkg, query = {}) {
+    const event = createLambdaEvent(`badge/packages/${pkg}`, { source: 'docker', ...query });
+    return JSON.parse((await packageHandler.handle(event, pkg)).body);
+  }
+
+  beforeAll(async () => {
+    registry = await startFakeHttpServer();
+    process.env.DOCKER_HUB_REGISTRY_URL = registry.url;
+    process.env.GHCR_REGISTRY_URL = registry.url;
+  });
+
+  afterAll(async () => {
+    delete process.env.DOCKER_HUB_REGISTRY_URL;
+    delete process.env.GHCR_REGISTRY_URL;
+    await registry.close();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.DOCKER_MAX_PAGES;
+    delete process.env.DOCKER_DEADLINE_MS;
+    delete process.env.DOCKER_HUB_USERNAME;
+    delete process.env.DOCKER_HUB_TOKEN;
+  });
+
+  describe('Token Flow', () => {
+    test('fetches a pull token from the challenge realm and retries', async () => {
+      registry.respond(challenge(), { status: 200, body: { token: 'pull-token' } }, tags(['3.5.0', 'latest']));
+
+      const versions = await packageService.fetchVersions('docker', 'localstack/localstack');
+
+      expect(versions).toEqual(['3.5.0', 'latest']);
+      expect(registry.requests.map((request) => request.url)).toEqual([
+        `${TAGS_PATH}?n=1000`,
+        '/token?service=registry.docker.io&scope=repository%3Alocalstack%2Flocalstack%3Apull',
+        `${TAGS_PATH}?n=1000`
+      ]);
+      expect(registry.requests[0].headers.authorization).toBeUndefined();
+      expect(registry.requests[2].headers.authorization).toBe('Bearer pull-token');
+    });
+
+    test('sends configured credentials to the token endpoint only', async () => {
+      process.env.DOCKER_HUB_USERNAME = 'ci';
+      process.env.DOCKER_HUB_TOKEN = 'hub-token';
+      registry.respond(challenge(), { status: 200, body: { access_token: 'pull-token' } }, tags(['3.5.0']));
+
+      await packageService.fetchVersions('docker', 'localstack/localstack');
+
+      expect(registry.requests[1].headers.authorization).toBe(`Basic ${Buffer.from('ci:hub-token').toString('base64')}`);
+      expect(registry.requests[2].headers.authorization).toBe('Bearer pull-token');
+    });
+
+    test('reports a second 401 as AuthRequiredError', async () => {
+      registry.respond(challenge(), { status: 200, body: { token: 'pull-token' } }, challenge());
+
+      const error = await packageService.fetchVersions('docker', 'localstack/localstack').catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(AuthRequiredError);
+      expect(error.message).toContain('DOCKER_HUB_USERNAME/DOCKER_HUB_TOKEN');
+    });
+
+    test('maps a missing repository to PackageNotFoundError', async () => {
+      registry.respond({ status: 404, body: { errors: [{ code: 'NAME_UNKNOWN' }] } });
+
+      await expect(packageService.fetchVersions('docker', 'localstack/missing')).rejects.toThrow(PackageNotFoundError);
+    });
+  });
+
+  describe('Pagination', () => {
+    test('follows relative Link headers with the same token', async () => {
+      registry.respond(
+        challenge(),
+        { status: 200, body: { token: 'pull-token' } },
+        tags(['3.4.0', '3.5.0'], '3.5.0'),
+        tags(['3.6.0', 'latest'])
+      );
+
+      const versions = await packageService.fetchVersions('docker', 'localstack/localstack');
+
+      expect(versions).toEqual(['3.4.0', '3.5.0', '3.6.0', 'latest']);
+      expect(registry.requests[3].url).toBe(`${TAGS_PATH}?last=3.5.0&n=1000`);
+      expect(registry.requests[3].headers.authorization).toBe('Bearer pull-token');
+    });
+
+    test('stops at DOCKER_MAX_PAGES', async () => {
+      process.env.DOCKER_MAX_PAGES = '1';
+      registry.respond(tags(['3.4.0'], '3.4.0'), tags(['3.5.0']));
+
+      const versions = await packageService.fetchVersions('docker', 'localstack/localstack');
+
+      expect(versions).toEqual(['3.4.0']);
+      expect(registry.requests).toHaveLength(1);
+      expect(console.log).toHaveBeenCalledWith('⚠️ Docker Hub tags for localstack/localstack truncated at 1 pages');
+    });
+
+    test('token call and pages share one listing deadline', async () => {
+      process.env.DOCKER_DEADLINE_MS = '400';
+      registry.respond(
+        challenge(),
+        { status: 200, body: { token: 'pull-token' }, delayMs: 150 },
+        { ...tags(['3.4.0'], '3.4.0'), delayMs: 150 },
+        { ...tags(['3.5.0']), delayMs: 1000 }
+      );
+
+      const startedAt = Date.now();
+      const versions = await packageService.fetchVersions('docker', 'localstack/localstack');
+
+      expect(versions).toEqual(['3.4.0']);
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(console.log).toHaveBeenCalledWith('⚠️ Docker Hub tags for localstack/localstack truncated after 1 pages: 400ms listing deadline reached');
+    });
+  });
+
+  describe('Badge Selection', () => {
+    const published = ['latest', 'stable', '3.5', '3.5.0', '3.5.0-amd64', '3.5.0-arm64', '3.6.0', '3.6.0-arm64', '4.0.0-rc1', 'sha-4f2a1c9'];
+
+    test('shows the latest semver tag, ignoring latest, SHA and architecture tags', async () => {
+      registry.respond(tags(published));
+
+      const body = await badge('localstack/localstack');
+
+      expect(body.message).toBe('3.6.0');
+      expect(body.label).toBe('localstack/localstack docker');
+      expect(body.namedLogo).toBe('docker');
+    });
+
+    test('applies the track filter', async () => {
+      registry.respond(tags([...published, '2.3.2']));
+
+      expect((await badge('localstack/localstack', { track: '2' })).message).toBe('2.3.2');
+    });
+
+    test('tag-pattern selects architecture-specific builds', async () => {
+      registry.respond(tags(published));
+
+      const body = await badge('localstack/localstack', { 'tag-pattern': '*-arm64', 'include-prerelease': 'true' });
+
+      expect(body.message).toBe('3.6.0-arm64');
+    });
+
+    test.each([
+      [{}, 'v1.4.0'],
+      [{ range: '[1.0,2.0)' }, 'v1.4.0'],
+      [{ range: '[1.0,1.4)' }, '1.3.0'],
+      [{ semver: '<1.3.0' }, 'v1.2.3'],
+      [{ lt: '1.4.0' }, '1.3.0']
+    ])('compares v-prefixed tags on their SemVer form with %p', async (query, expected) => {
+      registry.respond(tags(['latest', 'v1.2.3', 'v1.4.0', '1.3.0']));
+
+      expect((await badge('localstack/localstack', query)).message).toBe(expected);
+    });
+
+    test('reads GHCR images from the GHCR registry', async () => {
+      registry.respond(tags(['1.0.0', '1.1.0']));
+
+      const body = await badge('ghcr.io/localstack/localstack');
+
+      expect(body.message).toBe('1.1.0');
+      expect(registry.requests[0].url).toBe('/v2/localstack/localstack/tags/list?n=1000');
+    });
+  });
+
+  describe('Parameters', () => {
+    test.each([
+      ['localstack/localstack', { registry: 'docker.io', repository: 'localstack/localstack' }],
+      ['nginx', { registry: 'docker.io', repository: 'library/nginx' }],
+      ['docker.io/nginx', { registry: 'docker.io', repository: 'library/nginx' }],
+      ['ghcr.io/localstack/localstack', { registry: 'ghcr.io', repository: 'localstack/localstack' }]
+    ])('resolves %p', (pkg, expected) => {
+      expect(parseImageReference(pkg)).toEqual(expected);
+    });
+
+    test.each(['quay.io/org/image', 'evil.example.com/x/y', 'localstack//localstack', '-bad/image'])('rejects the image %p', (pkg) => {
+      expect(() => validateAndParseParameters({ source: 'docker' }, null, pkg)).toThrow('Invalid package name format');
+    });
+
+    test.each(['((a+))+', '(a|aa)+', '(\\w|\\d)+', '(a+)+$', '-arm64$', '['])('rejects the regex tag-pattern %p', (pattern) => {
+      expect(() => validateAndParseParameters({ source: 'docker', 'tag-pattern': pattern }, null, 'nginx'))
+        .toThrow(`Invalid tag-pattern parameter: '${pattern}' must be at most 100 tag characters`);
+    });
+
+    test('rejects tag patterns over 100 characters', () => {
+      expect(() => validateAndParseParameters({ source: 'docker', 'tag-pattern': 'a'.repeat(101) }, null, 'nginx'))
+        .toThrow('must be at most 100 tag characters');
+    });
+
+    test('tag-pattern is only supported with source docker', () => {
+      expect(() => validateAndParseParameters({ source: 'npm', 'tag-pattern': 'arm64' }, null, 'left-pad'))
+        .toThrow("Invalid tag-pattern parameter: only supported with source 'docker'");
+    });
+
+    test('exposes the pattern as tagPattern', () => {
+      const { sourceOptions } = validateAndParseParameters({ source: 'docker', 'tag-pattern': '*-arm64' }, null, 'nginx');
+
+      expect(sourceOptions.tagPattern.source).toBe('*-arm64');
+    });
+
+    test.each([
+      ['*-arm64', '3.6.0-arm64', true],
+      ['*-arm64', '3.6.0-arm64v8', false],
+      ['3.*', '3.6.0', true],
+      ['3.*', '13.6.0', false],
+      ['*rc*', '4.0.0-rc1', true],
+      ['3.*-*64', '3.6.0-arm64', true],
+      ['3.*-*64', '3.6.0-arm', false],
+      ['a*a', 'a', false],
+      ['3.6.0', '3.6.0', true],
+      ['3.6.0', '3.6.0-arm64', false]
+    ])('tag-pattern %p matches %p: %p', (pattern, tag, expected) => {
+      const { sourceOptions } = validateAndParseParameters({ source: 'docker', 'tag-pattern': pattern }, null, 'nginx');
+
+      expect(sourceOptions.tagPattern.test(tag)).toBe(expected);
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 import { jest } from '@jest/globals';
 import { mockDateNow } from '../../helpers/testUtils.mjs';
+import { useFreshUpstreamState } from '../../helpers/upstreamState.mjs';
 
 // Mock axios before importing the service
 jest.unstable_mockModule('axios', () => ({
@@ -13,6 +14,8 @@ jest.unstable_mockModule('axios', () => ({
   }
 }));
 
+useFreshUpstreamState();
+
 // Import service after mocking
 const axios = (await import('axios')).default;
 const { gistService } = await import('../../../../src/services/gistService.mjs');
@@ -29,11 +32,11 @@ const validTestData = {
 };
 
 describe('Gist Service', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
     
     // Clear the internal cache
-    gistService.clearCache();
+    await gistService.clearCache();
     
     // Reset Date.now to consistent value
     jest.clearAllTimers();
@@ -46,8 +49,8 @@ describe('Gist Service', () => {
   });
 
   describe('Cache Management', () => {
-    test('starts with empty cache', () => {
-      const status = gistService.getCacheStatus();
+    test('starts with empty cache', async () => {
+      const status = await gistService.getCacheStatus();
       
       expect(status).toEqual({});
     });
@@ -57,7 +60,7 @@ describe('Gist Service', () => {
       
       await gistService.getTestResults('linux');
       
-      const status = gistService.getCacheStatus();
+      const status = await gistService.getCacheStatus();
       expect(status['test-results-linux-v2']).toMatchObject({
         age: expect.any(Number),
         isValid: true,
@@ -85,11 +88,11 @@ describe('Gist Service', () => {
       axios.get.mockResolvedValue({ data: validTestData });
       await gistService.getTestResults('linux');
       
-      expect(Object.keys(gistService.getCacheStatus())).toHaveLength(1);
+      expect(Object.keys(await gistService.getCacheStatus())).toHaveLength(1);
       
-      gistService.clearCache();
+      await gistService.clearCache();
       
-      expect(gistService.getCacheStatus()).toEqual({});
+      expect(await gistService.getCacheStatus()).toEqual({});
     });
 
     test('clearCache can remove specific platform cache', async () => {
@@ -102,12 +105,12 @@ describe('Gist Service', () => {
       axios.get.mockResolvedValue({ data: windowsData });
       await gistService.getTestResults('windows');
       
-      expect(Object.keys(gistService.getCacheStatus())).toHaveLength(2);
+      expect(Object.keys(await gistService.getCacheStatus())).toHaveLength(2);
       
       // Clear only linux cache
-      gistService.clearCache('linux');
+      await gistService.clearCache('linux');
       
-      const status = gistService.getCacheStatus();
+      const status = await gistService.getCacheStatus();
       expect(status).not.toHaveProperty('test-results-linux-v2');
       expect(status).toHaveProperty('test-results-windows-v2');
     });
@@ -123,12 +126,12 @@ describe('Gist Service', () => {
       axios.get.mockResolvedValue({ data: windowsData });
       await gistService.getTestResults('windows', 'v2');
       
-      expect(Object.keys(gistService.getCacheStatus())).toHaveLength(3);
+      expect(Object.keys(await gistService.getCacheStatus())).toHaveLength(3);
       
       // Clear only linux v1 cache
-      gistService.clearCache('linux', 'v1');
+      await gistService.clearCache('linux', 'v1');
       
-      const status = gistService.getCacheStatus();
+      const status = await gistService.getCacheStatus();
       expect(status).not.toHaveProperty('test-results-linux-v1');
       expect(status).toHaveProperty('test-results-linux-v2');
       expect(status).toHaveProperty('test-results-windows-v2');
@@ -145,12 +148,12 @@ describe('Gist Service', () => {
       axios.get.mockResolvedValue({ data: windowsData });
       await gistService.getTestResults('windows', 'v2');
       
-      expect(Object.keys(gistService.getCacheStatus())).toHaveLength(3);
+      expect(Object.keys(await gistService.getCacheStatus())).toHaveLength(3);
       
       // Clear all linux tracks
-      gistService.clearCache('linux');
+      await gistService.clearCache('linux');
       
-      const status = gistService.getCacheStatus();
+      const status = await gistService.getCacheStatus();
       expect(status).not.toHaveProperty('test-results-linux-v1');
       expect(status).not.toHaveProperty('test-results-linux-v2');
       expect(status).toHaveProperty('test-results-windows-v2');
@@ -170,7 +173,10 @@ describe('Gist Service', () => {
           headers: {
             'Accept': 'application/json',
             'User-Agent': 'LocalStack-Badge-API/1.0'
-          }
+          },
+          maxContentLength: 5 * 1024 * 1024,
+          proxy: false,
+          validateStatus: expect.any(Function)
         }
       );
     });
@@ -271,7 +277,7 @@ describe('Gist Service', () => {
 
     test('caches data separately for different tracks', async () => {
       // Clear cache to ensure clean state
-      gistService.clearCache();
+      await gistService.clearCache();
       
       // Mock different data for v1 and v2 with correct totals
       const v1Data = { ...validTestData, passed: 100, total: 103 }; // 100 passed + 2 failed + 1 skipped = 103
@@ -298,6 +304,212 @@ describe('Gist Service', () => {
     });
   });
 
+  describe('Conditional Revalidation', () => {
+    test('revalidates expired entries with the Gist ETag and keeps serving on 304', async () => {
+      const now = Date.now();
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: '"gist-etag"' }, data: validTestData });
+      await gistService.getTestResults('linux');
+
+      Date.now.mockReturnValue(now + 2 * 60 * 60 * 1000); // past the stale grace window
+      axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+      const result = await gistService.getTestResults('linux');
+
+      expect(axios.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+        headers: expect.objectContaining({ 'If-None-Match': '"gist-etag"' })
+      }));
+      expect(result).toEqual(validTestData);
+      expect((await gistService.getCacheStatus())['test-results-linux-v2']).toMatchObject({ age: 0, isValid: true });
+    });
+  });
+
+  describe('Request Coalescing', () => {
+    // Let concurrent callers run until the shared upstream request has started
+    async function untilRequested() {
+      for (let i = 0; i < 50 && axios.get.mock.calls.length === 0; i++) {
+        await Promise.resolve();
+      }
+    }
+
+    test('concurrent cold requests share one Gist fetch', async () => {
+      let respond;
+      axios.get.mockImplementation(() => new Promise((resolve) => {
+        respond = resolve;
+      }));
+      const before = gistService.getCoalescingMetrics();
+
+      const requests = [1, 2, 3, 4].map(() => gistService.getTestResults('linux'));
+      await untilRequested();
+      respond({ data: validTestData });
+      const results = await Promise.all(requests);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(results).toEqual(Array(4).fill(validTestData));
+
+      const after = gistService.getCoalescingMetrics();
+      expect(after.coalesced - before.coalesced).toBe(3);
+      expect(after.inFlight).toBe(0);
+    });
+
+    test('coalesces the blocking refresh of an entry past the grace window', async () => {
+      const now = Date.now();
+      axios.get.mockResolvedValueOnce({ data: validTestData });
+      await gistService.getTestResults('linux');
+
+      Date.now.mockReturnValue(now + 2 * 60 * 60 * 1000);
+      let fail;
+      axios.get.mockImplementation(() => new Promise((resolve, reject) => {
+        fail = reject;
+      }));
+
+      axios.get.mockClear();
+      const requests = [1, 2].map(() => gistService.getTestResults('linux'));
+      await untilRequested();
+      fail(new Error('Network Error'));
+      const results = await Promise.all(requests);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(results).toEqual([validTestData, validTestData]);
+    });
+
+    test('does not coalesce different platforms', async () => {
+      axios.get.mockImplementation((url) => Promise.resolve({
+        data: { ...validTestData, platform: url.includes('windows') ? 'windows' : 'linux' }
+      }));
+
+      await Promise.all([gistService.getTestResults('linux'), gistService.getTestResults('windows')]);
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Stale-While-Revalidate', () => {
+    const TTL_MS = 5 * 60 * 1000;
+    let now;
+
+    // Let a background refresh run to completion
+    async function settle() {
+      for (let i = 0; i < 50; i++) {
+        await Promise.resolve();
+      }
+    }
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      delete process.env.GIST_STALE_GRACE_SECONDS;
+      delete process.env.GIST_MAX_STALE_SECONDS;
+
+      now = Date.now();
+      axios.get.mockResolvedValueOnce({ data: validTestData });
+      await gistService.getTestResults('linux');
+      axios.get.mockReset();
+    });
+
+    afterEach(() => {
+      delete process.env.GIST_STALE_GRACE_SECONDS;
+      delete process.env.GIST_MAX_STALE_SECONDS;
+    });
+
+    test('serves an expired entry immediately within the grace window', async () => {
+      Date.now.mockReturnValue(now + TTL_MS + 60 * 1000);
+      let respond;
+      axios.get.mockImplementation(() => new Promise((resolve) => {
+        respond = resolve;
+      }));
+
+      const result = await gistService.getTestResults('linux');
+      expect(result).toEqual(validTestData);
+
+      await settle();
+      expect(axios.get).toHaveBeenCalledTimes(1);
+
+      respond({ data: validTestData });
+      await settle();
+    });
+
+    test('stores the background refresh for later requests', async () => {
+      Date.now.mockReturnValue(now + TTL_MS + 60 * 1000);
+      const refreshed = { ...validTestData, passed: 151, failed: 1 };
+      axios.get.mockResolvedValue({ data: refreshed });
+
+      expect(await gistService.getTestResults('linux')).toEqual(validTestData);
+      await settle();
+
+      expect(await gistService.getTestResults('linux')).toEqual(refreshed);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps serving stale data when the background refresh fails', async () => {
+      Date.now.mockReturnValue(now + TTL_MS + 60 * 1000);
+      axios.get.mockRejectedValue(new Error('Network Error'));
+
+      expect(await gistService.getTestResults('linux')).toEqual(validTestData);
+      await settle();
+
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Background refresh'), 'Network Error');
+      expect(await gistService.getTestResults('linux')).toEqual(validTestData);
+    });
+
+    test('concurrent stale requests start a single background refresh', async () => {
+      Date.now.mockReturnValue(now + TTL_MS + 60 * 1000);
+      let respond;
+      axios.get.mockImplementation(() => new Promise((resolve) => {
+        respond = resolve;
+      }));
+
+      await Promise.all([1, 2, 3].map(() => gistService.getTestResults('linux')));
+      await settle();
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+
+      respond({ data: validTestData });
+      await settle();
+    });
+
+    test('blocks on the refresh once the grace window has passed', async () => {
+      Date.now.mockReturnValue(now + TTL_MS + 61 * 60 * 1000);
+      const refreshed = { ...validTestData, passed: 151, failed: 1 };
+      axios.get.mockResolvedValue({ data: refreshed });
+
+      expect(await gistService.getTestResults('linux')).toEqual(refreshed);
+    });
+
+    test('falls back to stale data before max-stale', async () => {
+      Date.now.mockReturnValue(now + TTL_MS + 2 * 60 * 60 * 1000);
+      axios.get.mockRejectedValue(new Error('Network Error'));
+
+      const result = await gistService.getTestResults('linux');
+
+      expect(result).toEqual(validTestData);
+      expect(result.outdated).toBeUndefined();
+    });
+
+    test('flags data past max-stale as outdated', async () => {
+      Date.now.mockReturnValue(now + TTL_MS + 6 * 60 * 60 * 1000);
+      axios.get.mockRejectedValue(new Error('Network Error'));
+
+      const result = await gistService.getTestResults('linux');
+
+      expect(result).toEqual({ ...validTestData, outdated: true });
+    });
+
+    test('honors GIST_STALE_GRACE_SECONDS', async () => {
+      process.env.GIST_STALE_GRACE_SECONDS = '0';
+      Date.now.mockReturnValue(now + TTL_MS + 1000);
+      const refreshed = { ...validTestData, passed: 151, failed: 1 };
+      axios.get.mockResolvedValue({ data: refreshed });
+
+      expect(await gistService.getTestResults('linux')).toEqual(refreshed);
+    });
+
+    test('honors GIST_MAX_STALE_SECONDS', async () => {
+      process.env.GIST_MAX_STALE_SECONDS = '60';
+      Date.now.mockReturnValue(now + TTL_MS + 60 * 1000);
+      axios.get.mockRejectedValue(new Error('Network Error'));
+
+      expect((await gistService.getTestResults('linux')).outdated).toBe(true);
+    });
+  });
+
   describe('Package Parameter Handling', () => {
     test('uses package-specific gist URL when package parameter provided', async () => {
       axios.get.mockResolvedValue({ data: validTestData });
@@ -311,7 +523,10 @@ describe('Gist Service', () => {
           headers: {
             'Accept': 'application/json',
             'User-Agent': 'LocalStack-Badge-API/1.0'
-          }
+          },
+          maxContentLength: 5 * 1024 * 1024,
+          proxy: false,
+          validateStatus: expect.any(Function)
         }
       );
     });
@@ -328,7 +543,10 @@ describe('Gist Service', () => {
           headers: {
             'Accept': 'application/json',
             'User-Agent': 'LocalStack-Badge-API/1.0'
-          }
+          },
+          maxContentLength: 5 * 1024 * 1024,
+          proxy: false,
+          validateStatus: expect.any(Function)
         }
       );
     });
@@ -345,7 +563,10 @@ describe('Gist Service', () => {
           headers: {
             'Accept': 'application/json',
             'User-Agent': 'LocalStack-Badge-API/1.0'
-          }
+          },
+          maxContentLength: 5 * 1024 * 1024,
+          proxy: false,
+          validateStatus: expect.any(Function)
         }
       );
     });
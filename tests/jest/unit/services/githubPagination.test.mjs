@@ -0,0 +1,167 @@
+/*──────────────────────────────────────
+  Unit Tests: GitHub Packages Pagination
+  Tests Link-header paging, the page cap and version metadata with real
+  requests against a local fake GitHub API
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { startFakeHttpServer } from '../../helpers/fakeHttpServer.mjs';
+import { packageService } from '../../../../src/services/packageService.mjs';
+import { packageHandler } from '../../../../src/handlers/packageHandler.mjs';
+import { versionsHandler } from '../../../../src/handlers/versionsHandler.mjs';
+import { createLambdaEvent } from '../../helpers/testUtils.mjs';
+import { useFreshUpstreamState } from '../../helpers/upstreamState.mjs';
+
+const VERSIONS_PATH = '/orgs/localstack-dotnet/packages/nuget/Localstack.Client/versions';
+
+function version(name, day) {
+  return {
+    id: day,
+    name,
+    created_at: `2025-07-${String(day).padStart(2, '0')}T10:00:00Z`,
+    updated_at: `2025-07-${String(day).padStart(2, '0')}T12:00:00Z`,
+    html_url: `https://github.com/orgs/localstack-dotnet/packages/nuget/localstack.client/${day}`
+  };
+}
+
+useFreshUpstreamState();
+
+describe('GitHub Packages Pagination', () => {
+  let upstream;
+
+  const pageUrl = (page) => `${upstream.url}${VERSIONS_PATH}?per_page=100&page=${page}`;
+  const link = (next, last) => ({ Link: `<${pageUrl(next)}>; rel="next", <${pageUrl(last)}>; rel="last"` });
+
+  beforeAll(async () => {
+    upstream = await startFakeHttpServer();
+    process.env.GITHUB_API_URL = upstream.url;
+  });
+
+  afterAll(async () => {
+    delete process.env.GITHUB_API_URL;
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_MAX_PAGES;
+    delete process.env.GITHUB_DEADLINE_MS;
+    delete process.env.PACKAGE_CACHE_TTL_SECONDS;
+  });
+
+  test('follows Link rel="next" across every page in order', async () => {
+    upstream.respond(
+      { status: 200, headers: link(2, 3), body: [version('2.0.0-preview1-20250720-101010', 20), version('2.0.0-preview1-20250719-101010', 19)] },
+      { status: 200, headers: link(3, 3), body: [version('2.0.0-preview1-20250718-101010', 18)] },
+      { status: 200, body: [version('2.0.0-preview1', 2), version('1.5.0', 1)] }
+    );
+
+    const versions = await packageService.fetchVersions('github', 'localstack.client');
+
+    expect(versions).toEqual([
+      '2.0.0-preview1-20250720-101010',
+      '2.0.0-preview1-20250719-101010',
+      '2.0.0-preview1-20250718-101010',
+      '2.0.0-preview1',
+      '1.5.0'
+    ]);
+    expect(upstream.requests.map(request => request.url)).toEqual([
+      `${VERSIONS_PATH}?per_page=100`,
+      `${VERSIONS_PATH}?per_page=100&page=2`,
+      `${VERSIONS_PATH}?per_page=100&page=3`
+    ]);
+  });
+
+  test('prefer-clean finds a manual tag that is only on a later page', async () => {
+    upstream.respond(
+      { status: 200, headers: link(2, 2), body: [version('2.0.0-preview1-20250720-101010', 20), version('2.0.0-preview1-20250719-101010', 19)] },
+      { status: 200, body: [version('2.0.0-preview1', 2)] }
+    );
+    const event = createLambdaEvent('badge/packages/localstack.client', { source: 'github', 'include-prerelease': 'true', 'prefer-clean': 'true' });
+
+    const response = await packageHandler.handle(event, 'localstack.client');
+
+    expect(JSON.parse(response.body).message).toBe('2.0.0-preview1');
+  });
+
+  test('keeps created_at, updated_at and html_url per version', async () => {
+    upstream.respond(
+      { status: 200, headers: link(2, 2), body: [version('2.0.0', 3)] },
+      { status: 200, body: [version('1.5.0', 1), { id: 0, name: '1.0.0' }] }
+    );
+
+    const { metadata } = await packageService.lookupVersions('github', 'localstack.client');
+
+    expect(metadata).toEqual({
+      '2.0.0': {
+        createdAt: '2025-07-03T10:00:00Z',
+        updatedAt: '2025-07-03T12:00:00Z',
+        htmlUrl: 'https://github.com/orgs/localstack-dotnet/packages/nuget/localstack.client/3'
+      },
+      '1.5.0': {
+        createdAt: '2025-07-01T10:00:00Z',
+        updatedAt: '2025-07-01T12:00:00Z',
+        htmlUrl: 'https://github.com/orgs/localstack-dotnet/packages/nuget/localstack.client/1'
+      }
+    });
+  });
+
+  test('stops at GITHUB_MAX_PAGES', async () => {
+    process.env.GITHUB_MAX_PAGES = '2';
+    upstream.respond({ status: 200, headers: link(2, 50), body: [version('1.0.0', 1)] });
+
+    const versions = await packageService.fetchVersions('github', 'localstack.client');
+
+    expect(upstream.requests).toHaveLength(2);
+    expect(versions).toEqual(['1.0.0', '1.0.0']);
+    expect(console.log).toHaveBeenCalledWith('⚠️ GitHub versions for localstack-dotnet/Localstack.Client truncated at 2 pages');
+  });
+
+  test('shares one deadline across pages and keeps the pages read in time', async () => {
+    process.env.GITHUB_DEADLINE_MS = '300';
+    upstream.respond(
+      { status: 200, headers: link(2, 3), body: [version('2.0.0', 3)], delayMs: 150 },
+      { status: 200, headers: link(3, 3), body: [version('1.5.0', 2)], delayMs: 1000 }
+    );
+
+    const startedAt = Date.now();
+    const versions = await packageService.fetchVersions('github', 'localstack.client');
+
+    expect(versions).toEqual(['2.0.0']);
+    expect(upstream.requests).toHaveLength(2);
+    expect(Date.now() - startedAt).toBeLessThan(900);
+    expect(console.log).toHaveBeenCalledWith('⚠️ GitHub versions for localstack-dotnet/Localstack.Client truncated after 1 pages: 300ms listing deadline reached');
+  });
+
+  test('keeps paging after a 304 on the first page', async () => {
+    process.env.PACKAGE_CACHE_TTL_SECONDS = '0';
+    upstream.respond(
+      { status: 200, headers: { ETag: '"page1"', ...link(2, 2) }, body: [version('2.0.0', 3)] },
+      { status: 200, body: [version('1.5.0', 1)] },
+      { status: 304 },
+      { status: 200, body: [version('1.5.0', 1)] }
+    );
+
+    await packageService.fetchVersions('github', 'localstack.client');
+    const versions = await packageService.fetchVersions('github', 'localstack.client');
+
+    expect(upstream.requests[2].headers['if-none-match']).toBe('"page1"');
+    expect(upstream.requests).toHaveLength(4);
+    expect(versions).toEqual(['2.0.0', '1.5.0']);
+  });
+
+  test('exposes the metadata through the version list API', async () => {
+    upstream.respond({ status: 200, body: [version('2.0.0', 3)] });
+
+    const response = await versionsHandler.handle(createLambdaEvent('api/packages/localstack.client/versions', { source: 'github' }), 'localstack.client');
+
+    expect(JSON.parse(response.body).versions[0]).toMatchObject({
+      version: '2.0.0',
+      createdAt: '2025-07-03T10:00:00Z',
+      htmlUrl: 'https://github.com/orgs/localstack-dotnet/packages/nuget/localstack.client/3'
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/*──────────────────────────────────────
+  Unit Tests: HTTP Client
+  Tests ETag / Last-Modified tracking, conditional revalidation and request deadlines
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+
+// Mock axios before importing the client
+jest.unstable_mockModule('axios', () => ({
+  default: {
+    get: jest.fn()
+  }
+}));
+
+const axios = (await import('axios')).default;
+const { httpClient, parseLinkHeader } = await import('../../../../src/services/httpClient.mjs');
+
+const URL = 'https://api.nuget.org/v3-flatcontainer/microsoft.aspnetcore.app/index.json';
+const payload = { versions: ['2.1.0', '2.2.0'] };
+const UA = { 'User-Agent': 'LocalStack-Badge-API/1.0' };
+
+describe('HTTP Client', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await httpClient.clearValidators();
+  });
+
+  describe('Conditional Requests', () => {
+    test('sends an unconditional request the first time', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: { etag: '"abc"' }, data: payload });
+
+      const response = await httpClient.get(URL);
+
+      expect(axios.get).toHaveBeenCalledWith(URL, {
+        headers: UA,
+        proxy: false,
+        timeout: 5000,
+        maxContentLength: 5 * 1024 * 1024,
+        validateStatus: expect.any(Function)
+      });
+      expect(response.data).toEqual(payload);
+      expect(response.notModified).toBe(false);
+    });
+
+    test('revalidates with If-None-Match once an ETag is known', async () => {
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: '"abc"' }, data: payload });
+      await httpClient.get(URL);
+
+      axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+      const response = await httpClient.get(URL);
+
+      expect(axios.get).toHaveBeenLastCalledWith(URL, expect.objectContaining({
+        headers: { ...UA, 'If-None-Match': '"abc"' }
+      }));
+      expect(response.status).toBe(304);
+      expect(response.notModified).toBe(true);
+      expect(response.data).toEqual(payload);
+    });
+
+    test('revalidates with If-Modified-Since from Last-Modified', async () => {
+      const lastModified = 'Wed, 21 Oct 2025 07:28:00 GMT';
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { 'last-modified': lastModified }, data: payload });
+      await httpClient.get(URL);
+
+      axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+      await httpClient.get(URL, { headers: { Accept: 'application/json' } });
+
+      expect(axios.get).toHaveBeenLastCalledWith(URL, expect.objectContaining({
+        headers: { ...UA, Accept: 'application/json', 'If-Modified-Since': lastModified }
+      }));
+    });
+
+    test('replaces the remembered body when the resource changed', async () => {
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: '"v1"' }, data: payload });
+      await httpClient.get(URL);
+
+      const updated = { versions: ['2.1.0', '2.2.0', '2.3.0'] };
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: '"v2"' }, data: updated });
+      await httpClient.get(URL);
+
+      axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+      const response = await httpClient.get(URL);
+
+      expect(axios.get).toHaveBeenLastCalledWith(URL, expect.objectContaining({ headers: { ...UA, 'If-None-Match': '"v2"' } }));
+      expect(response.data).toEqual(updated);
+    });
+
+    test('tracks validators per URL', async () => {
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: '"a"' }, data: payload });
+      await httpClient.get(URL);
+
+      axios.get.mockResolvedValueOnce({ status: 200, headers: {}, data: payload });
+      await httpClient.get(`${URL}?other`);
+
+      expect(axios.get).toHaveBeenLastCalledWith(`${URL}?other`, expect.objectContaining({ headers: UA }));
+    });
+
+    test('supports AxiosHeaders-style get()', async () => {
+      const headers = { get: (name) => (name === 'etag' ? 'W/"weak"' : undefined) };
+      axios.get.mockResolvedValueOnce({ status: 200, headers, data: payload });
+      await httpClient.get(URL);
+
+      axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+      await httpClient.get(URL);
+
+      expect(axios.get).toHaveBeenLastCalledWith(URL, expect.objectContaining({ headers: { ...UA, 'If-None-Match': 'W/"weak"' } }));
+    });
+
+    test('accepts 2xx and 304 as successful statuses', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: {}, data: payload });
+      await httpClient.get(URL);
+
+      const { validateStatus } = axios.get.mock.calls[0][1];
+      expect([200, 204, 304].map(validateStatus)).toEqual([true, true, true]);
+      expect([301, 404, 500].map(validateStatus)).toEqual([false, false, false]);
+    });
+
+    test('can opt out of conditional requests', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: { etag: '"abc"' }, data: payload });
+      await httpClient.get(URL, { conditional: false });
+      await httpClient.get(URL, { conditional: false });
+
+      expect(axios.get).toHaveBeenLastCalledWith(URL, expect.objectContaining({ headers: UA }));
+    });
+
+    test('rejects a 304 it cannot answer', async () => {
+      axios.get.mockResolvedValue({ status: 304, headers: {}, data: '' });
+
+      await expect(httpClient.get(URL)).rejects.toThrow('Unexpected 304 Not Modified');
+    });
+
+    test('forgets validators once they expire, without a stale window', async () => {
+      const start = 1642781400000;
+      jest.spyOn(Date, 'now').mockReturnValue(start);
+      axios.get.mockResolvedValue({ status: 200, headers: { etag: '"abc"' }, data: payload });
+      await httpClient.get(URL);
+
+      Date.now.mockReturnValue(start + 24 * 60 * 60 * 1000);
+      await httpClient.get(URL);
+
+      expect(axios.get).toHaveBeenLastCalledWith(URL, expect.objectContaining({ headers: UA }));
+    });
+
+    test('clearValidators forgets a single URL', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: { etag: '"abc"' }, data: payload });
+      await httpClient.get(URL);
+
+      await httpClient.clearValidators(URL);
+      await httpClient.get(URL);
+
+      expect(axios.get).toHaveBeenLastCalledWith(URL, expect.objectContaining({ headers: UA }));
+    });
+  });
+
+  describe('Link Headers', () => {
+    test('parses next and last relations', () => {
+      const value = '<https://api.github.com/x?page=2>; rel="next", <https://api.github.com/x?page=5>; rel="last"';
+
+      expect(parseLinkHeader(value)).toEqual({
+        next: 'https://api.github.com/x?page=2',
+        last: 'https://api.github.com/x?page=5'
+      });
+    });
+
+    test('handles unquoted and multi-valued rel', () => {
+      expect(parseLinkHeader('<https://a/1>; rel=prev, <https://a/9>; rel="last  first"')).toEqual({
+        prev: 'https://a/1',
+        last: 'https://a/9',
+        first: 'https://a/9'
+      });
+    });
+
+    test.each([undefined, null, '', 'garbage'])('returns no links for %p', (value) => {
+      expect(parseLinkHeader(value)).toEqual({});
+    });
+
+    test('exposes links on the response and remembers them for a 304', async () => {
+      const link = '<https://api.nuget.org/page2>; rel="next"';
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: '"abc"', link }, data: payload });
+      const first = await httpClient.get(URL);
+
+      axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+      const revalidated = await httpClient.get(URL);
+
+      expect(first.links).toEqual({ next: 'https://api.nuget.org/page2' });
+      expect(revalidated.links).toEqual({ next: 'https://api.nuget.org/page2' });
+    });
+  });
+
+  describe('Request Defaults', () => {
+    beforeEach(() => {
+      axios.get.mockResolvedValue({ status: 200, headers: {}, data: payload });
+    });
+
+    afterEach(() => {
+      delete process.env.UPSTREAM_TIMEOUT_MS;
+      delete process.env.UPSTREAM_MAX_CONTENT_LENGTH;
+    });
+
+    test('honors UPSTREAM_TIMEOUT_MS and UPSTREAM_MAX_CONTENT_LENGTH', async () => {
+      process.env.UPSTREAM_TIMEOUT_MS = '2500';
+      process.env.UPSTREAM_MAX_CONTENT_LENGTH = '1024';
+
+      await httpClient.get(URL);
+
+      expect(axios.get).toHaveBeenCalledWith(URL, expect.objectContaining({ timeout: 2500, maxContentLength: 1024 }));
+    });
+
+    test.each(['0', 'abc'])('ignores invalid limits (%p)', async (value) => {
+      process.env.UPSTREAM_TIMEOUT_MS = value;
+      process.env.UPSTREAM_MAX_CONTENT_LENGTH = value;
+
+      await httpClient.get(URL);
+
+      expect(axios.get).toHaveBeenCalledWith(URL, expect.objectContaining({ timeout: 5000, maxContentLength: 5 * 1024 * 1024 }));
+    });
+
+    test('lets callers override the limits and User-Agent', async () => {
+      await httpClient.get(URL, { timeout: 1000, maxContentLength: 64, headers: { 'User-Agent': 'custom' } });
+
+      expect(axios.get).toHaveBeenCalledWith(URL, expect.objectContaining({
+        timeout: 1000,
+        maxContentLength: 64,
+        headers: { 'User-Agent': 'custom' }
+      }));
+    });
+
+    test('routes https requests through HTTPS_PROXY', async () => {
+      process.env.HTTPS_PROXY = 'http://proxy.internal:3128';
+      try {
+        await httpClient.get(URL);
+      } finally {
+        delete process.env.HTTPS_PROXY;
+      }
+
+      expect(axios.get).toHaveBeenCalledWith(URL, expect.objectContaining({ proxy: false, httpsAgent: expect.any(Object) }));
+    });
+  });
+
+  describe('Request Deadline', () => {
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(1642781400000);
+    });
+
+    test('bounds each attempt by the remaining deadline', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: {}, data: payload });
+
+      await httpClient.get(URL, { retry: { deadlineMs: 4000 } });
+
+      expect(axios.get).toHaveBeenCalledWith(URL, expect.objectContaining({ timeout: 4000 }));
+    });
+
+    test('keeps a shorter caller timeout', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: {}, data: payload });
+
+      await httpClient.get(URL, { timeout: 1500, retry: { deadlineMs: 4000 } });
+
+      expect(axios.get).toHaveBeenCalledWith(URL, expect.objectContaining({ timeout: 1500 }));
+    });
+
+    test('retries transient upstream failures', async () => {
+      const outage = new Error('Request failed with status code 503');
+      outage.response = { status: 503, headers: {} };
+      axios.get.mockRejectedValueOnce(outage).mockResolvedValueOnce({ status: 200, headers: {}, data: payload });
+
+      const response = await httpClient.get(URL, { retry: { baseDelayMs: 0 } });
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(response.data).toEqual(payload);
+    });
+  });
+});
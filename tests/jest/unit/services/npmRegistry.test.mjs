@@ -0,0 +1,208 @@
+/*──────────────────────────────────────
+  Unit Tests: npm Registry Source
+  Tests packument reads, scoped names, dist-tags and deprecations with
+  real requests against a local registry stand-in
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { startFakeHttpServer } from '../../helpers/fakeHttpServer.mjs';
+import { packageService } from '../../../../src/services/packageService.mjs';
+import { packageHandler } from '../../../../src/handlers/packageHandler.mjs';
+import { versionsHandler } from '../../../../src/handlers/versionsHandler.mjs';
+import { validateAndParseParameters } from '../../../../src/utils/packageParameters.mjs';
+import { PackageNotFoundError } from '../../../../src/utils/errors.mjs';
+import { createLambdaEvent } from '../../helpers/testUtils.mjs';
+import { useFreshUpstreamState } from '../../helpers/upstreamState.mjs';
+
+useFreshUpstreamState();
+
+// Abbreviated packument as served for Accept: application/vnd.npm.install-v1+json
+const packument = {
+  name: '@localstack/helper',
+  modified: '2025-07-20T10:00:00.000Z',
+  'dist-tags': { latest: '1.3.0', next: '2.0.0-beta.2' },
+  versions: {
+    '1.0.0': { name: '@localstack/helper', version: '1.0.0' },
+    '1.2.0': { name: '@localstack/helper', version: '1.2.0' },
+    '1.3.0': { name: '@localstack/helper', version: '1.3.0', deprecated: 'Broken ESM build, use 1.2.0' },
+    '2.0.0-beta.1': { name: '@localstack/helper', version: '2.0.0-beta.1' },
+    '2.0.0-beta.2': { name: '@localstack/helper', version: '2.0.0-beta.2' }
+  }
+};
+
+describe('npm Registry Source', () => {
+  let registry;
+
+  async function badge(query) {
+    const event = createLambdaEvent('badge/packages/@localstack/helper', { source: 'npm', ...query });
+    return JSON.parse((await packageHandler.handle(event, '@localstack/helper')).body);
+  }
+
+  beforeAll(async () => {
+    registry = await startFakeHttpServer();
+    process.env.NPM_REGISTRY_URL = `${registry.url}/`;
+  });
+
+  afterAll(async () => {
+    delete process.env.NPM_REGISTRY_URL;
+    await registry.close();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.NPM_TOKEN;
+    delete process.env.UPSTREAM_MAX_CONTENT_LENGTH;
+    delete process.env.CIRCUIT_FAILURE_THRESHOLD;
+  });
+
+  describe('Packument', () => {
+    test('requests the abbreviated packument with the scope slash encoded', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      const result = await packageService.lookupVersions('npm', '@localstack/helper');
+
+      expect(result.versions).toEqual(['1.0.0', '1.2.0', '1.3.0', '2.0.0-beta.1', '2.0.0-beta.2']);
+      expect(result.distTags).toEqual({ latest: '1.3.0', next: '2.0.0-beta.2' });
+      expect(result.metadata).toEqual({ '1.3.0': { deprecated: 'Broken ESM build, use 1.2.0' } });
+      expect(registry.requests[0].url).toBe('/@localstack%2Fhelper');
+      expect(registry.requests[0].headers.accept).toContain('application/vnd.npm.install-v1+json');
+    });
+
+    test('keeps dist-tags on cache hits', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      await packageService.lookupVersions('npm', '@localstack/helper');
+      const result = await packageService.lookupVersions('npm', '@localstack/helper');
+
+      expect(result.cache.status).toBe('hit');
+      expect(result.distTags.next).toBe('2.0.0-beta.2');
+      expect(registry.requests).toHaveLength(1);
+    });
+
+    test('sends NPM_TOKEN for private packages', async () => {
+      process.env.NPM_TOKEN = 'npm-token';
+      registry.respond({ status: 200, body: packument });
+
+      await packageService.lookupVersions('npm', '@localstack/helper');
+
+      expect(registry.requests[0].headers.authorization).toBe('Bearer npm-token');
+    });
+
+    test('maps a 404 to PackageNotFoundError', async () => {
+      registry.respond({ status: 404, body: { error: 'Not found' } });
+
+      await expect(packageService.lookupVersions('npm', 'no-such-package')).rejects.toThrow(PackageNotFoundError);
+    });
+    test('reports an oversized packument without opening the registry circuit', async () => {
+      process.env.UPSTREAM_MAX_CONTENT_LENGTH = '1000';
+      process.env.CIRCUIT_FAILURE_THRESHOLD = '3';
+      const huge = { ...packument, readme: 'x'.repeat(2000) };
+      registry.respond(
+        { status: 200, body: huge },
+        { status: 200, body: huge },
+        { status: 200, body: huge },
+        { status: 200, body: packument }
+      );
+
+      for (let i = 0; i < 3; i++) {
+        const event = createLambdaEvent('api/packages/huge/versions', { source: 'npm' });
+        const response = await versionsHandler.handle(event, 'huge');
+
+        expect(response.statusCode).toBe(502);
+        expect(JSON.parse(response.body).error).toBe('Upstream response exceeded the 1000 byte limit');
+      }
+
+      expect((await badge()).message).toBe('1.2.0');
+    });
+  });
+
+  describe('Badge Selection', () => {
+    test('skips deprecated versions by default', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      const body = await badge({});
+
+      expect(body.message).toBe('1.2.0');
+      expect(body.label).toBe('@localstack/helper npm');
+      expect(body.namedLogo).toBe('npm');
+    });
+
+    test('include-deprecated=true considers deprecated versions', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      expect((await badge({ 'include-deprecated': 'true' })).message).toBe('1.3.0');
+    });
+
+    test('tag selects the dist-tag target', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      expect((await badge({ tag: 'next' })).message).toBe('2.0.0-beta.2');
+    });
+
+    test('an unknown dist-tag renders not found', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      expect((await badge({ tag: 'canary' })).message).toBe('not found');
+    });
+
+    test('track, prerelease and range filters behave as for other sources', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      expect((await badge({ track: '2', 'include-prerelease': 'true' })).message).toBe('2.0.0-beta.2');
+      expect((await badge({ lt: '1.2.0' })).message).toBe('1.0.0');
+    });
+
+    test('explain mode shows the dist-tag stage', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      const body = await badge({ tag: 'latest', explain: 'true' });
+
+      expect(body.tag).toBe('latest');
+      expect(body.criteria.tag).toBe('latest');
+      expect(body.stages.map(s => s.stage)).toEqual(['fetched', 'semver-valid', 'dist-tag', 'sort']);
+      expect(body.selected).toBe('1.3.0');
+    });
+  });
+
+  describe('Version List', () => {
+    test('lists dist-tags and deprecation notices', async () => {
+      registry.respond({ status: 200, body: packument });
+
+      const event = createLambdaEvent('api/packages/@localstack/helper/versions', { source: 'npm', 'include-deprecated': 'true' });
+      const body = JSON.parse((await versionsHandler.handle(event, '@localstack/helper')).body);
+
+      expect(body.distTags).toEqual({ latest: '1.3.0', next: '2.0.0-beta.2' });
+      expect(body.versions[0]).toEqual({
+        version: '1.3.0', prerelease: false, timestamped: false, track: 1, deprecated: 'Broken ESM build, use 1.2.0'
+      });
+    });
+  });
+
+  describe('Parameters', () => {
+    test('accepts scoped and unscoped npm names', () => {
+      expect(validateAndParseParameters({ source: 'npm' }, null, '@LocalStack/Helper').pkg).toBe('@localstack/helper');
+      expect(validateAndParseParameters({ source: 'npm' }, null, 'left-pad').pkg).toBe('left-pad');
+    });
+
+    test.each(['@scope', '@/pkg', '.hidden', 'a/b'])('rejects the npm name %p', (name) => {
+      expect(() => validateAndParseParameters({ source: 'npm' }, null, name)).toThrow('Invalid package name format');
+    });
+
+    test('scoped names stay invalid for NuGet sources', () => {
+      expect(() => validateAndParseParameters({ source: 'nuget' }, null, '@localstack/helper')).toThrow('Invalid package name format');
+    });
+
+    test('rejects malformed dist-tags', () => {
+      expect(() => validateAndParseParameters({ source: 'npm', tag: '../latest' }, null, 'left-pad'))
+        .toThrow("Invalid tag parameter: '../latest'");
+    });
+
+    test('tag is only supported with source npm', () => {
+      expect(() => validateAndParseParameters({ source: 'github', tag: 'next' }, null, 'localstack.client'))
+        .toThrow("Invalid tag parameter: only supported with source 'npm'");
+    });
+  });
+});
@@ -0,0 +1,274 @@
+/*──────────────────────────────────────
+  Unit Tests: Private NuGet Feeds
+  Tests service index discovery, per-feed credentials and the nuget-feed
+  source end to end with real requests against a local fake feed
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { startFakeHttpServer } from '../../helpers/fakeHttpServer.mjs';
+import { packageService } from '../../../../src/services/packageService.mjs';
+import { packageHandler } from '../../../../src/handlers/packageHandler.mjs';
+import { versionsHandler } from '../../../../src/handlers/versionsHandler.mjs';
+import { getCircuitBreakerStates } from '../../../../src/services/circuitBreaker.mjs';
+import { diagnosticsHandler } from '../../../../src/handlers/diagnosticsHandler.mjs';
+import { clearServiceIndexCache } from '../../../../src/services/providers/nugetFeed.mjs';
+import { resolveNuGetFeed } from '../../../../src/utils/nugetFeeds.mjs';
+import { PackageNotFoundError, AuthRequiredError } from '../../../../src/utils/errors.mjs';
+import { createLambdaEvent } from '../../helpers/testUtils.mjs';
+import { useFreshUpstreamState } from '../../helpers/upstreamState.mjs';
+
+useFreshUpstreamState();
+
+describe('NuGet Feed Source', () => {
+  let upstream;
+
+  const serviceIndex = (baseAddress) => ({
+    version: '3.0.0',
+    resources: [
+      { '@id': `${upstream.url}/query`, '@type': 'SearchQueryService' },
+      { '@id': baseAddress ?? `${upstream.url}/flat/`, '@type': 'PackageBaseAddress/3.0.0' }
+    ]
+  });
+
+  const lookup = (pkg, options = {}) => packageService.lookupVersions('nuget-feed', pkg, undefined, {
+    feed: resolveNuGetFeed('internal'),
+    ...options
+  });
+
+  beforeAll(async () => {
+    upstream = await startFakeHttpServer();
+  });
+
+  afterAll(async () => {
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    process.env.NUGET_FEEDS = `internal=${upstream.url}/v3/index.json`;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await clearServiceIndexCache();
+  });
+
+  afterEach(() => {
+    delete process.env.NUGET_FEEDS;
+    delete process.env.NUGET_FEED_INTERNAL_TOKEN;
+    delete process.env.NUGET_FEED_INTERNAL_USERNAME;
+    delete process.env.NUGET_FEED_INTERNAL_PASSWORD;
+    delete process.env.NUGET_FEED_RETRIES;
+    delete process.env.NUGET_FEED_RETRY_BASE_DELAY_MS;
+  });
+
+  describe('Service Index Discovery', () => {
+    test('reads versions from the advertised PackageBaseAddress', async () => {
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 200, body: { versions: ['1.0.0', '1.1.0', '2.0.0-beta'] } }
+      );
+
+      const result = await lookup('acme.core');
+
+      expect(result.versions).toEqual(['1.0.0', '1.1.0', '2.0.0-beta']);
+      expect(result.cache.key).toBe('nuget-feed:internal/acme.core');
+      expect(upstream.requests.map((request) => request.url)).toEqual(['/v3/index.json', '/flat/acme.core/index.json']);
+    });
+
+    test('reuses the discovered base address for later packages', async () => {
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 200, body: { versions: ['1.0.0'] } }
+      );
+
+      await lookup('acme.core');
+      await lookup('acme.web');
+
+      expect(upstream.requests.map((request) => request.url)).toEqual([
+        '/v3/index.json',
+        '/flat/acme.core/index.json',
+        '/flat/acme.web/index.json'
+      ]);
+    });
+
+    test('fails clearly when the feed is not a v3 feed', async () => {
+      upstream.respond({ status: 200, body: { version: '3.0.0', resources: [] } });
+
+      await expect(lookup('acme.core')).rejects.toThrow("NuGet feed 'internal' does not advertise PackageBaseAddress/3.0.0");
+    });
+
+    test('does not report a missing service index as a missing package', async () => {
+      upstream.respond({ status: 404, body: {} });
+
+      const error = await lookup('acme.core').catch((caught) => caught);
+
+      expect(error).not.toBeInstanceOf(PackageNotFoundError);
+      expect(error.message).toBe("NuGet feed 'internal' has no service index");
+      expect(console.error).toHaveBeenCalledWith(`🔥 NuGet feed 'internal' has no service index at ${upstream.url}/v3/index.json`);
+    });
+
+    test('maps a missing package to PackageNotFoundError', async () => {
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 404, body: {} }
+      );
+
+      await expect(lookup('acme.missing')).rejects.toMatchObject({
+        name: 'PackageNotFoundError',
+        message: "NuGet package not found in feed 'internal': acme.missing"
+      });
+    });
+  });
+
+  describe('Credentials', () => {
+    test('sends a bearer token to the feed', async () => {
+      process.env.NUGET_FEED_INTERNAL_TOKEN = 'feed-token';
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 200, body: { versions: ['1.0.0'] } }
+      );
+
+      await lookup('acme.core');
+
+      expect(upstream.requests.map((request) => request.headers.authorization)).toEqual(['Bearer feed-token', 'Bearer feed-token']);
+    });
+
+    test('sends basic credentials to the feed', async () => {
+      process.env.NUGET_FEED_INTERNAL_USERNAME = 'ci';
+      process.env.NUGET_FEED_INTERNAL_PASSWORD = 'pat';
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 200, body: { versions: ['1.0.0'] } }
+      );
+
+      await lookup('acme.core');
+
+      expect(upstream.requests[1].headers.authorization).toBe(`Basic ${Buffer.from('ci:pat').toString('base64')}`);
+    });
+
+    test('never sends credentials to another origin named by the service index', async () => {
+      process.env.NUGET_FEED_INTERNAL_TOKEN = 'feed-token';
+      const elsewhere = upstream.url.replace('127.0.0.1', 'localhost');
+      upstream.respond(
+        { status: 200, body: serviceIndex(`${elsewhere}/flat/`) },
+        { status: 200, body: { versions: ['1.0.0'] } }
+      );
+
+      await lookup('acme.core');
+
+      expect(upstream.requests[0].headers.authorization).toBe('Bearer feed-token');
+      expect(upstream.requests[1].headers.authorization).toBeUndefined();
+    });
+
+    test('reports missing credentials as AuthRequiredError', async () => {
+      upstream.respond({ status: 401, body: {} });
+
+      const error = await lookup('acme.core').catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(AuthRequiredError);
+      expect(error.message).toContain('Set NUGET_FEED_INTERNAL_TOKEN or NUGET_FEED_INTERNAL_USERNAME/NUGET_FEED_INTERNAL_PASSWORD');
+    });
+  });
+
+  describe('Upstream Settings', () => {
+    test('reads NUGET_FEED_* retry settings instead of nuget.org ones', async () => {
+      process.env.NUGET_FEED_RETRIES = '1';
+      process.env.NUGET_FEED_RETRY_BASE_DELAY_MS = '1';
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 503, body: {} },
+        { status: 200, body: { versions: ['1.0.0'] } }
+      );
+
+      const result = await lookup('acme.core');
+
+      expect(result.versions).toEqual(['1.0.0']);
+      expect(upstream.requests).toHaveLength(3);
+    });
+
+    test('keeps feed hosts out of public diagnostics', async () => {
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 200, body: { versions: ['1.0.0'] } }
+      );
+      await lookup('acme.core');
+
+      const response = await diagnosticsHandler.handle(createLambdaEvent('diagnostics'));
+
+      expect(response.body).not.toContain(new URL(upstream.url).host);
+      expect(Object.keys(getCircuitBreakerStates({ includeInternal: true }))).toContain(new URL(upstream.url).host);
+    });
+  });
+
+  describe('Badge and Version Routes', () => {
+    test('selects a version from the feed with the shared pipeline', async () => {
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 200, body: { versions: ['1.0', '1.2.0.5', '2.0.0-beta'] } }
+      );
+
+      const event = createLambdaEvent('badge/packages/acme.core', { source: 'nuget-feed', feed: 'internal', track: '1' });
+      const response = await packageHandler.handle(event, 'acme.core');
+
+      const body = JSON.parse(response.body);
+      expect(body.message).toBe('1.2.0.5');
+      expect(body.label).toBe('acme.core nuget');
+      expect(body.namedLogo).toBe('nuget');
+    });
+
+    test('echoes the feed alias in the version list explain output', async () => {
+      upstream.respond(
+        { status: 200, body: serviceIndex() },
+        { status: 200, body: { versions: ['1.0.0'] } }
+      );
+
+      const event = createLambdaEvent('badge/packages/acme.core', { source: 'nuget-feed', feed: 'internal', explain: 'true' });
+      const body = JSON.parse((await packageHandler.handle(event, 'acme.core')).body);
+
+      expect(body.feed).toBe('internal');
+      expect(JSON.stringify(body)).not.toContain(upstream.url);
+    });
+
+    test('keeps the feed URL out of a missing service index error', async () => {
+      upstream.respond({ status: 404, body: {} });
+
+      const event = createLambdaEvent('api/packages/acme.core/versions', { source: 'nuget-feed', feed: 'internal' });
+      const response = await versionsHandler.handle(event, 'acme.core');
+
+      expect(response.statusCode).toBe(500);
+      expect(JSON.parse(response.body).error).toBe("NuGet feed 'internal' has no service index");
+      expect(response.body).not.toContain(new URL(upstream.url).host);
+    });
+
+    test.each([
+      ['service index', () => 'http://127.0.0.1:1/v3/index.json'],
+      ['flat container', () => `${upstream.url}/v3/index.json`]
+    ])('reports an unreachable %s by alias only', async (_, indexUrl) => {
+      process.env.NUGET_FEEDS = `internal=${indexUrl()}`;
+      upstream.respond({ status: 200, body: serviceIndex('http://127.0.0.1:1/flat/') });
+
+      const event = createLambdaEvent('api/packages/acme.core/versions', { source: 'nuget-feed', feed: 'internal' });
+      const response = await versionsHandler.handle(event, 'acme.core');
+
+      expect(response.statusCode).toBe(503);
+      expect(JSON.parse(response.body).error).toBe("NuGet feed 'internal' is unavailable");
+      expect(response.body).not.toContain('127.0.0.1');
+      expect(console.error).toHaveBeenCalledWith("🔥 NuGet feed 'internal' request failed:", expect.stringContaining('ECONNREFUSED'));
+    });
+
+    test('rejects feeds that are not configured', async () => {
+      upstream.respond({ status: 500, body: {} });
+      const event = createLambdaEvent('api/packages/acme.core/versions', { source: 'nuget-feed', feed: `${upstream.url}/v3/index.json` });
+      const response = await versionsHandler.handle(event, 'acme.core');
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toContain('is not a configured NuGet feed');
+      expect(upstream.requests).toHaveLength(0);
+    });
+
+    test('rejects the feed parameter on other sources', async () => {
+      const event = createLambdaEvent('api/packages/acme.core/versions', { source: 'nuget', feed: 'internal' });
+      const response = await versionsHandler.handle(event, 'acme.core');
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toBe("Invalid feed parameter: only supported with source 'nuget-feed'");
+    });
+  });
+});
@@ -0,0 +1,367 @@
+/*──────────────────────────────────────
+  Unit Tests: Package Service
+  Tests version-list caching, TTL configuration, and stale-on-error fallback
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { useFreshUpstreamState } from '../../helpers/upstreamState.mjs';
+
+// Mock axios before importing the service
+jest.unstable_mockModule('axios', () => ({
+  default: {
+    get: jest.fn()
+  }
+}));
+
+useFreshUpstreamState();
+
+// Import service after mocking
+const axios = (await import('axios')).default;
+const { packageService } = await import('../../../../src/services/packageService.mjs');
+const {
+  PackageNotFoundError,
+  AuthRequiredError,
+  RateLimitedError,
+  ValidationError
+} = await import('../../../../src/utils/errors.mjs');
+
+process.env.GITHUB_TOKEN = 'mock-github-token';
+
+const START = 1642781400000;
+const mockNuGetResponse = { versions: ['1.0.0', '1.1.0'] };
+
+describe('Package Service', () => {
+  let now;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete process.env.PACKAGE_CACHE_TTL_SECONDS;
+
+    now = START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Version Cache', () => {
+    test('fetches from upstream on a cold cache', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      const result = await packageService.lookupVersions('nuget', 'localstack.client');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(result.versions).toEqual(['1.0.0', '1.1.0']);
+      expect(result.cache).toMatchObject({ status: 'miss', key: 'nuget:localstack.client', ageSeconds: 0, ttlSeconds: 300 });
+    });
+
+    test('serves cached versions within the TTL', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      now += 299 * 1000;
+      const result = await packageService.lookupVersions('nuget', 'localstack.client');
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(result.cache).toMatchObject({ status: 'hit', ageSeconds: 299, fresh: true });
+    });
+
+    test('refetches after the TTL expires', async () => {
+      axios.get.mockResolvedValueOnce({ data: mockNuGetResponse });
+      axios.get.mockResolvedValueOnce({ data: { versions: ['1.0.0', '1.1.0', '1.2.0'] } });
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      now += 300 * 1000;
+      const versions = await packageService.fetchVersions('nuget', 'localstack.client');
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(versions).toContain('1.2.0');
+    });
+
+    test('keys entries by source and package', async () => {
+      axios.get.mockImplementation((url) => Promise.resolve({
+        data: url.includes('api.github.com') ? [{ name: '9.0.0' }] : mockNuGetResponse
+      }));
+
+      await packageService.fetchVersions('nuget', 'localstack.client');
+      await packageService.fetchVersions('github', 'localstack.client');
+      await packageService.fetchVersions('nuget', 'localstack.client.extensions');
+
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect(Object.keys(await packageService.getCacheStatus())).toEqual([
+        'nuget:localstack.client',
+        'github:localstack.client',
+        'nuget:localstack.client.extensions'
+      ]);
+    });
+
+    test('honors PACKAGE_CACHE_TTL_SECONDS', async () => {
+      process.env.PACKAGE_CACHE_TTL_SECONDS = '60';
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      now += 61 * 1000;
+      const result = await packageService.lookupVersions('nuget', 'localstack.client');
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(result.cache).toMatchObject({ status: 'miss', ttlSeconds: 60 });
+    });
+
+    test('PACKAGE_CACHE_TTL_SECONDS=0 always revalidates', async () => {
+      process.env.PACKAGE_CACHE_TTL_SECONDS = '0';
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      await packageService.fetchVersions('nuget', 'localstack.client');
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test.each(['abc', '-5', ''])('falls back to the default TTL for %p', async (ttl) => {
+      process.env.PACKAGE_CACHE_TTL_SECONDS = ttl;
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      const result = await packageService.lookupVersions('nuget', 'localstack.client');
+
+      expect(result.cache.ttlSeconds).toBe(300);
+    });
+  });
+
+  describe('Conditional Revalidation', () => {
+    test('treats a 304 from NuGet as a cache refresh', async () => {
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: '"nuget-1"' }, data: mockNuGetResponse });
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      now += 600 * 1000;
+      axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+      const result = await packageService.lookupVersions('nuget', 'localstack.client');
+
+      expect(axios.get).toHaveBeenLastCalledWith(
+        'https://api.nuget.org/v3-flatcontainer/localstack.client/index.json',
+        expect.objectContaining({ headers: expect.objectContaining({ 'If-None-Match': '"nuget-1"' }) })
+      );
+      expect(result.versions).toEqual(['1.0.0', '1.1.0']);
+      expect(result.cache).toMatchObject({ status: 'miss', ageSeconds: 0, fresh: true });
+    });
+
+    test('sends GitHub conditional requests alongside auth headers', async () => {
+      axios.get.mockResolvedValueOnce({ status: 200, headers: { etag: 'W/"gh"' }, data: [{ name: '1.0.0' }] });
+      await packageService.fetchVersions('github', 'localstack.client');
+
+      now += 600 * 1000;
+      axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+      const versions = await packageService.fetchVersions('github', 'localstack.client');
+
+      expect(axios.get).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({
+        headers: expect.objectContaining({ 'If-None-Match': 'W/"gh"', 'Authorization': 'Bearer mock-github-token' })
+      }));
+      expect(versions).toEqual(['1.0.0']);
+    });
+  });
+
+  describe('Stale-on-Error Fallback', () => {
+    test('serves the last known versions when the upstream fails', async () => {
+      axios.get.mockResolvedValueOnce({ data: mockNuGetResponse });
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      now += 3600 * 1000;
+      const outage = new Error('Request failed with status code 503');
+      outage.response = { status: 503 };
+      axios.get.mockRejectedValueOnce(outage);
+
+      const result = await packageService.lookupVersions('nuget', 'localstack.client');
+
+      expect(result.versions).toEqual(['1.0.0', '1.1.0']);
+      expect(result.cache).toMatchObject({
+        status: 'stale',
+        ageSeconds: 3600,
+        fresh: false,
+        error: 'Request failed with status code 503'
+      });
+    });
+
+    test('keeps the stale entry so later requests retry upstream', async () => {
+      axios.get.mockResolvedValueOnce({ data: mockNuGetResponse });
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      now += 600 * 1000;
+      axios.get.mockRejectedValueOnce(new Error('ECONNRESET'));
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      axios.get.mockResolvedValueOnce({ data: { versions: ['2.0.0'] } });
+      const result = await packageService.lookupVersions('nuget', 'localstack.client');
+
+      expect(result.versions).toEqual(['2.0.0']);
+      expect(result.cache.status).toBe('miss');
+    });
+
+    test('rethrows when nothing is cached', async () => {
+      axios.get.mockRejectedValue(new Error('ECONNRESET'));
+
+      await expect(packageService.fetchVersions('nuget', 'localstack.client')).rejects.toThrow('ECONNRESET');
+    });
+
+    test('does not mask a package that no longer exists', async () => {
+      axios.get.mockResolvedValueOnce({ data: mockNuGetResponse });
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      now += 600 * 1000;
+      const notFound = new Error('Not Found');
+      notFound.response = { status: 404 };
+      axios.get.mockRejectedValueOnce(notFound);
+
+      await expect(packageService.fetchVersions('nuget', 'localstack.client')).rejects.toThrow(PackageNotFoundError);
+    });
+  });
+
+  describe('Typed Source Errors', () => {
+    function httpError(status, headers = {}, message = `Request failed with status code ${status}`) {
+      const error = new Error(message);
+      error.response = { status, headers };
+      return error;
+    }
+
+    test('a NuGet 404 is a PackageNotFoundError', async () => {
+      axios.get.mockRejectedValue(httpError(404));
+
+      await expect(packageService.fetchVersions('nuget', 'missing.package')).rejects.toMatchObject({
+        name: 'PackageNotFoundError',
+        message: 'NuGet package not found: missing.package',
+        statusCode: 404
+      });
+    });
+
+    test('a GitHub 404 names the organization', async () => {
+      axios.get.mockRejectedValue(httpError(404));
+
+      await expect(packageService.fetchVersions('github', 'localstack.client')).rejects.toMatchObject({
+        name: 'PackageNotFoundError',
+        message: 'GitHub package not found: localstack-dotnet/Localstack.Client'
+      });
+    });
+
+    test.each([401, 403])('a GitHub %i is an AuthRequiredError', async (status) => {
+      axios.get.mockRejectedValue(httpError(status));
+
+      await expect(packageService.fetchVersions('github', 'localstack.client')).rejects.toThrow(AuthRequiredError);
+    });
+
+    test('an exhausted GitHub rate limit is a RateLimitedError with Retry-After', async () => {
+      axios.get.mockRejectedValue(httpError(403, { 'x-ratelimit-remaining': '0', 'retry-after': '120' }));
+
+      await expect(packageService.fetchVersions('github', 'localstack.client')).rejects.toMatchObject({
+        name: 'RateLimitedError',
+        message: 'GitHub rate limit exceeded',
+        retryAfterSeconds: 120
+      });
+    });
+
+    test('a NuGet 429 is a RateLimitedError', async () => {
+      axios.get.mockRejectedValue(httpError(429));
+
+      await expect(packageService.fetchVersions('nuget', 'localstack.client')).rejects.toThrow(RateLimitedError);
+    });
+
+    test('keeps the upstream error as the cause', async () => {
+      const upstream = httpError(404);
+      axios.get.mockRejectedValue(upstream);
+
+      await expect(packageService.fetchVersions('nuget', 'missing.package')).rejects.toMatchObject({ cause: upstream });
+    });
+
+    test('does not classify by message text', async () => {
+      axios.get.mockRejectedValue(httpError(500, {}, 'Repository not found in shard'));
+
+      const error = await packageService.fetchVersions('nuget', 'localstack.client').catch(e => e);
+
+      expect(error).not.toBeInstanceOf(PackageNotFoundError);
+      expect(error.message).toBe('Repository not found in shard');
+    });
+
+    test('rejects unsupported sources with a ValidationError', async () => {
+      await expect(packageService.fetchVersions('pypi', 'requests')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('Request Coalescing', () => {
+    test('concurrent cold lookups share one upstream request', async () => {
+      let respond;
+      axios.get.mockImplementation(() => new Promise((resolve) => {
+        respond = resolve;
+      }));
+      const before = packageService.getCoalescingMetrics();
+
+      const lookups = [1, 2, 3].map(() => packageService.lookupVersions('nuget', 'localstack.client'));
+      await new Promise((resolve) => setImmediate(resolve));
+      respond({ data: mockNuGetResponse });
+      const results = await Promise.all(lookups);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.versions)).toEqual(Array(3).fill(['1.0.0', '1.1.0']));
+      expect(results.every(result => result.cache.status === 'miss')).toBe(true);
+
+      const after = packageService.getCoalescingMetrics();
+      expect(after.executions - before.executions).toBe(1);
+      expect(after.coalesced - before.coalesced).toBe(2);
+      expect(after.inFlight).toBe(0);
+    });
+
+    test('different packages are not coalesced', async () => {
+      axios.get.mockResolvedValue({ data: mockNuGetResponse });
+
+      await Promise.all([
+        packageService.fetchVersions('nuget', 'a.package'),
+        packageService.fetchVersions('nuget', 'b.package')
+      ]);
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('each coalesced caller falls back to its stale entry on failure', async () => {
+      axios.get.mockResolvedValueOnce({ data: mockNuGetResponse });
+      await packageService.fetchVersions('nuget', 'localstack.client');
+
+      now += 600 * 1000;
+      let fail;
+      axios.get.mockImplementation(() => new Promise((resolve, reject) => {
+        fail = reject;
+      }));
+
+      const lookups = [1, 2].map(() => packageService.lookupVersions('nuget', 'localstack.client'));
+      await new Promise((resolve) => setImmediate(resolve));
+      fail(new Error('ECONNRESET'));
+      const results = await Promise.all(lookups);
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(results.map(result => result.cache.status)).toEqual(['stale', 'stale']);
+    });
+  });
+
+  describe('Cache Management', () => {
+    beforeEach(async () => {
+      axios.get.mockImplementation(() => Promise.resolve({ data: mockNuGetResponse }));
+      await packageService.fetchVersions('nuget', 'a.package');
+      await packageService.fetchVersions('nuget', 'b.package');
+    });
+
+    test('getCacheStatus reports age, validity and size', async () => {
+      now += 10 * 1000;
+
+      expect((await packageService.getCacheStatus())['nuget:a.package']).toEqual({ age: 10, isValid: true, versions: 2 });
+    });
+
+    test('clearCache removes a single package', async () => {
+      await packageService.clearCache('nuget', 'a.package');
+
+      expect(Object.keys(await packageService.getCacheStatus())).toEqual(['nuget:b.package']);
+    });
+
+    test('clearCache removes a whole source', async () => {
+      await packageService.clearCache('NuGet');
+
+      expect(await packageService.getCacheStatus()).toEqual({});
+    });
+  });
+});
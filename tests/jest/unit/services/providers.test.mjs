@@ -0,0 +1,171 @@
+/*──────────────────────────────────────
+  Unit Tests: Source Provider Registry
+  Tests built-in providers, registration, and how the registry drives
+  parameter validation, fetching, version ordering and badge defaults
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+
+const {
+  registerProvider,
+  unregisterProvider,
+  resetProviders,
+  getProvider,
+  requireProvider,
+  getProviderIds,
+  getSourceParameters
+} = await import('../../../../src/services/providers/index.mjs');
+const { packageService } = await import('../../../../src/services/packageService.mjs');
+const { validateAndParseParameters } = await import('../../../../src/utils/packageParameters.mjs');
+const { selectVersions } = await import('../../../../src/utils/versionSelection.mjs');
+const { createSuccessResponse, createDefaultLabel } = await import('../../../../src/utils/common.mjs');
+const { ValidationError } = await import('../../../../src/utils/errors.mjs');
+
+// Versions are plain integers, highest wins
+const BUILD_SCHEME = {
+  name: 'build',
+  parse: (version) => (/^\d+$/.test(version) ? { major: Number(version), isPrerelease: false } : null),
+  compare: (a, b) => Number(a) - Number(b),
+  toSemVer: (version) => `${version}.0.0`
+};
+
+function createTestProvider(overrides = {}) {
+  return {
+    id: 'builds',
+    name: 'Builds',
+    packageNamePattern: /^[a-z]+$/,
+    versioning: BUILD_SCHEME,
+    logo: 'docker',
+    label: 'build',
+    fetchVersions: jest.fn(async () => ({ versions: ['9', '10', '2'], metadata: {} })),
+    ...overrides
+  };
+}
+
+describe('Source Provider Registry', () => {
+  beforeEach(async () => {
+    await packageService.clearCache();
+  });
+
+  afterEach(() => {
+    resetProviders();
+  });
+
+  describe('Built-in Providers', () => {
+    test('registers nuget, github, nuget-feed, npm and docker', () => {
+      expect(getProviderIds()).toEqual(['nuget', 'github', 'nuget-feed', 'npm', 'docker']);
+    });
+
+    test('looks providers up case-insensitively', () => {
+      expect(getProvider('GitHub').id).toBe('github');
+      expect(getProvider('pypi')).toBeNull();
+      expect(getProvider(undefined)).toBeNull();
+    });
+
+    test('declares logo, label and versioning scheme', () => {
+      expect(getProvider('nuget')).toMatchObject({ logo: 'nuget', label: 'nuget', versioning: { name: 'nuget' } });
+      expect(getProvider('github')).toMatchObject({ logo: 'github', label: 'github', versioning: { name: 'semver' } });
+    });
+
+    test('maps source-specific parameters to their providers', () => {
+      expect(getSourceParameters()).toEqual(new Map([['owner', ['github']], ['feed', ['nuget-feed']], ['tag', ['npm']], ['tag-pattern', ['docker']]]));
+    });
+
+    test('rejects unknown sources with a ValidationError', () => {
+      expect(() => requireProvider('pypi')).toThrow(ValidationError);
+      expect(() => requireProvider('pypi')).toThrow('Unsupported source: pypi');
+    });
+  });
+
+  describe('Registration', () => {
+    test('requires the core provider fields', () => {
+      expect(() => registerProvider({ id: 'broken', name: 'Broken' })).toThrow("Invalid source provider 'broken': missing packageNamePattern");
+    });
+
+    test('unregistered providers are no longer valid sources', () => {
+      unregisterProvider('github');
+
+      expect(getProviderIds()).toEqual(['nuget', 'nuget-feed', 'npm', 'docker']);
+      expect(() => validateAndParseParameters({ source: 'github' }, null, 'localstack.client'))
+        .toThrow("Invalid source 'github'. Must be 'nuget', 'nuget-feed', 'npm' or 'docker'");
+    });
+
+    test('resetProviders restores the built-in set', () => {
+      registerProvider(createTestProvider());
+      resetProviders();
+
+      expect(getProviderIds()).toEqual(['nuget', 'github', 'nuget-feed', 'npm', 'docker']);
+    });
+  });
+
+  describe('Registered Providers', () => {
+    test('become valid sources and appear in validation messages', () => {
+      registerProvider(createTestProvider());
+
+      expect(validateAndParseParameters({ source: 'builds' }, null, 'app').source).toBe('builds');
+      expect(() => validateAndParseParameters({ source: 'pypi' }, null, 'app'))
+        .toThrow("Invalid source 'pypi'. Must be 'nuget', 'github', 'nuget-feed', 'npm', 'docker' or 'builds'");
+    });
+
+    test('validate package names with their own pattern', () => {
+      registerProvider(createTestProvider());
+
+      expect(() => validateAndParseParameters({ source: 'builds' }, null, 'my.app'))
+        .toThrow('Invalid package name format');
+      expect(validateAndParseParameters({ source: 'nuget' }, null, 'my.app').pkg).toBe('my.app');
+    });
+
+    test('parse their declared parameters and reject others', () => {
+      const channel = jest.fn((value) => value || 'stable');
+      registerProvider(createTestProvider({ parameters: { channel } }));
+
+      expect(validateAndParseParameters({ source: 'builds', channel: 'beta' }, null, 'app').sourceOptions).toEqual({ channel: 'beta' });
+      expect(validateAndParseParameters({ source: 'builds' }, null, 'app').sourceOptions).toEqual({ channel: 'stable' });
+      expect(() => validateAndParseParameters({ source: 'builds', owner: 'octocat' }, null, 'app'))
+        .toThrow("Invalid owner parameter: only supported with source 'github'");
+      expect(() => validateAndParseParameters({ source: 'nuget', channel: 'beta' }, null, 'app'))
+        .toThrow("Invalid channel parameter: only supported with source 'builds'");
+    });
+
+    test('fetch through the package service with options and a provider cache key', async () => {
+      const provider = registerProvider(createTestProvider({
+        cacheKey: (pkg, { channel }) => `${channel}/${pkg}`
+      }));
+
+      const result = await packageService.lookupVersions('builds', 'app', undefined, { channel: 'beta' });
+
+      expect(result.versions).toEqual(['9', '10', '2']);
+      expect(result.cache.key).toBe('builds:beta/app');
+      expect(provider.fetchVersions).toHaveBeenCalledWith('app', expect.objectContaining({ channel: 'beta', log: expect.any(Function) }));
+    });
+
+    test('look up metadata separately when the listing has none', async () => {
+      const fetchMetadata = jest.fn(async () => ({ 10: { createdAt: '2025-01-01T00:00:00Z' } }));
+      registerProvider(createTestProvider({ fetchMetadata }));
+
+      const result = await packageService.lookupVersions('builds', 'app');
+
+      expect(fetchMetadata).toHaveBeenCalledWith('app', ['9', '10', '2'], expect.objectContaining({ log: expect.any(Function) }));
+      expect(result.metadata).toEqual({ 10: { createdAt: '2025-01-01T00:00:00Z' } });
+    });
+
+    test('order versions with their versioning scheme', () => {
+      registerProvider(createTestProvider());
+
+      const result = selectVersions(['9', '10', '2', 'latest'], { source: 'builds', includePrerelease: false });
+
+      expect(result.selectedVersion).toBe('10');
+      expect(result.stages[1]).toMatchObject({ stage: 'build-valid', removed: ['latest'] });
+    });
+
+    test('supply the default badge logo and label', () => {
+      registerProvider(createTestProvider());
+
+      const body = JSON.parse(createSuccessResponse('10', 'app', 'builds').body);
+
+      expect(body.namedLogo).toBe('docker');
+      expect(body.label).toBe('app build');
+      expect(createDefaultLabel('app', 'unknown')).toBe('app nuget');
+    });
+  });
+});
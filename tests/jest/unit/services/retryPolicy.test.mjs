@@ -0,0 +1,256 @@
+/*──────────────────────────────────────
+  Unit Tests: Upstream Retry Policy
+  Tests backoff, jitter, Retry-After and deadlines, including real
+  requests through the HTTP client against a local fake server
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { startFakeHttpServer } from '../../helpers/fakeHttpServer.mjs';
+import {
+  DEFAULT_RETRY_POLICY,
+  getRetryPolicy,
+  isRetryableError,
+  parseRetryAfter,
+  computeBackoffMs,
+  withRetry
+} from '../../../../src/services/retryPolicy.mjs';
+import { httpClient } from '../../../../src/services/httpClient.mjs';
+import { resetCircuitBreakers } from '../../../../src/services/circuitBreaker.mjs';
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('Retry Policy', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('getRetryPolicy', () => {
+    test('uses the defaults without configuration', () => {
+      expect(getRetryPolicy('nuget', {}, {})).toEqual(DEFAULT_RETRY_POLICY);
+    });
+
+    test('per-upstream settings override UPSTREAM_* settings', () => {
+      const env = { UPSTREAM_RETRIES: '4', UPSTREAM_DEADLINE_MS: '5000', GIST_RETRIES: '1' };
+
+      expect(getRetryPolicy('gist', {}, env)).toMatchObject({ retries: 1, deadlineMs: 5000 });
+      expect(getRetryPolicy('nuget', {}, env)).toMatchObject({ retries: 4, deadlineMs: 5000 });
+    });
+
+    test('reads every tunable field', () => {
+      const env = {
+        GITHUB_RETRIES: '3',
+        GITHUB_RETRY_BASE_DELAY_MS: '50',
+        GITHUB_RETRY_MAX_DELAY_MS: '400',
+        GITHUB_DEADLINE_MS: '2500'
+      };
+
+      expect(getRetryPolicy('github', {}, env)).toEqual({ retries: 3, baseDelayMs: 50, maxDelayMs: 400, deadlineMs: 2500 });
+    });
+
+    test('ignores invalid values', () => {
+      expect(getRetryPolicy('nuget', {}, { NUGET_RETRIES: 'many', NUGET_DEADLINE_MS: '-1' })).toEqual(DEFAULT_RETRY_POLICY);
+    });
+
+    test('explicit overrides win', () => {
+      expect(getRetryPolicy('nuget', { retries: 0 }, { NUGET_RETRIES: '5' }).retries).toBe(0);
+    });
+  });
+
+  describe('isRetryableError', () => {
+    test.each([429, 502, 503, 504])('retries HTTP %i', (status) => {
+      expect(isRetryableError(httpError(status))).toBe(true);
+    });
+
+    test.each([400, 401, 403, 404, 500])('does not retry HTTP %i', (status) => {
+      expect(isRetryableError(httpError(status))).toBe(false);
+    });
+
+    test.each(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT'])('retries %s', (code) => {
+      expect(isRetryableError(networkError(code))).toBe(true);
+    });
+
+    test('does not retry unknown hosts or plain errors', () => {
+      expect(isRetryableError(networkError('ENOTFOUND'))).toBe(false);
+      expect(isRetryableError(new Error('boom'))).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('reads delta-seconds', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+    });
+
+    test('reads an HTTP date relative to now', () => {
+      const now = Date.parse('2025-01-15T10:30:00Z');
+
+      expect(parseRetryAfter('Wed, 15 Jan 2025 10:30:05 GMT', now)).toBe(5000);
+      expect(parseRetryAfter('Wed, 15 Jan 2025 10:29:00 GMT', now)).toBe(0);
+    });
+
+    test.each([undefined, null, '', 'soon'])('returns null for %p', (value) => {
+      expect(parseRetryAfter(value)).toBeNull();
+    });
+  });
+
+  describe('computeBackoffMs', () => {
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    test('doubles the ceiling per attempt up to the maximum', () => {
+      const ceiling = () => 1;
+
+      expect([0, 1, 2, 3, 4, 5].map(attempt => computeBackoffMs(attempt, policy, ceiling))).toEqual([100, 200, 400, 800, 1000, 1000]);
+    });
+
+    test('applies full jitter', () => {
+      expect(computeBackoffMs(2, policy, () => 0)).toBe(0);
+      expect(computeBackoffMs(2, policy, () => 0.5)).toBe(200);
+    });
+  });
+
+  describe('withRetry', () => {
+    const policy = { retries: 2, baseDelayMs: 100, maxDelayMs: 1000, deadlineMs: 5000 };
+    const sleep = jest.fn(async () => {});
+
+    test('retries transient failures until one succeeds', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(networkError('ECONNRESET'))
+        .mockResolvedValueOnce('ok');
+
+      await expect(withRetry(operation, { policy, sleep, random: () => 1 })).resolves.toBe('ok');
+
+      expect(operation).toHaveBeenCalledTimes(3);
+      expect(sleep.mock.calls).toEqual([[100], [200]]);
+    });
+
+    test('passes the attempt number and remaining time to the operation', async () => {
+      const operation = jest.fn().mockRejectedValueOnce(httpError(502)).mockResolvedValueOnce('ok');
+
+      await withRetry(operation, { policy, sleep });
+
+      expect(operation.mock.calls.map(([context]) => context.attempt)).toEqual([0, 1]);
+      expect(operation.mock.calls[0][0].remainingMs).toBeLessThanOrEqual(5000);
+    });
+
+    test('gives up after the configured retries', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(503));
+
+      await expect(withRetry(operation, { policy, sleep })).rejects.toThrow('status code 503');
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry permanent failures', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(404));
+
+      await expect(withRetry(operation, { policy, sleep })).rejects.toThrow('status code 404');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('honors Retry-After instead of the computed backoff', async () => {
+      const operation = jest.fn().mockRejectedValueOnce(httpError(429, { 'retry-after': '2' })).mockResolvedValueOnce('ok');
+
+      await withRetry(operation, { policy, sleep });
+
+      expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    test('gives up when Retry-After would pass the deadline', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '10' }));
+
+      await expect(withRetry(operation, { policy, sleep })).rejects.toThrow('status code 429');
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('HTTP client against a fake upstream', () => {
+    let upstream;
+    const fast = { baseDelayMs: 10, maxDelayMs: 50 };
+
+    beforeAll(async () => {
+      upstream = await startFakeHttpServer();
+    });
+
+    afterAll(async () => {
+      await upstream.close();
+    });
+
+    beforeEach(() => {
+      resetCircuitBreakers();
+    });
+
+    afterEach(() => {
+      delete process.env.GIST_RETRIES;
+    });
+
+    test('recovers from 502/503/504 responses', async () => {
+      upstream.respond({ status: 502 }, { status: 503 }, { status: 200, body: { versions: ['1.0.0'] } });
+
+      const response = await httpClient.get(`${upstream.url}/gateway`, { conditional: false, retry: { ...fast, retries: 2 } });
+
+      expect(response.data).toEqual({ versions: ['1.0.0'] });
+      expect(upstream.requests).toHaveLength(3);
+    });
+
+    test('recovers from a dropped connection', async () => {
+      upstream.respond({ reset: true }, { status: 200, body: { ok: true } });
+
+      const response = await httpClient.get(`${upstream.url}/reset`, { conditional: false, retry: fast });
+
+      expect(response.data).toEqual({ ok: true });
+      expect(upstream.requests).toHaveLength(2);
+    });
+
+    test('waits for Retry-After on 429', async () => {
+      upstream.respond({ status: 429, headers: { 'Retry-After': '1' } }, { status: 200, body: { ok: true } });
+
+      await httpClient.get(`${upstream.url}/rate-limited`, { conditional: false, retry: fast });
+
+      const [first, second] = upstream.requests;
+      expect(second.at - first.at).toBeGreaterThanOrEqual(900);
+    });
+
+    test('surfaces the last error once retries are exhausted', async () => {
+      upstream.respond({ status: 503 });
+
+      await expect(httpClient.get(`${upstream.url}/down`, { conditional: false, retry: { ...fast, retries: 1 } }))
+        .rejects.toMatchObject({ response: { status: 503 } });
+      expect(upstream.requests).toHaveLength(2);
+    });
+
+    test('does not retry a 404', async () => {
+      upstream.respond({ status: 404 });
+
+      await expect(httpClient.get(`${upstream.url}/missing`, { conditional: false, retry: fast })).rejects.toThrow('404');
+      expect(upstream.requests).toHaveLength(1);
+    });
+
+    test('stops at the total deadline even while the upstream hangs', async () => {
+      upstream.respond({ status: 200, delayMs: 2000 });
+      const startedAt = Date.now();
+
+      await expect(httpClient.get(`${upstream.url}/slow`, { conditional: false, retry: { ...fast, deadlineMs: 300 } }))
+        .rejects.toMatchObject({ code: 'ECONNABORTED' });
+      expect(Date.now() - startedAt).toBeLessThan(1500);
+    });
+
+    test('applies the per-upstream configuration', async () => {
+      process.env.GIST_RETRIES = '0';
+      upstream.respond({ status: 503 });
+
+      await expect(httpClient.get(`${upstream.url}/gist`, { conditional: false, upstream: 'gist' })).rejects.toThrow('503');
+      expect(upstream.requests).toHaveLength(1);
+    });
+  });
+});
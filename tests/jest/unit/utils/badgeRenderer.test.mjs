@@ -0,0 +1,263 @@
+/*──────────────────────────────────────
+  Unit Tests: Badge Renderer
+  Tests native SVG rendering, text measurement, colors, and logos
+──────────────────────────────────────*/
+
+import { renderBadge, measureTextWidth, normalizeColor, BADGE_STYLES } from '../../../../src/utils/badgeRenderer.mjs';
+import { hasLogo, getLogoSvg, getLogoDataUri } from '../../../../src/utils/badgeLogos.mjs';
+
+function svgWidth(svg) {
+  return Number(/^<svg[^>]* width="(\d+)"/.exec(svg)[1]);
+}
+
+function svgHeight(svg) {
+  return Number(/^<svg[^>]* height="(\d+)"/.exec(svg)[1]);
+}
+
+describe('Badge Renderer', () => {
+  describe('Text Measurement', () => {
+    test('measures text using Verdana 11px metrics', () => {
+      expect(measureTextWidth('0')).toBeCloseTo(0.636 * 11, 3);
+      expect(measureTextWidth('ii')).toBeCloseTo(0.274 * 22, 3);
+    });
+
+    test('wider glyphs measure wider than narrow ones', () => {
+      expect(measureTextWidth('mmm')).toBeGreaterThan(measureTextWidth('iii'));
+    });
+
+    test('falls back to a wide glyph width for unknown characters', () => {
+      expect(measureTextWidth('✓')).toBeCloseTo(measureTextWidth('m'), 3);
+    });
+
+    test('returns zero for empty text', () => {
+      expect(measureTextWidth('')).toBe(0);
+    });
+  });
+
+  describe('Color Normalization', () => {
+    test('resolves shields named colors', () => {
+      expect(normalizeColor('blue')).toBe('#007ec6');
+      expect(normalizeColor('orange')).toBe('#fe7d37');
+      expect(normalizeColor('lightgrey')).toBe('#9f9f9f');
+    });
+
+    test('resolves shields color aliases', () => {
+      expect(normalizeColor('success')).toBe('#4c1');
+      expect(normalizeColor('critical')).toBe('#e05d44');
+      expect(normalizeColor('lightgray')).toBe('#9f9f9f');
+      expect(normalizeColor('informational')).toBe('#007ec6');
+    });
+
+    test('accepts hex colors with or without hash', () => {
+      expect(normalizeColor('#ff0000')).toBe('#ff0000');
+      expect(normalizeColor('ff0000')).toBe('#ff0000');
+      expect(normalizeColor('ABC')).toBe('#abc');
+    });
+
+    test('accepts rgb and hsl functional notation', () => {
+      expect(normalizeColor('rgb(255, 0, 0)')).toBe('rgb(255, 0, 0)');
+      expect(normalizeColor('hsla(120, 50%, 50%, 0.5)')).toBe('hsla(120, 50%, 50%, 0.5)');
+    });
+
+    test('accepts CSS color keywords', () => {
+      expect(normalizeColor('purple')).toBe('purple');
+      expect(normalizeColor('White')).toBe('white');
+    });
+
+    test('returns null for unknown or empty colors', () => {
+      expect(normalizeColor('notacolor')).toBeNull();
+      expect(normalizeColor('#12')).toBeNull();
+      expect(normalizeColor('')).toBeNull();
+      expect(normalizeColor(null)).toBeNull();
+      expect(normalizeColor(undefined)).toBeNull();
+    });
+  });
+
+  describe('SVG Rendering', () => {
+    test('renders a well-formed SVG with accessible title', () => {
+      const svg = renderBadge({ label: 'nuget', message: '1.2.3', color: 'blue' });
+
+      expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+      expect(svg.endsWith('</svg>')).toBe(true);
+      expect(svg).toContain('aria-label="nuget: 1.2.3"');
+      expect(svg).toContain('<title>nuget: 1.2.3</title>');
+    });
+
+    test('fills label and message sections with resolved colors', () => {
+      const svg = renderBadge({ label: 'tests', message: '10 passed', color: 'success' });
+
+      expect(svg).toContain('fill="#555"');
+      expect(svg).toContain('fill="#4c1"');
+    });
+
+    test('honours a custom label color', () => {
+      const svg = renderBadge({ label: 'a', message: 'b', color: 'blue', labelColor: '#123456' });
+
+      expect(svg).toContain('<rect width="17" height="20" fill="#123456"/>');
+    });
+
+    test('falls back to lightgrey for invalid message colors', () => {
+      const svg = renderBadge({ label: 'a', message: 'b', color: 'nope' });
+
+      expect(svg).toContain('fill="#9f9f9f"');
+    });
+
+    test('computes total width from label and message text widths', () => {
+      const short = renderBadge({ label: 'a', message: 'b', color: 'blue' });
+      const long = renderBadge({ label: 'a much longer label', message: 'b', color: 'blue' });
+
+      expect(svgWidth(long)).toBeGreaterThan(svgWidth(short));
+    });
+
+    test('uses odd text widths for pixel grid alignment', () => {
+      const svg = renderBadge({ label: 'nuget', message: '1.2.3', color: 'blue' });
+      const lengths = [...svg.matchAll(/textLength="(\d+)"/g)].map((m) => Number(m[1]) / 10);
+
+      lengths.forEach((length) => expect(length % 2).toBe(1));
+    });
+
+    test('uses dark text on light backgrounds', () => {
+      const svg = renderBadge({ label: 'a', message: 'b', color: '#eeeeee' });
+
+      expect(svg).toContain('fill="#333"');
+    });
+
+    test('escapes XML special characters in text', () => {
+      const svg = renderBadge({ label: '<a&b>', message: '"x"', color: 'blue' });
+
+      expect(svg).toContain('&lt;a&amp;b&gt;');
+      expect(svg).toContain('&quot;x&quot;');
+      expect(svg).not.toContain('<a&b>');
+    });
+
+    test('renders message-only badge when label is empty', () => {
+      const svg = renderBadge({ label: '', message: 'only', color: 'blue' });
+
+      expect(svg).toContain('aria-label="only"');
+      expect(svg).toContain('<rect width="0" height="20"');
+    });
+  });
+
+  describe('Logos', () => {
+    test('embeds named logo as data URI image', () => {
+      const svg = renderBadge({ label: 'pkg', message: '1.0.0', color: 'blue', logo: 'nuget' });
+
+      expect(svg).toContain('<image x="5" y="3" width="14" height="14" xlink:href="data:image/svg+xml;base64,');
+    });
+
+    test('widens label section to make room for logo', () => {
+      const plain = renderBadge({ label: 'pkg', message: '1.0.0', color: 'blue' });
+      const withLogo = renderBadge({ label: 'pkg', message: '1.0.0', color: 'blue', logo: 'github' });
+
+      expect(svgWidth(withLogo) - svgWidth(plain)).toBe(17);
+    });
+
+    test('embeds custom logoSvg in preference to named logo', () => {
+      const logoSvg = '<svg xmlns="http://www.w3.org/2000/svg"><rect width="1" height="1"/></svg>';
+      const svg = renderBadge({ label: 'pkg', message: '1.0.0', color: 'blue', logo: 'nuget', logoSvg });
+
+      expect(svg).toContain(Buffer.from(logoSvg).toString('base64'));
+      expect(svg.match(/<image/g)).toHaveLength(1);
+    });
+
+    test('applies logoColor to named logos', () => {
+      const svg = renderBadge({ label: 'pkg', message: '1.0.0', color: 'blue', logo: 'github', logoColor: 'red' });
+
+      expect(svg).toContain(Buffer.from(getLogoSvg('github', '#e05d44')).toString('base64'));
+    });
+
+    test('ignores unknown logos', () => {
+      const svg = renderBadge({ label: 'pkg', message: '1.0.0', color: 'blue', logo: 'unknown' });
+
+      expect(svg).not.toContain('<image');
+    });
+
+    test('knows built-in logos', () => {
+      expect(hasLogo('github')).toBe(true);
+      expect(hasLogo('nuget')).toBe(true);
+      expect(hasLogo('toString')).toBe(false);
+    });
+
+    test('fills logo paths with requested color', () => {
+      expect(getLogoSvg('github', '#000')).toContain('fill="#000"');
+      expect(getLogoSvg('missing')).toBeNull();
+    });
+
+    test('encodes logo data URI as base64 SVG', () => {
+      const uri = getLogoDataUri('nuget');
+      const decoded = Buffer.from(uri.replace('data:image/svg+xml;base64,', ''), 'base64').toString();
+
+      expect(decoded).toBe(getLogoSvg('nuget'));
+    });
+  });
+
+  describe('Style Variants', () => {
+    const sample = { label: 'localstack.client nuget', message: '2.0.0-preview1', color: 'orange', logo: 'nuget' };
+
+    test('supports the shields style family', () => {
+      expect(BADGE_STYLES).toEqual(['flat', 'flat-square', 'plastic', 'for-the-badge', 'social']);
+    });
+
+    test('defaults to flat for missing or unknown styles', () => {
+      const flat = renderBadge({ ...sample, style: 'flat' });
+
+      expect(renderBadge(sample)).toBe(flat);
+      expect(renderBadge({ ...sample, style: 'unknown' })).toBe(flat);
+    });
+
+    test.each(BADGE_STYLES)('renders %s style consistently', (style) => {
+      expect(renderBadge({ ...sample, style })).toMatchSnapshot();
+    });
+
+    test.each(BADGE_STYLES)('renders %s style without label or logo', (style) => {
+      expect(renderBadge({ label: '', message: 'passing', color: 'success', style })).toMatchSnapshot();
+    });
+
+    test('uses style-specific heights', () => {
+      expect(svgHeight(renderBadge({ ...sample, style: 'flat' }))).toBe(20);
+      expect(svgHeight(renderBadge({ ...sample, style: 'flat-square' }))).toBe(20);
+      expect(svgHeight(renderBadge({ ...sample, style: 'plastic' }))).toBe(18);
+      expect(svgHeight(renderBadge({ ...sample, style: 'for-the-badge' }))).toBe(28);
+      expect(svgHeight(renderBadge({ ...sample, style: 'social' }))).toBe(20);
+    });
+
+    test('flat-square has square corners and no text shadow', () => {
+      const svg = renderBadge({ ...sample, style: 'flat-square' });
+
+      expect(svg).toContain('shape-rendering="crispEdges"');
+      expect(svg).not.toContain('rx=');
+      expect(svg).not.toContain('aria-hidden="true"');
+    });
+
+    test('plastic uses rounder corners and a glossy gradient', () => {
+      const svg = renderBadge({ ...sample, style: 'plastic' });
+
+      expect(svg).toContain('rx="4"');
+      expect(svg).toContain('stop-color="#fff" stop-opacity=".7"');
+    });
+
+    test('for-the-badge upper-cases text with letter spacing and bold message', () => {
+      const svg = renderBadge({ ...sample, style: 'for-the-badge' });
+
+      expect(svg).toContain('<title>LOCALSTACK.CLIENT NUGET: 2.0.0-PREVIEW1</title>');
+      expect(svg).toContain('letter-spacing="10"');
+      expect(svg).toContain('font-weight="bold"');
+    });
+
+    test('for-the-badge is wider than flat for the same text', () => {
+      const flat = renderBadge({ ...sample, style: 'flat' });
+      const forTheBadge = renderBadge({ ...sample, style: 'for-the-badge' });
+
+      expect(svgWidth(forTheBadge)).toBeGreaterThan(svgWidth(flat));
+    });
+
+    test('social capitalizes label and draws a speech bubble', () => {
+      const svg = renderBadge({ ...sample, style: 'social' });
+
+      expect(svg).toContain('<title>Localstack.client nuget: 2.0.0-preview1</title>');
+      expect(svg).toContain('font-family="Helvetica Neue,Helvetica,Arial,sans-serif"');
+      expect(svg).toContain('<path d="M');
+      expect(svg).toContain('fill="#333"');
+    });
+  });
+});
@@ -6,20 +6,39 @@
 import { 
   createSuccessResponse, 
   createNotFoundResponse, 
+  createUnavailableResponse,
   createErrorResponse,
+  createErrorBadgeResponse,
+  createBadgeRouteErrorResponse,
   create404Response,
   create400Response,
   createTestBadgeResponse,
+  createJsonResponse,
   createRedirectResponse,
   createDefaultLabel,
   determineColor,
   validateAndCoerceVersion,
   parseTrackWithValidation,
+  parseVersionRange,
+  parseSemverRange,
+  parseFormat,
+  parseErrorMode,
+  parseStyle,
+  parseBadgeOptions,
+  parseColor,
+  parseLogo,
+  parseLogoSvg,
+  parseCacheSeconds,
+  parseLabel,
+  createETag,
+  matchesIfNoneMatch,
+  createNotModifiedResponse,
   extractPlatform,
   isValidPlatform
 } from '../../../../src/utils/common.mjs';
 
 import { expectShieldsIoFormat, expectErrorResponse } from '../../helpers/testUtils.mjs';
+import { ValidationError, UpstreamUnavailableError } from '../../../../src/utils/errors.mjs';
 
 describe('Common Utilities', () => {
   
@@ -79,6 +98,24 @@ describe('Common Utilities', () => {
     });
   });
 
+  describe('Unavailable Response Builder', () => {
+    test('creates a grey unavailable badge with a short cache', () => {
+      const response = createUnavailableResponse('localstack.client', null, 'github');
+      
+      expectShieldsIoFormat(response);
+      
+      const body = JSON.parse(response.body);
+      expect(body).toMatchObject({ label: 'localstack.client github', message: 'unavailable', color: 'lightgrey', namedLogo: 'github', cacheSeconds: 60 });
+      expect(response.headers['Cache-Control']).toBe('public, max-age=60');
+    });
+
+    test('uses custom label when provided', () => {
+      const response = createUnavailableResponse('localstack.client', 'Client', 'nuget');
+      
+      expect(JSON.parse(response.body).label).toBe('Client');
+    });
+  });
+
   describe('Not Found Response Builder', () => {
     test('creates not found response with correct format', () => {
       const response = createNotFoundResponse('missing.package', null, 'nuget');
@@ -142,6 +179,60 @@ describe('Common Utilities', () => {
     });
   });
 
+  describe('Error Badge Response Builder', () => {
+    test('creates a red isError badge with a short reason', () => {
+      const response = createErrorBadgeResponse(new ValidationError('Invalid track parameter', { param: 'track' }), 'localstack.client nuget');
+
+      expectShieldsIoFormat(response);
+      expect(JSON.parse(response.body)).toEqual({
+        schemaVersion: 1,
+        label: 'localstack.client nuget',
+        message: 'bad track',
+        color: 'red',
+        isError: true,
+        cacheSeconds: 60
+      });
+      expect(response.headers['Cache-Control']).toBe('public, max-age=60');
+    });
+
+    test('renders SVG when requested', () => {
+      const response = createErrorBadgeResponse(new UpstreamUnavailableError('Circuit open'), 'tests', { format: 'svg' });
+
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.body).toContain('upstream down');
+    });
+
+    test('keeps isError and the short cache regardless of requested endpoint fields', () => {
+      const error = new ValidationError('Invalid track parameter', { param: 'track' });
+
+      const response = createBadgeRouteErrorResponse(error, {
+        errors: 'badge', isError: 'false', cacheSeconds: '86400', style: 'flat-square', labelColor: '555'
+      }, 'tests');
+
+      const body = JSON.parse(response.body);
+      expect(body).toMatchObject({ isError: true, cacheSeconds: 60, style: 'flat-square', labelColor: '555' });
+      expect(response.headers['Cache-Control']).toBe('public, max-age=60');
+    });
+
+    test('badge routes keep JSON errors unless errors=badge', () => {
+      const error = new ValidationError('Invalid track parameter', { param: 'track' });
+
+      expectErrorResponse(createBadgeRouteErrorResponse(error, {}, 'tests'), 400);
+      expectErrorResponse(createBadgeRouteErrorResponse(error, undefined, 'tests'), 400);
+      expect(JSON.parse(createBadgeRouteErrorResponse(error, { errors: 'badge' }, 'tests').body).message).toBe('bad track');
+    });
+
+    test('falls back to plain badge options when they are what failed', () => {
+      const error = new ValidationError('Invalid style parameter', { param: 'style' });
+
+      const response = createBadgeRouteErrorResponse(error, { errors: 'badge', style: 'wavy', format: 'SVG' }, 'tests');
+
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.body).toContain('bad style');
+    });
+  });
+
   describe('Test Badge Response Builder', () => {
     test('creates success badge for all passed tests', () => {
       const testData = { passed: 1099, failed: 0, skipped: 2, total: 1101 };
@@ -204,6 +295,201 @@ describe('Common Utilities', () => {
       
       expect(response.headers['Cache-Control']).toBe('public, max-age=60');
     });
+
+    test('greys out outdated data but keeps the last known counts', () => {
+      const testData = { passed: 994, failed: 5, skipped: 0, total: 999, outdated: true };
+      const response = createTestBadgeResponse(testData, 'linux');
+      
+      const body = JSON.parse(response.body);
+      expect(body.message).toBe('5 failed, 994 passed (outdated)');
+      expect(body.color).toBe('inactive');
+      expect(body.cacheSeconds).toBe(60);
+      expect(response.headers['Cache-Control']).toBe('public, max-age=60');
+    });
+  });
+
+  describe('SVG Badge Format', () => {
+    test('renders success badge as SVG when format=svg', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { format: 'svg' });
+      
+      expect(response.statusCode).toBe(200);
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.headers['Cache-Control']).toBe('public, max-age=3600, stale-while-revalidate=1800');
+      expect(response.body).toContain('<title>test.package nuget: 1.2.3</title>');
+      expect(response.body).toContain('fill="#007ec6"'); // blue
+      expect(response.body).toContain('<image'); // nuget logo
+    });
+
+    test('renders not found badge as SVG when format=svg', () => {
+      const response = createNotFoundResponse('missing.package', null, 'github', 'Package not found', { format: 'svg' });
+      
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.headers['Cache-Control']).toBe('public, max-age=300');
+      expect(response.body).toContain('<title>missing.package github: not found</title>');
+    });
+
+    test('renders test badge as SVG when format=svg', () => {
+      const testData = { passed: 994, failed: 5, skipped: 0, total: 999 };
+      const response = createTestBadgeResponse(testData, 'windows', { format: 'svg' });
+      
+      expect(response.headers['Content-Type']).toBe('image/svg+xml');
+      expect(response.headers['Cache-Control']).toBe('public, max-age=300');
+      expect(response.body).toContain('<title>tests: 5 failed, 994 passed</title>');
+      expect(response.body).toContain('fill="#e05d44"'); // critical
+    });
+
+    test('renders requested style in SVG mode', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { format: 'svg', style: 'for-the-badge' });
+      
+      expect(response.body).toContain('height="28"');
+      expect(response.body).toContain('TEST.PACKAGE NUGET');
+    });
+
+    test('forwards requested style to shields in JSON mode', () => {
+      const response = createTestBadgeResponse(null, 'linux', { style: 'flat-square' });
+      
+      const body = JSON.parse(response.body);
+      expect(body.style).toBe('flat-square');
+    });
+
+    test('omits style from JSON when not requested', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget');
+      
+      const body = JSON.parse(response.body);
+      expect(body).not.toHaveProperty('style');
+    });
+
+    test('keeps shields JSON when format=json', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { format: 'json' });
+      
+      expectShieldsIoFormat(response);
+    });
+  });
+
+  describe('Shields Endpoint Options', () => {
+    const logoSvg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><circle cx="12" cy="12" r="10"/></svg>';
+
+    test('passes optional endpoint fields through to JSON body', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, {
+        labelColor: '#333',
+        logoColor: 'yellow',
+        isError: false,
+        style: 'flat-square',
+        cacheSeconds: 600
+      });
+      
+      const body = JSON.parse(response.body);
+      expect(body).toMatchObject({
+        labelColor: '#333',
+        logoColor: 'yellow',
+        isError: false,
+        style: 'flat-square',
+        cacheSeconds: 600
+      });
+    });
+
+    test('overrides named logo when logo option is provided', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { logo: 'github' });
+      
+      const body = JSON.parse(response.body);
+      expect(body.namedLogo).toBe('github');
+    });
+
+    test('passes logoSvg through to JSON body', () => {
+      const response = createNotFoundResponse('missing.package', null, 'nuget', 'Package not found', { logoSvg });
+      
+      const body = JSON.parse(response.body);
+      expect(body.logoSvg).toBe(logoSvg);
+    });
+
+    test('omits optional fields that were not requested', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, parseBadgeOptions({}));
+      
+      const body = JSON.parse(response.body);
+      expect(Object.keys(body).sort()).toEqual(['color', 'label', 'message', 'namedLogo', 'schemaVersion']);
+    });
+
+    test('applies the same options to test badges', () => {
+      const testData = { passed: 10, failed: 0, skipped: 0, total: 10 };
+      const response = createTestBadgeResponse(testData, 'linux', { labelColor: 'blue', logo: 'github', cacheSeconds: 900 });
+      
+      const body = JSON.parse(response.body);
+      expect(body.labelColor).toBe('blue');
+      expect(body.namedLogo).toBe('github');
+      expect(body.cacheSeconds).toBe(900);
+    });
+
+    test('cacheSeconds drives the Cache-Control header', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { cacheSeconds: 120 });
+      
+      expect(response.headers['Cache-Control']).toBe('public, max-age=120');
+    });
+
+    test('renders labelColor, logoColor and logoSvg in SVG mode', () => {
+      const colored = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { format: 'svg', labelColor: '#123456' });
+      expect(colored.body).toContain('fill="#123456"');
+      
+      const custom = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { format: 'svg', logoSvg });
+      expect(custom.body).toContain(Buffer.from(logoSvg).toString('base64'));
+    });
+  });
+
+  describe('ETag Headers', () => {
+    test('badge and JSON responses carry an ETag and Vary header', () => {
+      const responses = [
+        createSuccessResponse('1.2.3', 'test.package', 'nuget'),
+        createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { format: 'svg' }),
+        createNotFoundResponse('test.package', null, 'nuget'),
+        createTestBadgeResponse({ passed: 1, failed: 0, skipped: 0, total: 1 }, 'linux'),
+        createJsonResponse({ versions: [] })
+      ];
+
+      for (const response of responses) {
+        expect(response.headers.ETag).toBe(createETag(response.body));
+        expect(response.headers.Vary).toBe('Accept-Encoding');
+      }
+    });
+
+    test('ETags are deterministic and payload-dependent', () => {
+      const first = createSuccessResponse('1.2.3', 'test.package', 'nuget');
+      const again = createSuccessResponse('1.2.3', 'test.package', 'nuget');
+      const newer = createSuccessResponse('1.2.4', 'test.package', 'nuget');
+      const svg = createSuccessResponse('1.2.3', 'test.package', 'nuget', null, null, { format: 'svg' });
+
+      expect(again.headers.ETag).toBe(first.headers.ETag);
+      expect(newer.headers.ETag).not.toBe(first.headers.ETag);
+      expect(svg.headers.ETag).not.toBe(first.headers.ETag);
+      expect(first.headers.ETag).toMatch(/^"[A-Za-z0-9_-]{27}"$/);
+    });
+
+    test('error and redirect responses have no ETag', () => {
+      expect(createErrorResponse(500, 'boom').headers.ETag).toBeUndefined();
+      expect(createRedirectResponse('https://example.com').headers.ETag).toBeUndefined();
+    });
+
+    test('matchesIfNoneMatch uses weak comparison over a list', () => {
+      expect(matchesIfNoneMatch('"a"', '"a"')).toBe(true);
+      expect(matchesIfNoneMatch('W/"a"', '"a"')).toBe(true);
+      expect(matchesIfNoneMatch('"b", W/"a"', '"a"')).toBe(true);
+      expect(matchesIfNoneMatch('*', '"a"')).toBe(true);
+      expect(matchesIfNoneMatch('"b"', '"a"')).toBe(false);
+      expect(matchesIfNoneMatch(undefined, '"a"')).toBe(false);
+      expect(matchesIfNoneMatch('"a"', undefined)).toBe(false);
+    });
+
+    test('createNotModifiedResponse keeps only validators and caching headers', () => {
+      const response = createSuccessResponse('1.2.3', 'test.package', 'nuget');
+
+      expect(createNotModifiedResponse(response)).toEqual({
+        statusCode: 304,
+        headers: {
+          'ETag': response.headers.ETag,
+          'Cache-Control': response.headers['Cache-Control'],
+          'Vary': 'Accept-Encoding'
+        },
+        body: ''
+      });
+    });
   });
 
   describe('Redirect Response Builder', () => {
@@ -276,6 +562,12 @@ describe('Common Utilities', () => {
       expect(determineColor('0.0.1')).toBe('blue');
       expect(determineColor('1.0.0-0')).toBe('orange'); // Edge case for semver ranges
     });
+
+    test('uses the source versioning scheme for NuGet prereleases', () => {
+      expect(determineColor('1.0-beta', 'nuget')).toBe('orange');
+      expect(determineColor('1.0.0.1-rc', 'nuget-feed')).toBe('orange');
+      expect(determineColor('0.8.0.163', 'nuget')).toBe('blue');
+    });
   });
 
   describe('Version Validation', () => {
@@ -365,6 +657,169 @@ describe('Common Utilities', () => {
     });
   });
 
+  describe('Range Validation', () => {
+    test('parses NuGet intervals', () => {
+      expect(parseVersionRange('[1.0,2.0)')).toEqual({
+        minVersion: '1.0.0', includeMin: true, maxVersion: '2.0.0', includeMax: false
+      });
+      expect(parseVersionRange(undefined)).toBeNull();
+    });
+
+    test('prefixes NuGet interval errors with the parameter', () => {
+      expect(() => parseVersionRange('[1.0')).toThrow("Invalid range parameter: '[1.0'. Interval must end with ']' or ')'");
+    });
+
+    test('normalizes node-semver ranges', () => {
+      expect(parseSemverRange('^1.4 || >=2.0.0-0 <3')).toBe('>=1.4.0 <2.0.0-0||>=2.0.0-0 <3.0.0-0');
+      expect(parseSemverRange('1.2 - 2')).toBe('>=1.2.0 <3.0.0-0');
+      expect(parseSemverRange('~1.2.3')).toBe('>=1.2.3 <1.3.0-0');
+      expect(parseSemverRange('1.x')).toBe('>=1.0.0 <2.0.0-0');
+      expect(parseSemverRange('*')).toBe('*');
+      expect(parseSemverRange(null)).toBeNull();
+    });
+
+    test('reports node-semver parse errors', () => {
+      expect(() => parseSemverRange('^^1')).toThrow("Invalid semver parameter: '^^1'. Invalid comparator: ^^1");
+      expect(() => parseSemverRange('>=1.0.0 <')).toThrow("Invalid semver parameter: '>=1.0.0 <'. Invalid comparator: <");
+      expect(() => parseSemverRange(' ')).toThrow("Invalid semver parameter: ''. Range must not be empty");
+    });
+  });
+
+  describe('Format Validation', () => {
+    test('defaults to json', () => {
+      expect(parseFormat(undefined)).toBe('json');
+      expect(parseFormat(null)).toBe('json');
+      expect(parseFormat('')).toBe('json');
+    });
+
+    test('accepts json and svg case-insensitively', () => {
+      expect(parseFormat('json')).toBe('json');
+      expect(parseFormat('svg')).toBe('svg');
+      expect(parseFormat('SVG')).toBe('svg');
+    });
+
+    test('rejects unsupported formats', () => {
+      expect(() => parseFormat('png')).toThrow('Invalid format parameter: \'png\'. Must be \'json\' or \'svg\'');
+    });
+  });
+
+  describe('Error Mode Validation', () => {
+    test('defaults to json', () => {
+      expect(parseErrorMode(undefined)).toBe('json');
+      expect(parseErrorMode('')).toBe('json');
+    });
+
+    test('accepts json and badge', () => {
+      expect(parseErrorMode('json')).toBe('json');
+      expect(parseErrorMode('badge')).toBe('badge');
+    });
+
+    test('rejects other values', () => {
+      expect(() => parseErrorMode('svg')).toThrow('Invalid errors parameter: \'svg\'. Must be \'json\' or \'badge\'');
+    });
+  });
+
+  describe('Style Validation', () => {
+    test('returns null when style is not provided', () => {
+      expect(parseStyle(undefined)).toBeNull();
+      expect(parseStyle(null)).toBeNull();
+      expect(parseStyle('')).toBeNull();
+    });
+
+    test('accepts all shields styles case-insensitively', () => {
+      expect(parseStyle('flat')).toBe('flat');
+      expect(parseStyle('flat-square')).toBe('flat-square');
+      expect(parseStyle('plastic')).toBe('plastic');
+      expect(parseStyle('For-The-Badge')).toBe('for-the-badge');
+      expect(parseStyle('social')).toBe('social');
+    });
+
+    test('rejects unknown styles with the list of valid values', () => {
+      expect(() => parseStyle('rounded')).toThrow('Invalid style parameter: \'rounded\'. Must be one of: flat, flat-square, plastic, for-the-badge, social');
+    });
+  });
+
+  describe('Badge Option Validation', () => {
+    test('parses all optional endpoint fields', () => {
+      const options = parseBadgeOptions({
+        format: 'svg',
+        style: 'plastic',
+        labelColor: 'grey',
+        logo: 'GitHub',
+        logoColor: 'ff0000',
+        logoSvg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+        isError: 'true',
+        cacheSeconds: '3600'
+      });
+      
+      expect(options).toEqual({
+        format: 'svg',
+        style: 'plastic',
+        labelColor: 'grey',
+        logo: 'github',
+        logoColor: 'ff0000',
+        logoSvg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+        isError: true,
+        cacheSeconds: 3600
+      });
+    });
+
+    test('accepts lowercase and kebab-case parameter variants', () => {
+      expect(parseBadgeOptions({ 'label-color': 'red' }).labelColor).toBe('red');
+      expect(parseBadgeOptions({ logocolor: 'red' }).logoColor).toBe('red');
+      expect(parseBadgeOptions({ iserror: 'false' }).isError).toBe(false);
+      expect(parseBadgeOptions({ 'cache-seconds': '60' }).cacheSeconds).toBe(60);
+    });
+
+    test('returns undefined for omitted fields', () => {
+      const options = parseBadgeOptions({});
+      
+      expect(options.format).toBe('json');
+      expect(options.style).toBeNull();
+      expect(options.labelColor).toBeUndefined();
+      expect(options.logo).toBeUndefined();
+      expect(options.isError).toBeUndefined();
+      expect(options.cacheSeconds).toBeUndefined();
+    });
+
+    test('validates colors as named, hex or rgb/hsl', () => {
+      expect(parseColor('brightgreen')).toBe('brightgreen');
+      expect(parseColor('#abc')).toBe('#abc');
+      expect(parseColor('rgb(1,2,3)')).toBe('rgb(1,2,3)');
+      expect(() => parseColor('purple-ish', 'labelColor')).toThrow("Invalid labelColor parameter: 'purple-ish'");
+    });
+
+    test('validates logos against the allowlist', () => {
+      expect(parseLogo('nuget')).toBe('nuget');
+      expect(() => parseLogo('docker-evil')).toThrow("Invalid logo parameter: 'docker-evil'. Must be one of: github, nuget");
+    });
+
+    test('validates logoSvg is a bounded inline SVG', () => {
+      expect(() => parseLogoSvg('<svg>' + 'a'.repeat(9000) + '</svg>')).toThrow('must not exceed 8192 bytes');
+      expect(() => parseLogoSvg('<div></div>')).toThrow('must be an inline <svg> document');
+      expect(() => parseLogoSvg('<svg><script>alert(1)</script></svg>')).toThrow('scripts and event handlers are not allowed');
+      expect(() => parseLogoSvg('<svg onload="x()"></svg>')).toThrow('scripts and event handlers are not allowed');
+      expect(parseLogoSvg('<?xml version="1.0"?><svg viewBox="0 0 1 1"></svg>')).toContain('<svg');
+    });
+
+    test('validates isError as a boolean string', () => {
+      expect(() => parseBadgeOptions({ isError: 'yes' })).toThrow("Invalid isError parameter: 'yes'. Must be 'true' or 'false'");
+    });
+
+    test('validates cacheSeconds as a bounded integer', () => {
+      expect(parseCacheSeconds('0')).toBe(0);
+      expect(() => parseCacheSeconds('-1')).toThrow("Invalid cacheSeconds parameter: '-1'");
+      expect(() => parseCacheSeconds('1.5')).toThrow("Invalid cacheSeconds parameter: '1.5'");
+      expect(() => parseCacheSeconds('86401')).toThrow("Invalid cacheSeconds parameter: '86401'");
+    });
+
+    test('validates label length', () => {
+      expect(parseLabel('nuget')).toBe('nuget');
+      expect(parseLabel(undefined)).toBeUndefined();
+      expect(() => parseLabel('x'.repeat(101))).toThrow('must not exceed 100 characters');
+    });
+  });
+
   describe('Platform Utilities', () => {
     test('extractPlatform gets last URL segment', () => {
       expect(extractPlatform('badge/tests/linux')).toBe('linux');
@@ -0,0 +1,96 @@
+/*──────────────────────────────────────
+  Unit Tests: Typed Errors
+  Tests the error hierarchy and its central status / badge-state mapping
+──────────────────────────────────────*/
+
+import {
+  BadgeError,
+  ValidationError,
+  PackageNotFoundError,
+  UpstreamUnavailableError,
+  RateLimitedError,
+  AuthRequiredError,
+  getStatusCode,
+  getBadgeState,
+  getBadgeMessage
+} from '../../../../src/utils/errors.mjs';
+import { createErrorResponseFor } from '../../../../src/utils/common.mjs';
+
+describe('Typed Errors', () => {
+  test.each([
+    [ValidationError, 400, 'invalid'],
+    [PackageNotFoundError, 404, 'not found'],
+    [UpstreamUnavailableError, 503, 'unavailable'],
+    [RateLimitedError, 503, 'unavailable'],
+    [AuthRequiredError, 500, 'error']
+  ])('%p maps to %i / %p', (ErrorType, statusCode, badgeState) => {
+    const error = new ErrorType('boom');
+
+    expect(error).toBeInstanceOf(BadgeError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe(ErrorType.name);
+    expect(getStatusCode(error)).toBe(statusCode);
+    expect(getBadgeState(error)).toBe(badgeState);
+  });
+
+  test('untyped errors are unexpected failures, whatever their message says', () => {
+    const error = new Error('Package not found');
+
+    expect(getStatusCode(error)).toBe(500);
+    expect(getBadgeState(error)).toBe('error');
+  });
+
+  test('keeps the cause and Retry-After', () => {
+    const cause = new Error('Request failed with status code 429');
+    const error = new RateLimitedError('NuGet rate limit exceeded', { cause, retryAfterSeconds: 30 });
+
+    expect(error.cause).toBe(cause);
+    expect(error.retryAfterSeconds).toBe(30);
+  });
+
+  describe('getBadgeMessage', () => {
+    test('names the invalid parameter', () => {
+      expect(getBadgeMessage(new ValidationError('Invalid track parameter', { param: 'track' }))).toBe('bad track');
+      expect(getBadgeMessage(new ValidationError('Bad input'))).toBe('bad request');
+    });
+
+    test.each([
+      [new PackageNotFoundError('missing'), 'not found'],
+      [new UpstreamUnavailableError('circuit open'), 'upstream down'],
+      [new RateLimitedError('throttled'), 'rate limited'],
+      [new AuthRequiredError('no token'), 'auth required']
+    ])('%p reads %p', (error, message) => {
+      expect(getBadgeMessage(error)).toBe(message);
+    });
+
+    test('untyped upstream failures read "upstream down"', () => {
+      const timeout = Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' });
+      const serverError = Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } });
+
+      expect(getBadgeMessage(timeout)).toBe('upstream down');
+      expect(getBadgeMessage(serverError)).toBe('upstream down');
+      expect(getBadgeMessage(new Error('boom'))).toBe('error');
+    });
+  });
+
+  describe('createErrorResponseFor', () => {
+    test('uses the typed status code and message', () => {
+      const response = createErrorResponseFor(new ValidationError('Invalid track parameter'));
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body)).toEqual({ error: 'Invalid track parameter' });
+      expect(response.headers['Retry-After']).toBeUndefined();
+    });
+
+    test('forwards Retry-After', () => {
+      const response = createErrorResponseFor(new RateLimitedError('GitHub rate limit exceeded', { retryAfterSeconds: 60 }));
+
+      expect(response.statusCode).toBe(503);
+      expect(response.headers['Retry-After']).toBe('60');
+    });
+
+    test('answers untyped errors with 500', () => {
+      expect(createErrorResponseFor(new Error('socket hang up')).statusCode).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/*──────────────────────────────────────
+  Unit Tests: GitHub Package Owners
+  Tests owner parsing, the allowlist and organization / user endpoints
+──────────────────────────────────────*/
+
+import {
+  parseOwner,
+  getDefaultOwner,
+  getAllowedOwners,
+  resolveGitHubOwner,
+  getOwnerPackagesPath
+} from '../../../../src/utils/githubOwners.mjs';
+import { ValidationError } from '../../../../src/utils/errors.mjs';
+
+describe('GitHub Owners', () => {
+  describe('parseOwner', () => {
+    test('treats bare names as organizations', () => {
+      expect(parseOwner('localstack-dotnet')).toEqual({ login: 'localstack-dotnet', type: 'org' });
+    });
+
+    test('reads org: and user: prefixes', () => {
+      expect(parseOwner('org:acme')).toEqual({ login: 'acme', type: 'org' });
+      expect(parseOwner(' USER:Blind-Striker ')).toEqual({ login: 'Blind-Striker', type: 'user' });
+    });
+
+    test.each(['', 'team:acme', '-acme', 'acme--corp', 'a/b', 'x'.repeat(40)])('rejects %p', (entry) => {
+      expect(parseOwner(entry)).toBeNull();
+    });
+  });
+
+  describe('getDefaultOwner', () => {
+    test('keeps the localstack-dotnet organization by default', () => {
+      expect(getDefaultOwner({})).toEqual({ login: 'localstack-dotnet', type: 'org' });
+    });
+
+    test('honors GITHUB_OWNER', () => {
+      expect(getDefaultOwner({ GITHUB_OWNER: 'user:octocat' })).toEqual({ login: 'octocat', type: 'user' });
+    });
+
+    test('ignores an invalid GITHUB_OWNER', () => {
+      expect(getDefaultOwner({ GITHUB_OWNER: 'not/valid' }).login).toBe('localstack-dotnet');
+    });
+  });
+
+  describe('getAllowedOwners', () => {
+    test('always includes the default owner', () => {
+      expect([...getAllowedOwners({}).keys()]).toEqual(['localstack-dotnet']);
+    });
+
+    test('adds GITHUB_ALLOWED_OWNERS, skipping invalid entries', () => {
+      const owners = getAllowedOwners({ GITHUB_ALLOWED_OWNERS: 'Acme, user:octocat,,bad/entry' });
+
+      expect(owners.get('acme')).toEqual({ login: 'Acme', type: 'org' });
+      expect(owners.get('octocat')).toEqual({ login: 'octocat', type: 'user' });
+      expect(owners.size).toBe(3);
+    });
+  });
+
+  describe('resolveGitHubOwner', () => {
+    const env = { GITHUB_ALLOWED_OWNERS: 'acme,user:octocat' };
+
+    test.each([undefined, null, ''])('falls back to the default owner for %p', (param) => {
+      expect(resolveGitHubOwner(param, env)).toEqual({ login: 'localstack-dotnet', type: 'org', isDefault: true });
+    });
+
+    test('resolves allowed owners case-insensitively', () => {
+      expect(resolveGitHubOwner('OctoCat', env)).toEqual({ login: 'octocat', type: 'user', isDefault: false });
+    });
+
+    test('naming the default owner explicitly is still the default', () => {
+      expect(resolveGitHubOwner('LocalStack-Dotnet', env).isDefault).toBe(true);
+    });
+
+    test('refuses owners outside the allowlist', () => {
+      expect(() => resolveGitHubOwner('someone-else', env)).toThrow(ValidationError);
+      expect(() => resolveGitHubOwner('someone-else', env)).toThrow("Invalid owner parameter: 'someone-else' is not an allowed GitHub owner");
+    });
+  });
+
+  describe('getOwnerPackagesPath', () => {
+    test('uses /orgs for organizations and /users for personal accounts', () => {
+      expect(getOwnerPackagesPath({ login: 'acme', type: 'org' })).toBe('orgs/acme');
+      expect(getOwnerPackagesPath({ login: 'octocat', type: 'user' })).toBe('users/octocat');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/*──────────────────────────────────────
+  Unit Tests: Private NuGet Feeds
+  Tests NUGET_FEEDS parsing, alias resolution and per-feed credentials
+──────────────────────────────────────*/
+
+import {
+  parseFeed,
+  getConfiguredFeeds,
+  resolveNuGetFeed,
+  getFeedAuthorization,
+  getFeedCredentialPrefix
+} from '../../../../src/utils/nugetFeeds.mjs';
+import { ValidationError } from '../../../../src/utils/errors.mjs';
+
+const AZURE_INDEX = 'https://pkgs.dev.azure.com/acme/_packaging/internal/nuget/v3/index.json';
+
+describe('NuGet Feeds', () => {
+  describe('parseFeed', () => {
+    test('reads alias=url entries and lower-cases the alias', () => {
+      expect(parseFeed(` Internal = ${AZURE_INDEX} `)).toEqual({ alias: 'internal', indexUrl: AZURE_INDEX });
+    });
+
+    test.each([
+      'internal',
+      `=${AZURE_INDEX}`,
+      `bad alias=${AZURE_INDEX}`,
+      'internal=not a url',
+      'internal=ftp://example.com/index.json'
+    ])('rejects %p', (entry) => {
+      expect(parseFeed(entry)).toBeNull();
+    });
+  });
+
+  describe('getConfiguredFeeds', () => {
+    test('has no feeds by default', () => {
+      expect(getConfiguredFeeds({}).size).toBe(0);
+    });
+
+    test('parses NUGET_FEEDS, skipping invalid entries', () => {
+      const feeds = getConfiguredFeeds({
+        NUGET_FEEDS: `internal=${AZURE_INDEX}, myget=https://www.myget.org/F/acme/api/v3/index.json,,broken`
+      });
+
+      expect([...feeds.keys()]).toEqual(['internal', 'myget']);
+      expect(feeds.get('myget').indexUrl).toBe('https://www.myget.org/F/acme/api/v3/index.json');
+    });
+  });
+
+  describe('resolveNuGetFeed', () => {
+    const env = { NUGET_FEEDS: `internal=${AZURE_INDEX}` };
+
+    test('resolves configured aliases case-insensitively', () => {
+      expect(resolveNuGetFeed('INTERNAL', env)).toEqual({ alias: 'internal', indexUrl: AZURE_INDEX });
+    });
+
+    test.each([undefined, null, ''])('requires a feed for %p', (param) => {
+      expect(() => resolveNuGetFeed(param, env)).toThrow("Feed parameter is required for source 'nuget-feed'");
+    });
+
+    test('refuses unknown aliases and URLs', () => {
+      expect(() => resolveNuGetFeed('public', env)).toThrow(ValidationError);
+      expect(() => resolveNuGetFeed(AZURE_INDEX, env)).toThrow(`Invalid feed parameter: '${AZURE_INDEX}' is not a configured NuGet feed`);
+    });
+  });
+
+  describe('getFeedAuthorization', () => {
+    const feed = { alias: 'my-feed', indexUrl: AZURE_INDEX };
+
+    test('derives the variable prefix from the alias', () => {
+      expect(getFeedCredentialPrefix(feed)).toBe('NUGET_FEED_MY_FEED_');
+    });
+
+    test('uses a bearer token when configured', () => {
+      expect(getFeedAuthorization(feed, { NUGET_FEED_MY_FEED_TOKEN: 'secret' })).toBe('Bearer secret');
+    });
+
+    test('falls back to basic credentials', () => {
+      const authorization = getFeedAuthorization(feed, { NUGET_FEED_MY_FEED_USERNAME: 'ci', NUGET_FEED_MY_FEED_PASSWORD: 'pat' });
+
+      expect(authorization).toBe(`Basic ${Buffer.from('ci:pat').toString('base64')}`);
+    });
+
+    test('is anonymous without credentials', () => {
+      expect(getFeedAuthorization(feed, { NUGET_FEED_OTHER_TOKEN: 'secret' })).toBeNull();
+    });
+  });
+});
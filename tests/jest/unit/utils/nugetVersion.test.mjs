@@ -0,0 +1,196 @@
+/*──────────────────────────────────────
+  Unit Tests: NuGet Versioning
+  Tests parsing, normalization and ordering against NuGet.Versioning behavior
+──────────────────────────────────────*/
+
+import {
+  parseNuGetVersion,
+  isValidNuGetVersion,
+  normalizeNuGetVersion,
+  compareNuGetVersions,
+  parseNuGetVersionRange,
+  satisfiesNuGetRange,
+  formatNuGetVersionRange
+} from '../../../../src/utils/nugetVersion.mjs';
+
+describe('NuGet Versioning', () => {
+  describe('parseNuGetVersion', () => {
+    test('parses four-part legacy versions', () => {
+      expect(parseNuGetVersion('0.8.0.163')).toMatchObject({
+        major: 0, minor: 8, patch: 0, revision: 163, isPrerelease: false, isSemVer2: false
+      });
+    });
+
+    test('fills missing parts with zero', () => {
+      expect(parseNuGetVersion('1')).toMatchObject({ major: 1, minor: 0, patch: 0, revision: 0 });
+      expect(parseNuGetVersion('1.0')).toMatchObject({ major: 1, minor: 0, patch: 0, revision: 0 });
+    });
+
+    test('accepts leading zeros', () => {
+      expect(parseNuGetVersion('01.002.0003')).toMatchObject({ major: 1, minor: 2, patch: 3 });
+    });
+
+    test('parses release labels and metadata', () => {
+      expect(parseNuGetVersion('2.0.0-preview1.5+sha.abc')).toMatchObject({
+        releaseLabels: ['preview1', '5'],
+        metadata: 'sha.abc',
+        isPrerelease: true
+      });
+    });
+
+    test('distinguishes SemVer 1 and SemVer 2 versions', () => {
+      expect(parseNuGetVersion('1.0.0-beta').isSemVer2).toBe(false);
+      expect(parseNuGetVersion('1.0.0-beta.1').isSemVer2).toBe(true);
+      expect(parseNuGetVersion('1.0.0+build').isSemVer2).toBe(true);
+    });
+
+    test.each([
+      'latest',
+      '',
+      '1.2.3.4.5',
+      'v1.0.0',
+      '1.0.0-',
+      '1.0.0-beta..1',
+      '1.0.0-beta_1',
+      '1.0.0+',
+      '1..0',
+      '2147483648.0.0'
+    ])('rejects %p', (version) => {
+      expect(parseNuGetVersion(version)).toBeNull();
+      expect(isValidNuGetVersion(version)).toBe(false);
+    });
+
+    test('rejects non-string input', () => {
+      expect(parseNuGetVersion(null)).toBeNull();
+      expect(parseNuGetVersion(1)).toBeNull();
+    });
+  });
+
+  describe('normalizeNuGetVersion', () => {
+    test.each([
+      ['1.0', '1.0.0'],
+      ['1', '1.0.0'],
+      ['01.02.03', '1.2.3'],
+      ['1.0.0.0', '1.0.0'],
+      ['0.8.0.163', '0.8.0.163'],
+      ['1.0.0-Beta+build.5', '1.0.0-Beta'],
+      ['1.0.01-rc.1', '1.0.1-rc.1']
+    ])('normalizes %p to %p', (input, expected) => {
+      expect(normalizeNuGetVersion(input)).toBe(expected);
+    });
+
+    test('returns null for invalid versions', () => {
+      expect(normalizeNuGetVersion('nope')).toBeNull();
+    });
+  });
+
+  describe('compareNuGetVersions', () => {
+    test.each([
+      ['1.0.0', '1.0.0.1'],
+      ['0.8.0.163', '1.0'],
+      ['1.0.0-beta', '1.0.0'],
+      ['1.0.0-alpha', '1.0.0-beta'],
+      ['1.0.0-beta.2', '1.0.0-beta.10'],
+      ['1.0.0-1', '1.0.0-alpha'],
+      ['1.0.0-beta', '1.0.0-beta.1'],
+      ['1.0.0-beta10', '1.0.0-beta9']
+    ])('%p < %p', (lower, higher) => {
+      expect(compareNuGetVersions(lower, higher)).toBe(-1);
+      expect(compareNuGetVersions(higher, lower)).toBe(1);
+    });
+
+    test.each([
+      ['1.0', '1.0.0'],
+      ['1.0.0.0', '1.0.0'],
+      ['01.0.0', '1.0.0'],
+      ['1.0.0-BETA', '1.0.0-beta'],
+      ['1.0.0+build1', '1.0.0+build2']
+    ])('%p equals %p', (a, b) => {
+      expect(compareNuGetVersions(a, b)).toBe(0);
+    });
+
+    test('sorts a mixed version history', () => {
+      const versions = ['1.0.0', '0.8.0.163', '2.0.0-preview1', '1.0', '0.8.0', '2.0.0'];
+      versions.sort(compareNuGetVersions);
+
+      expect(versions).toEqual(['0.8.0', '0.8.0.163', '1.0.0', '1.0', '2.0.0-preview1', '2.0.0']);
+    });
+
+    test('throws on invalid versions', () => {
+      expect(() => compareNuGetVersions('1.0.0', 'latest')).toThrow("Invalid NuGet version: 'latest'");
+    });
+  });
+
+  describe('parseNuGetVersionRange', () => {
+    test.each([
+      ['1.0', { minVersion: '1.0.0', includeMin: true, maxVersion: null, includeMax: false }],
+      ['[1.0,2.0)', { minVersion: '1.0.0', includeMin: true, maxVersion: '2.0.0', includeMax: false }],
+      ['(,3.0]', { minVersion: null, includeMin: false, maxVersion: '3.0.0', includeMax: true }],
+      ['[2.0.0-preview1,)', { minVersion: '2.0.0-preview1', includeMin: true, maxVersion: null, includeMax: false }],
+      ['[1.5.0]', { minVersion: '1.5.0', includeMin: true, maxVersion: '1.5.0', includeMax: true }],
+      [' ( 1.0 , 2.0.0.1 ] ', { minVersion: '1.0.0', includeMin: false, maxVersion: '2.0.0.1', includeMax: true }]
+    ])('parses %p', (range, expected) => {
+      expect(parseNuGetVersionRange(range)).toEqual(expected);
+    });
+
+    test.each([
+      ['', 'Range must not be empty'],
+      ['[1.0,2.0', "Interval must end with ']' or ')'"],
+      ['[1.0,2.0,3.0]', 'Interval must contain at most one comma'],
+      ['(1.5.0)', "Exact version must use square brackets, e.g. '[1.5.0]'"],
+      ['[]', 'Exact version must not be empty'],
+      ['(,)', 'Interval must specify a minimum or maximum version'],
+      ['[2.0,1.0]', "Minimum version '2.0.0' is greater than maximum version '1.0.0'"],
+      ['[1.0,1.0)', "Interval excludes its only version '1.0.0'"],
+      ['[abc,2.0)', "Invalid minimum version 'abc'"],
+      ['[1.0,x)', "Invalid maximum version 'x'"],
+      ['latest', "Invalid minimum version 'latest'"]
+    ])('rejects %p', (range, message) => {
+      expect(() => parseNuGetVersionRange(range)).toThrow(message);
+    });
+  });
+
+  describe('satisfiesNuGetRange', () => {
+    test('honors inclusive and exclusive bounds', () => {
+      const range = parseNuGetVersionRange('(1.0,2.0]');
+
+      expect(satisfiesNuGetRange('1.0.0', range)).toBe(false);
+      expect(satisfiesNuGetRange('1.0.0.1', range)).toBe(true);
+      expect(satisfiesNuGetRange('2.0', range)).toBe(true);
+      expect(satisfiesNuGetRange('2.0.0.1', range)).toBe(false);
+    });
+
+    test('orders prereleases below their release', () => {
+      const range = parseNuGetVersionRange('[2.0.0-preview1,)');
+
+      expect(satisfiesNuGetRange('2.0.0-PREVIEW1', range)).toBe(true);
+      expect(satisfiesNuGetRange('2.0.0-alpha', range)).toBe(false);
+      expect(satisfiesNuGetRange('2.0.0', range)).toBe(true);
+    });
+
+    test('matches exact versions regardless of normalization', () => {
+      const range = parseNuGetVersionRange('[1.5]');
+
+      expect(satisfiesNuGetRange('1.5.0', range)).toBe(true);
+      expect(satisfiesNuGetRange('1.5.0.1', range)).toBe(false);
+    });
+
+    test('treats versions NuGet cannot read as outside the range', () => {
+      const range = parseNuGetVersionRange('[1.0,2.0)');
+
+      expect(satisfiesNuGetRange('v1.2.3', range)).toBe(false);
+      expect(satisfiesNuGetRange('latest', range)).toBe(false);
+    });
+  });
+
+  describe('formatNuGetVersionRange', () => {
+    test.each([
+      ['1.0', '[1.0.0, )'],
+      ['[1.0,2.0)', '[1.0.0, 2.0.0)'],
+      ['(,3.0]', '(, 3.0.0]'],
+      ['[1.5.0]', '[1.5.0]']
+    ])('formats %p as %p', (range, expected) => {
+      expect(formatNuGetVersionRange(parseNuGetVersionRange(range))).toBe(expected);
+    });
+  });
+});
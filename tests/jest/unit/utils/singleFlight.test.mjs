@@ -0,0 +1,103 @@
+/*──────────────────────────────────────
+  Unit Tests: Single-Flight Coalescing
+  Tests in-flight deduplication, failure sharing and metrics
+──────────────────────────────────────*/
+
+import { jest } from '@jest/globals';
+import { createSingleFlight, getSingleFlightMetrics } from '../../../../src/utils/singleFlight.mjs';
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('Single-Flight', () => {
+  test('concurrent calls for the same key share one execution', async () => {
+    const flight = createSingleFlight('same-key');
+    const upstream = deferred();
+    const task = jest.fn(() => upstream.promise);
+
+    const calls = [flight.run('a', task), flight.run('a', task), flight.run('a', task)];
+    upstream.resolve('value');
+
+    await expect(Promise.all(calls)).resolves.toEqual(['value', 'value', 'value']);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(flight.getMetrics()).toEqual({ calls: 3, executions: 1, coalesced: 2, inFlight: 0 });
+  });
+
+  test('different keys run independently', async () => {
+    const flight = createSingleFlight('keys');
+    const task = jest.fn(async () => 'value');
+
+    await Promise.all([flight.run('a', task), flight.run('b', task)]);
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(flight.getMetrics().coalesced).toBe(0);
+  });
+
+  test('sequential calls execute again once the first settles', async () => {
+    const flight = createSingleFlight('sequential');
+    const task = jest.fn(async () => 'value');
+
+    await flight.run('a', task);
+    await flight.run('a', task);
+
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('a failure is shared by every waiting caller and then forgotten', async () => {
+    const flight = createSingleFlight('failure');
+    const upstream = deferred();
+    const task = jest.fn(() => upstream.promise);
+
+    const calls = [flight.run('a', task), flight.run('a', task)];
+    upstream.reject(new Error('ECONNRESET'));
+
+    for (const call of calls) {
+      await expect(call).rejects.toThrow('ECONNRESET');
+    }
+    expect(flight.getMetrics().inFlight).toBe(0);
+
+    await expect(flight.run('a', async () => 'recovered')).resolves.toBe('recovered');
+  });
+
+  test('a synchronous throw is reported as a rejection', async () => {
+    const flight = createSingleFlight('sync-throw');
+
+    await expect(flight.run('a', () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+  });
+
+  test('reports in-flight keys while pending', async () => {
+    const flight = createSingleFlight('pending');
+    const upstream = deferred();
+
+    const call = flight.run('a', () => upstream.promise);
+    expect(flight.getMetrics().inFlight).toBe(1);
+
+    upstream.resolve();
+    await call;
+    expect(flight.getMetrics().inFlight).toBe(0);
+  });
+
+  test('resetMetrics clears the counters', async () => {
+    const flight = createSingleFlight('reset');
+    await flight.run('a', async () => 'value');
+
+    flight.resetMetrics();
+
+    expect(flight.getMetrics()).toEqual({ calls: 0, executions: 0, coalesced: 0, inFlight: 0 });
+  });
+
+  test('getSingleFlightMetrics reports every group by name', async () => {
+    const flight = createSingleFlight('registry');
+    await Promise.all([flight.run('a', async () => 1), flight.run('a', async () => 1)]);
+
+    expect(getSingleFlightMetrics().registry).toEqual({ calls: 2, executions: 1, coalesced: 1, inFlight: 0 });
+  });
+});
@@ -0,0 +1,249 @@
+/*──────────────────────────────────────
+  Unit Tests: Version Selection
+  Tests filtering, ranking, and per-version metadata
+──────────────────────────────────────*/
+
+import { selectVersions, describeVersion, describeCriteria, isTimestampedBuild } from '../../../../src/utils/versionSelection.mjs';
+
+const versions = ['1.0.0', '1.1.0', '1.2.0', '2.0.0-preview1', '2.0.0', '2.1.0', 'not-a-version'];
+
+describe('Version Selection', () => {
+  describe('selectVersions', () => {
+    test('returns candidates sorted newest first and selects the first', () => {
+      const result = selectVersions(versions, { source: 'nuget', includePrerelease: false });
+
+      expect(result.candidates).toEqual(['2.1.0', '2.0.0', '1.2.0', '1.1.0', '1.0.0']);
+      expect(result.selectedVersion).toBe('2.1.0');
+    });
+
+    test('uses NuGet versioning for nuget sources', () => {
+      const result = selectVersions(['0.8.0.163', '1.0', '1.0.0.1', '01.2.0'], { source: 'nuget' });
+
+      expect(result.candidates).toEqual(['01.2.0', '1.0.0.1', '1.0', '0.8.0.163']);
+    });
+
+    test('uses strict semver for github sources', () => {
+      const result = selectVersions(['0.8.0.163', '1.0', '1.0.0'], { source: 'github' });
+
+      expect(result.validVersions).toEqual(['1.0.0']);
+    });
+
+    test('drops semver-invalid versions', () => {
+      const result = selectVersions(versions, { source: 'nuget' });
+
+      expect(result.validVersions).not.toContain('not-a-version');
+      expect(result.validVersions).toHaveLength(6);
+    });
+
+    test('applies track filter', () => {
+      const result = selectVersions(versions, { source: 'nuget', track: 1 });
+
+      expect(result.candidates).toEqual(['1.2.0', '1.1.0', '1.0.0']);
+    });
+
+    test('includes prereleases when requested', () => {
+      const result = selectVersions(versions, { source: 'nuget', track: 2, includePrerelease: true });
+
+      expect(result.candidates).toEqual(['2.1.0', '2.0.0', '2.0.0-preview1']);
+    });
+
+    test('applies range filters', () => {
+      const result = selectVersions(versions, {
+        source: 'nuget',
+        semverFilters: { gte: '1.1.0', lt: '2.1.0' }
+      });
+
+      expect(result.candidates).toEqual(['2.0.0', '1.2.0', '1.1.0']);
+    });
+
+    test('returns no selection when nothing matches', () => {
+      const result = selectVersions(versions, { source: 'nuget', semverFilters: { gt: '5.0.0' } });
+
+      expect(result.candidates).toEqual([]);
+      expect(result.selectedVersion).toBeNull();
+    });
+
+    test('returns no selection when no version is valid semver', () => {
+      const result = selectVersions(['abc', '1.2.3.4.5'], { source: 'nuget' });
+
+      expect(result.validVersions).toEqual([]);
+      expect(result.selectedVersion).toBeNull();
+    });
+
+    test('collapses timestamped builds onto clean tags for github prefer-clean', () => {
+      const githubVersions = [
+        '2.0.0-preview1-20250718-111124',
+        '2.0.0-preview1',
+        '2.0.0-preview1-20250716-125702',
+        '2.0.0-preview2-20250720-090000'
+      ];
+
+      const result = selectVersions(githubVersions, { source: 'github', includePrerelease: true, preferClean: true });
+
+      expect(result.candidates).toEqual(['2.0.0-preview2-20250720-090000', '2.0.0-preview1']);
+    });
+
+    test('ignores prefer-clean for non-github sources', () => {
+      const result = selectVersions(['1.0.0-rc1', '1.0.0-rc1-20250101-000000'], {
+        source: 'nuget', includePrerelease: true, preferClean: true
+      });
+
+      expect(result.candidates).toHaveLength(2);
+    });
+
+    test('does not mutate the input list', () => {
+      const input = ['1.0.0', '2.0.0'];
+      selectVersions(input, { source: 'nuget' });
+
+      expect(input).toEqual(['1.0.0', '2.0.0']);
+    });
+
+    test('logs each filter stage', () => {
+      const log = [];
+      selectVersions(versions, { source: 'nuget', track: 1, semverFilters: { gt: '1.0.0' } }, (...a) => log.push(a.join(' ')));
+
+      expect(log).toEqual([
+        '🎯 Track 1 filter: 3 versions',
+        '🎯 Stable only filter: 3 versions',
+        '🎯 >1.0.0 filter: 2 versions'
+      ]);
+    });
+  });
+
+  describe('pipeline stages', () => {
+    test('records every applied stage in order', () => {
+      const { stages } = selectVersions(versions, {
+        source: 'nuget', track: 2, includePrerelease: true, semverFilters: { lte: '2.0.0' }
+      });
+
+      expect(stages.map(s => s.stage)).toEqual(['fetched', 'nuget-valid', 'track', 'lte', 'sort']);
+      expect(stages[1].removed).toEqual(['not-a-version']);
+      expect(stages[3]).toEqual({ stage: 'lte', bound: '2.0.0', before: 3, after: 2, removed: ['2.1.0'] });
+      expect(stages[4].versions).toEqual(['2.0.0', '2.0.0-preview1']);
+    });
+
+    test('records the stage that emptied the list', () => {
+      const { stages } = selectVersions(versions, { source: 'nuget', track: 7, includePrerelease: true, semverFilters: { gt: '1.0.0' } });
+
+      expect(stages.map(s => s.stage)).toEqual(['fetched', 'nuget-valid', 'track', 'gt']);
+      expect(stages.at(-1).after).toBe(0);
+    });
+  });
+
+  describe('npm dist-tags and deprecations', () => {
+    const versions = ['1.0.0', '1.1.0', '1.2.0', '2.0.0-beta.1'];
+    const listing = {
+      metadata: { '1.2.0': { deprecated: 'Broken build, use 1.1.0' } },
+      distTags: { latest: '1.2.0', next: '2.0.0-beta.1' }
+    };
+
+    test('excludes deprecated versions by default', () => {
+      const result = selectVersions(versions, { source: 'npm', ...listing });
+
+      expect(result.selectedVersion).toBe('1.1.0');
+      expect(result.stages.find(s => s.stage === 'deprecated')).toMatchObject({ removed: ['1.2.0'] });
+    });
+
+    test('includes deprecated versions on request', () => {
+      const result = selectVersions(versions, { source: 'npm', includeDeprecated: true, ...listing });
+
+      expect(result.selectedVersion).toBe('1.2.0');
+      expect(result.stages.map(s => s.stage)).not.toContain('deprecated');
+    });
+
+    test('skips the deprecation stage when the source reports none', () => {
+      const { stages } = selectVersions(versions, { source: 'npm' });
+
+      expect(stages.map(s => s.stage)).toEqual(['fetched', 'semver-valid', 'prerelease', 'sort']);
+    });
+
+    test('selects the version a dist-tag points at, even a prerelease', () => {
+      const result = selectVersions(versions, { source: 'npm', sourceOptions: { tag: 'next' }, ...listing });
+
+      expect(result.selectedVersion).toBe('2.0.0-beta.1');
+      expect(result.stages[2]).toMatchObject({ stage: 'dist-tag', tag: 'next', target: '2.0.0-beta.1', after: 1 });
+    });
+
+    test('a dist-tag may point at a deprecated version', () => {
+      const result = selectVersions(versions, { source: 'npm', sourceOptions: { tag: 'latest' }, ...listing });
+
+      expect(result.selectedVersion).toBe('1.2.0');
+    });
+
+    test('other filters still apply to the tagged version', () => {
+      const result = selectVersions(versions, { source: 'npm', track: 1, sourceOptions: { tag: 'next' }, ...listing });
+
+      expect(result.selectedVersion).toBeNull();
+    });
+
+    test('an unknown dist-tag matches nothing', () => {
+      const result = selectVersions(versions, { source: 'npm', sourceOptions: { tag: 'canary' }, ...listing });
+
+      expect(result.selectedVersion).toBeNull();
+      expect(result.stages[2]).toMatchObject({ stage: 'dist-tag', target: null, after: 0 });
+    });
+  });
+
+  describe('docker tag patterns', () => {
+    const tags = ['latest', '3.5.0', '3.5.0-amd64', '3.5.0-arm64', '3.6.0', '3.6.0-arm64', 'sha-4f2a1c9'];
+
+    test('drops non-semver tags and architecture builds by default', () => {
+      const result = selectVersions(tags, { source: 'docker' });
+
+      expect(result.selectedVersion).toBe('3.6.0');
+      expect(result.stages[1]).toMatchObject({ stage: 'semver-valid', removed: ['latest', 'sha-4f2a1c9'] });
+    });
+
+    test('tag-pattern filters raw tags before validation', () => {
+      const result = selectVersions(tags, {
+        source: 'docker', includePrerelease: true, track: 3, sourceOptions: { tagPattern: /-arm64$/ }
+      });
+
+      expect(result.stages.map(s => s.stage)).toEqual(['fetched', 'tag-pattern', 'semver-valid', 'track', 'sort']);
+      expect(result.candidates).toEqual(['3.6.0-arm64', '3.5.0-arm64']);
+    });
+  });
+
+  describe('describeCriteria', () => {
+    test('omits unset semver bounds', () => {
+      expect(describeCriteria({
+        track: null, includePrerelease: true, preferClean: false,
+        semverFilters: { gt: null, gte: '1.0.0', lt: undefined }
+      })).toEqual({ track: null, includePrerelease: true, preferClean: false, gte: '1.0.0' });
+    });
+
+    test('includes the dist-tag and deprecation opt-in when set', () => {
+      expect(describeCriteria({
+        track: null, includePrerelease: false, preferClean: false, includeDeprecated: true, sourceOptions: { tag: 'next' }
+      })).toEqual({ track: null, includePrerelease: false, preferClean: false, includeDeprecated: true, tag: 'next' });
+    });
+  });
+
+  describe('describeVersion', () => {
+    test('describes stable versions', () => {
+      expect(describeVersion('1.6.0')).toEqual({ version: '1.6.0', prerelease: false, timestamped: false, track: 1 });
+    });
+
+    test('describes NuGet-only versions for nuget sources', () => {
+      expect(describeVersion('0.8.0.163', 'nuget')).toEqual({ version: '0.8.0.163', prerelease: false, timestamped: false, track: 0 });
+      expect(describeVersion('0.8.0.163', 'github').track).toBeNull();
+    });
+
+    test('describes prerelease and timestamped builds', () => {
+      expect(describeVersion('2.0.0-preview1-20250716-125702')).toEqual({
+        version: '2.0.0-preview1-20250716-125702',
+        prerelease: true,
+        timestamped: true,
+        track: 2
+      });
+    });
+  });
+
+  describe('isTimestampedBuild', () => {
+    test('detects CI timestamp suffix', () => {
+      expect(isTimestampedBuild('2.0.0-preview1-20250716-125702')).toBe(true);
+      expect(isTimestampedBuild('2.0.0-preview1')).toBe(false);
+      expect(isTimestampedBuild('2.0.0-20250716')).toBe(false);
+    });
+  });
+});